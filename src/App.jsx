@@ -1,14 +1,154 @@
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import "./App.css";
 import UserDashboard from "./components/UserDashboard";
+import PasswordReset from "./components/PasswordReset";
+import userApi, { AUTH_EVENTS } from "./api/userApi";
+import {
+  AccountLockedError,
+  NetworkError,
+  RateLimitError,
+  TimeoutError,
+} from "./api/errors";
+
+// Remaining lockout time as m:ss
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+};
 
 function App() {
   const [isLoggedIn, setIsLoggedIn] = useState(false);
+  const [currentUser, setCurrentUser] = useState(null);
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
   const [error, setError] = useState("");
+  const [isLoggingIn, setIsLoggingIn] = useState(false);
+  // Active login lockout: { until, status } where status 423 locks the
+  // account and 429 locks this client's address
+  const [lockout, setLockout] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  // Pending second-factor challenge from a password login
+  const [mfaChallenge, setMfaChallenge] = useState(null);
+  const [mfaCode, setMfaCode] = useState("");
+  // "Forgot password" flow shown in place of the login form
+  const [isResettingPassword, setIsResettingPassword] = useState(false);
+  const [notice, setNotice] = useState("");
+  // Only show the splash when there is a stored session to check
+  const [isRestoringSession, setIsRestoringSession] = useState(() =>
+    userApi.hasStoredSession()
+  );
+
+  // Keep the UI in step with the session, including changes made by the
+  // API client (expired refresh token) or by another browser tab
+  useEffect(
+    () =>
+      userApi.onAuthEvent((event) => {
+        switch (event.type) {
+          case AUTH_EVENTS.LOGGED_IN:
+            setCurrentUser(event.user);
+            setIsLoggedIn(true);
+            setError("");
+            break;
+          case AUTH_EVENTS.USER_UPDATED:
+            setCurrentUser(event.user);
+            break;
+          case AUTH_EVENTS.LOGGED_OUT:
+            setCurrentUser(null);
+            setIsLoggedIn(false);
+            break;
+          case AUTH_EVENTS.SESSION_EXPIRED:
+            setCurrentUser(null);
+            setIsLoggedIn(false);
+            setError("Your session has expired. Please log in again.");
+            break;
+          default:
+            break;
+        }
+      }),
+    []
+  );
+
+  // Restore the previous session before deciding what to render
+  useEffect(() => {
+    if (!isRestoringSession) return;
+
+    let cancelled = false;
+
+    userApi
+      .restoreSession()
+      .then((user) => {
+        if (cancelled || !user) return;
+        setCurrentUser(user);
+        setIsLoggedIn(true);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err.message || "Unable to restore your session");
+      })
+      .finally(() => {
+        if (!cancelled) setIsRestoringSession(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isRestoringSession]);
+
+  // Tick the lockout countdown and lift it once it runs out
+  useEffect(() => {
+    if (!lockout) return;
+
+    const intervalId = setInterval(() => {
+      const currentTime = Date.now();
+      setNow(currentTime);
+      if (currentTime >= lockout.until) {
+        setLockout(null);
+        setError("");
+      }
+    }, 1000);
+
+    return () => clearInterval(intervalId);
+  }, [lockout]);
+
+  const handleUsernameChange = (e) => {
+    setUsername(e.target.value);
+    // An account lock only applies to the account that triggered it
+    if (lockout?.status === 423) {
+      setLockout(null);
+      setError("");
+    }
+  };
+
+  // Show a failed login step, starting the countdown if the server
+  // reported a lockout
+  const showLoginError = (err) => {
+    let lockedUntil = null;
+    if (err instanceof AccountLockedError) {
+      lockedUntil = Date.parse(err.lockedUntil);
+    } else if (err instanceof RateLimitError) {
+      lockedUntil =
+        Date.parse(err.response?.data?.lockedUntil) ||
+        (err.retryAfter !== null ? Date.now() + err.retryAfter * 1000 : null);
+    }
+
+    if (lockedUntil) {
+      setLockout({ until: lockedUntil, status: err.status });
+      setNow(Date.now());
+      setMfaChallenge(null);
+    }
+
+    if (err instanceof TimeoutError) {
+      setError("The server took too long to respond. Please try again.");
+    } else if (err instanceof NetworkError) {
+      setError("Unable to reach the server. Check your connection.");
+    } else {
+      setError(err.message || "Unable to log in");
+    }
+  };
 
-  const handleLogin = (e) => {
+  const handleLogin = async (e) => {
     e.preventDefault();
 
     // Simple validation
@@ -17,68 +157,189 @@ function App() {
       return;
     }
 
-    // In a real app, you would call an API here
-    // This is just a mock for demonstration
-    if (username === "admin" && password === "password") {
-      // Mock storing tokens
-      localStorage.setItem("auth_token", "mock-auth-token");
-      localStorage.setItem("refresh_token", "mock-refresh-token");
-      setIsLoggedIn(true);
+    try {
+      setIsLoggingIn(true);
       setError("");
-    } else {
-      setError("Invalid username or password");
+      setNotice("");
+
+      // The loggedIn auth event switches the view to the dashboard
+      const result = await userApi.login(username, password);
+      setPassword("");
+
+      if (result?.mfaRequired) {
+        setMfaChallenge(result);
+        setMfaCode("");
+      }
+    } catch (err) {
+      showLoginError(err);
+    } finally {
+      setIsLoggingIn(false);
     }
   };
 
+  const handleVerifyMfa = async (e) => {
+    e.preventDefault();
+
+    if (!mfaCode) {
+      setError("Enter the code from your authenticator app");
+      return;
+    }
+
+    try {
+      setIsLoggingIn(true);
+      setError("");
+
+      await userApi.verifyMfa(mfaChallenge.mfaToken, mfaCode);
+      setMfaChallenge(null);
+    } catch (err) {
+      setMfaCode("");
+      showLoginError(err);
+    } finally {
+      setIsLoggingIn(false);
+    }
+  };
+
+  const handleCancelMfa = () => {
+    setMfaChallenge(null);
+    setMfaCode("");
+    setError("");
+  };
+
+  const handleForgotPassword = () => {
+    setIsResettingPassword(true);
+    setError("");
+    setNotice("");
+  };
+
+  const handlePasswordReset = (message) => {
+    setIsResettingPassword(false);
+    setPassword("");
+    setNotice(`${message}. You can now log in with your new password.`);
+  };
+
   const handleLogout = () => {
-    localStorage.removeItem("auth_token");
-    localStorage.removeItem("refresh_token");
-    setIsLoggedIn(false);
+    userApi.logout();
   };
 
+  if (isRestoringSession) {
+    return (
+      <div className="app">
+        <div className="splash-screen" role="status">
+          <p>Restoring session...</p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="app">
       {isLoggedIn ? (
         <>
           <header className="app-header">
             <h1>User Management System</h1>
+            {currentUser && (
+              <span className="current-user">
+                Signed in as {currentUser.username}
+              </span>
+            )}
             <button onClick={handleLogout} className="logout-button">
               Logout
             </button>
           </header>
-          <UserDashboard />
+          <UserDashboard currentUser={currentUser} />
         </>
       ) : (
         <div className="login-container">
-          <h1>Login</h1>
+          <h1>
+            {mfaChallenge
+              ? "Two-Factor Authentication"
+              : isResettingPassword
+              ? "Reset Password"
+              : "Login"}
+          </h1>
           {error && <div className="error-message">{error}</div>}
-          <form onSubmit={handleLogin} className="login-form">
-            <div className="form-group">
-              <label htmlFor="username">Username</label>
-              <input
-                type="text"
-                id="username"
-                value={username}
-                onChange={(e) => setUsername(e.target.value)}
-                placeholder="Enter username"
-              />
+          {notice && <div className="success-message">{notice}</div>}
+          {lockout && (
+            <div className="lockout-countdown" role="timer">
+              Try again in {formatCountdown(lockout.until - now)}
             </div>
-            <div className="form-group">
-              <label htmlFor="password">Password</label>
-              <input
-                type="password"
-                id="password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                placeholder="Enter password"
-              />
-            </div>
-            <button type="submit" className="login-button">
-              Login
-            </button>
-          </form>
+          )}
+          {isResettingPassword ? (
+            <PasswordReset
+              onComplete={handlePasswordReset}
+              onCancel={() => setIsResettingPassword(false)}
+            />
+          ) : mfaChallenge ? (
+            <form onSubmit={handleVerifyMfa} className="login-form">
+              <div className="form-group">
+                <label htmlFor="mfa-code">Authentication code</label>
+                <input
+                  type="text"
+                  id="mfa-code"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  value={mfaCode}
+                  onChange={(e) => setMfaCode(e.target.value)}
+                  placeholder="6-digit code or recovery code"
+                  autoFocus
+                />
+              </div>
+              <button
+                type="submit"
+                className="login-button"
+                disabled={isLoggingIn}
+              >
+                {isLoggingIn ? "Verifying..." : "Verify"}
+              </button>
+              <button
+                type="button"
+                className="link-button"
+                onClick={handleCancelMfa}
+              >
+                Back to login
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleLogin} className="login-form">
+              <div className="form-group">
+                <label htmlFor="username">Username</label>
+                <input
+                  type="text"
+                  id="username"
+                  value={username}
+                  onChange={handleUsernameChange}
+                  placeholder="Enter username"
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="password">Password</label>
+                <input
+                  type="password"
+                  id="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="Enter password"
+                />
+              </div>
+              <button
+                type="submit"
+                className="login-button"
+                disabled={isLoggingIn || Boolean(lockout)}
+              >
+                {isLoggingIn ? "Logging in..." : "Login"}
+              </button>
+              <button
+                type="button"
+                className="link-button"
+                onClick={handleForgotPassword}
+              >
+                Forgot password?
+              </button>
+            </form>
+          )}
           <p className="login-hint">
-            (Use username: admin, password: password)
+            (Use username: admin, or janedoe for a regular user; password:
+            password)
           </p>
         </div>
       )}
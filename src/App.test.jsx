@@ -1,9 +1,37 @@
-import { render, screen } from "@testing-library/react";
+import { render, screen, act } from "@testing-library/react";
 import userEvent from "@testing-library/user-event";
-import { describe, it, expect } from "vitest";
+import { describe, it, expect, beforeAll, afterEach, afterAll } from "vitest";
+import { setupServer } from "msw/node";
+import { http, HttpResponse } from "msw";
+import { handlers, getSentEmails } from "./mocks/handlers";
 import App from "./App";
 
+// Run the app against the same mock backend used in development
+const server = setupServer(...handlers);
+
+// Log in through the mock and leave the session in storage, as a
+// previous page load would have
+const storeSession = async (username) => {
+  const response = await fetch("https://api.example.com/auth/login", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, password: "password" }),
+  });
+  const { token, refreshToken } = await response.json();
+
+  localStorage.setItem("auth_token", token);
+  localStorage.setItem("refresh_token", refreshToken);
+  return { token, refreshToken };
+};
+
 describe("App Component", () => {
+  beforeAll(() => server.listen({ onUnhandledRequest: "bypass" }));
+  afterEach(() => {
+    server.resetHandlers();
+    localStorage.clear();
+  });
+  afterAll(() => server.close());
+
   it("renders the login form", () => {
     render(<App />);
     // Check for login heading
@@ -37,4 +65,226 @@ describe("App Component", () => {
     expect(usernameInput).toHaveValue("admin");
     expect(passwordInput).toHaveValue("password");
   });
+
+  it("logs in against the mock backend and stores the session", async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(screen.getByLabelText(/username/i), "admin");
+    await user.type(screen.getByLabelText(/password/i), "password");
+    await user.click(screen.getByRole("button", { name: /login/i }));
+
+    // The button reflects the pending request
+    expect(screen.getByRole("button", { name: /logging in/i })).toBeDisabled();
+
+    expect(
+      await screen.findByRole("heading", { name: /user management system/i })
+    ).toBeInTheDocument();
+    expect(screen.getByText(/signed in as admin/i)).toBeInTheDocument();
+    expect(localStorage.getItem("auth_token")).toMatch(/^mock-auth-token-/);
+    expect(localStorage.getItem("refresh_token")).toMatch(
+      /^mock-refresh-token-/
+    );
+  });
+
+  it("shows the server's error message for bad credentials", async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(screen.getByLabelText(/username/i), "admin");
+    await user.type(screen.getByLabelText(/password/i), "wrong");
+    await user.click(screen.getByRole("button", { name: /login/i }));
+
+    expect(await screen.findByText(/invalid credentials/i)).toBeInTheDocument();
+    expect(localStorage.getItem("auth_token")).toBeNull();
+  });
+
+  it("restores a stored session on reload", async () => {
+    await storeSession("admin");
+
+    render(<App />);
+
+    expect(screen.getByText(/restoring session/i)).toBeInTheDocument();
+    expect(await screen.findByText(/signed in as admin/i)).toBeInTheDocument();
+  });
+
+  it("refreshes an expired token before restoring the session", async () => {
+    const { refreshToken } = await storeSession("admin");
+    localStorage.setItem("auth_token", "stale-token");
+    localStorage.setItem("auth_expires_at", String(Date.now() - 1000));
+
+    render(<App />);
+
+    expect(await screen.findByText(/signed in as admin/i)).toBeInTheDocument();
+    expect(localStorage.getItem("auth_token")).toMatch(/^mock-auth-token-/);
+    // Refreshing rotates the refresh token as well
+    expect(localStorage.getItem("refresh_token")).not.toBe(refreshToken);
+  });
+
+  it("falls back to the login form when stored tokens are rejected", async () => {
+    localStorage.setItem("auth_token", "stale-token");
+    localStorage.setItem("refresh_token", "revoked-refresh-token");
+
+    render(<App />);
+
+    expect(
+      await screen.findByRole("heading", { name: /login/i })
+    ).toBeInTheDocument();
+    expect(localStorage.getItem("auth_token")).toBeNull();
+  });
+
+  it("returns to the login screen when the refresh token is rejected", async () => {
+    await storeSession("admin");
+
+    render(<App />);
+    expect(await screen.findByText(/signed in as admin/i)).toBeInTheDocument();
+
+    // The dashboard's next request fails auth and the refresh is refused
+    server.use(
+      http.get("https://api.example.com/users/search", () =>
+        HttpResponse.json({ message: "Unauthorized access" }, { status: 401 })
+      ),
+      http.post("https://api.example.com/auth/refresh", () =>
+        HttpResponse.json({ message: "Invalid refresh token" }, { status: 401 })
+      )
+    );
+    const user = userEvent.setup();
+    await user.type(screen.getByPlaceholderText(/search users/i), "jane");
+
+    expect(await screen.findByText(/session has expired/i)).toBeInTheDocument();
+    expect(screen.getByRole("heading", { name: /login/i })).toBeInTheDocument();
+  });
+
+  it("follows a logout performed in another tab", async () => {
+    const { token } = await storeSession("admin");
+
+    render(<App />);
+    expect(await screen.findByText(/signed in as admin/i)).toBeInTheDocument();
+
+    act(() => {
+      window.dispatchEvent(
+        new StorageEvent("storage", {
+          key: "auth_token",
+          oldValue: token,
+          newValue: null,
+        })
+      );
+    });
+
+    expect(screen.getByRole("heading", { name: /login/i })).toBeInTheDocument();
+  });
+
+  it("counts down an account lockout and blocks new attempts", async () => {
+    server.use(
+      http.post("https://api.example.com/auth/login", () =>
+        HttpResponse.json(
+          {
+            message: "Account locked due to too many failed login attempts",
+            lockedUntil: new Date(Date.now() + 90000).toISOString(),
+          },
+          { status: 423 }
+        )
+      )
+    );
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(screen.getByLabelText(/username/i), "janedoe");
+    await user.type(screen.getByLabelText(/password/i), "wrong");
+    await user.click(screen.getByRole("button", { name: /login/i }));
+
+    expect(await screen.findByText(/account locked/i)).toBeInTheDocument();
+    expect(screen.getByRole("timer")).toHaveTextContent(
+      /try again in 1:(29|30)/i
+    );
+    expect(screen.getByRole("button", { name: /login/i })).toBeDisabled();
+  });
+
+  it("asks enrolled users for a second factor before signing in", async () => {
+    server.use(
+      http.post("https://api.example.com/auth/login", () =>
+        HttpResponse.json({
+          status: "mfa_required",
+          mfaToken: "mfa-test",
+          methods: ["totp", "recovery_code"],
+        })
+      ),
+      http.post(
+        "https://api.example.com/auth/mfa/verify",
+        async ({ request }) => {
+          const { mfaToken, code } = await request.json();
+          if (mfaToken !== "mfa-test" || code !== "123456") {
+            return HttpResponse.json(
+              { message: "Invalid verification code" },
+              { status: 401 }
+            );
+          }
+          return HttpResponse.json({
+            token: "mock-auth-token-2",
+            refreshToken: "mock-refresh-token-2",
+            expiresIn: 3600,
+            user: { id: "2", username: "janedoe", role: "user" },
+          });
+        }
+      )
+    );
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(screen.getByLabelText(/username/i), "janedoe");
+    await user.type(screen.getByLabelText(/password/i), "password");
+    await user.click(screen.getByRole("button", { name: /login/i }));
+
+    expect(
+      await screen.findByRole("heading", { name: /two-factor/i })
+    ).toBeInTheDocument();
+    expect(localStorage.getItem("auth_token")).toBeNull();
+
+    await user.type(screen.getByLabelText(/authentication code/i), "000000");
+    await user.click(screen.getByRole("button", { name: "Verify" }));
+    expect(
+      await screen.findByText(/invalid verification code/i)
+    ).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText(/authentication code/i), "123456");
+    await user.click(screen.getByRole("button", { name: "Verify" }));
+
+    expect(
+      await screen.findByText(/signed in as janedoe/i)
+    ).toBeInTheDocument();
+    expect(localStorage.getItem("auth_token")).toBe("mock-auth-token-2");
+  });
+
+  it("resets a forgotten password with an emailed code", async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(screen.getByRole("button", { name: /forgot password/i }));
+    expect(
+      screen.getByRole("heading", { name: /reset password/i })
+    ).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText(/username or email/i), "bobsmith");
+    await user.click(screen.getByRole("button", { name: /send reset code/i }));
+
+    // The code the mock emailed
+    await screen.findByText(/a password reset code has been sent/i);
+    const { resetToken: resetCode } = getSentEmails("bob@example.com").at(-1);
+
+    await user.type(screen.getByLabelText(/reset code/i), resetCode);
+    await user.type(screen.getByLabelText(/new password/i), "weak");
+    await user.click(screen.getByRole("button", { name: /set new password/i }));
+    expect(
+      await screen.findByText(/at least 8 characters/i)
+    ).toBeInTheDocument();
+
+    await user.clear(screen.getByLabelText(/new password/i));
+    await user.type(screen.getByLabelText(/new password/i), "b0b-password");
+    await user.click(screen.getByRole("button", { name: /set new password/i }));
+
+    expect(
+      await screen.findByText(/password has been reset/i)
+    ).toBeInTheDocument();
+    expect(screen.getByRole("heading", { name: /login/i })).toBeInTheDocument();
+  });
 });
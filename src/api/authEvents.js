@@ -0,0 +1,36 @@
+// Auth lifecycle events published by userApi
+export const AUTH_EVENTS = {
+  LOGGED_IN: "loggedIn",
+  LOGGED_OUT: "loggedOut",
+  TOKEN_REFRESHED: "tokenRefreshed",
+  SESSION_EXPIRED: "sessionExpired",
+  USER_UPDATED: "userUpdated",
+};
+
+// Minimal synchronous pub/sub. Listeners receive { type, ...detail } and
+// a failing listener never prevents the others from being notified.
+export const createAuthEventBus = () => {
+  const listeners = new Set();
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    emit(type, detail = {}) {
+      const event = { type, ...detail };
+      listeners.forEach((listener) => {
+        try {
+          listener(event);
+        } catch (error) {
+          console.error(`Auth event listener failed for "${type}"`, error);
+        }
+      });
+    },
+
+    get size() {
+      return listeners.size;
+    },
+  };
+};
@@ -0,0 +1,99 @@
+// Bounded LRU cache with per-entry TTLs.
+//
+// An entry is fresh for `ttl` ms, then stale for a further `staleTtl` ms
+// during which it may still be served while the caller revalidates it
+// (stale-while-revalidate). After that it is dropped. When the cache is
+// full, the least recently used entry is evicted.
+export const createLruCache = (options = {}) => {
+  const config = { maxSize: 100, ttl: 300000, staleTtl: 0, ...options };
+  // Map iteration order doubles as the recency order: oldest first
+  const entries = new Map();
+  const stats = { hits: 0, staleHits: 0, misses: 0, evictions: 0 };
+
+  const evictOverflow = () => {
+    while (entries.size > config.maxSize) {
+      entries.delete(entries.keys().next().value);
+      stats.evictions++;
+    }
+  };
+
+  return {
+    // Returns { value, stale } or undefined on a miss
+    get(key) {
+      const entry = entries.get(key);
+      const now = Date.now();
+
+      if (!entry || now >= entry.staleUntil) {
+        entries.delete(key);
+        stats.misses++;
+        return undefined;
+      }
+
+      // Mark as most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+
+      const stale = now >= entry.freshUntil;
+      if (stale) {
+        stats.staleHits++;
+      } else {
+        stats.hits++;
+      }
+      return { value: entry.value, stale };
+    },
+
+    // Per-entry { ttl, staleTtl } override the cache defaults
+    set(key, value, { ttl = config.ttl, staleTtl = config.staleTtl } = {}) {
+      const now = Date.now();
+
+      entries.delete(key);
+      entries.set(key, {
+        value,
+        freshUntil: now + ttl,
+        staleUntil: now + ttl + staleTtl,
+      });
+      evictOverflow();
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    // Drop every entry whose key matches, e.g. all pages of a search
+    deleteWhere(predicate) {
+      for (const key of [...entries.keys()]) {
+        if (predicate(key)) entries.delete(key);
+      }
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    // Change limits and defaults; shrinking evicts right away
+    configure(overrides) {
+      Object.assign(config, overrides);
+      evictOverflow();
+    },
+
+    getStats() {
+      const lookups = stats.hits + stats.staleHits + stats.misses;
+      return {
+        ...stats,
+        size: entries.size,
+        maxSize: config.maxSize,
+        hitRate: lookups ? (stats.hits + stats.staleHits) / lookups : 0,
+      };
+    },
+
+    resetStats() {
+      Object.keys(stats).forEach((key) => {
+        stats[key] = 0;
+      });
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+};
@@ -0,0 +1,64 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { createLruCache } from "./cache";
+
+describe("createLruCache", () => {
+  afterEach(() => vi.useRealTimers());
+
+  it("evicts the least recently used entry when full", () => {
+    const cache = createLruCache({ maxSize: 2 });
+    cache.set("a", 1);
+    cache.set("b", 2);
+
+    // Reading "a" makes "b" the oldest
+    cache.get("a");
+    cache.set("c", 3);
+
+    expect(cache.get("b")).toBeUndefined();
+    expect(cache.get("a")).toEqual({ value: 1, stale: false });
+    expect(cache.getStats().evictions).toBe(1);
+  });
+
+  it("serves entries as stale after their ttl, then drops them", () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const cache = createLruCache({ ttl: 1000, staleTtl: 1000 });
+    cache.set("a", 1);
+    cache.set("b", 2, { ttl: 5000 });
+
+    vi.advanceTimersByTime(1500);
+    expect(cache.get("a")).toEqual({ value: 1, stale: true });
+    expect(cache.get("b")).toEqual({ value: 2, stale: false });
+
+    vi.advanceTimersByTime(1000);
+    expect(cache.get("a")).toBeUndefined();
+  });
+
+  it("counts hits and misses", () => {
+    const cache = createLruCache();
+    cache.set("a", 1);
+
+    cache.get("a");
+    cache.get("missing");
+
+    expect(cache.getStats()).toMatchObject({
+      hits: 1,
+      misses: 1,
+      size: 1,
+      hitRate: 0.5,
+    });
+  });
+
+  it("deletes by key predicate and shrinks on configure", () => {
+    const cache = createLruCache();
+    cache.set("search:1", 1);
+    cache.set("search:2", 2);
+    cache.set("user:1", 3);
+
+    cache.deleteWhere((key) => key.startsWith("search:"));
+    expect(cache.size).toBe(1);
+
+    cache.set("user:2", 4);
+    cache.configure({ maxSize: 1 });
+    expect(cache.get("user:1")).toBeUndefined();
+    expect(cache.get("user:2")).toEqual({ value: 4, stale: false });
+  });
+});
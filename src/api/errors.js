@@ -0,0 +1,296 @@
+// Typed errors thrown by userApi. Every failed request rejects with an
+// ApiError subclass, so callers can branch with instanceof instead of
+// parsing messages or status codes:
+//
+//   ApiError
+//   ├── ValidationError        400/422, `fields` maps field -> message
+//   │   └── SchemaValidationError   client-side schema check failed
+//   ├── AuthError              401
+//   │   ├── ForbiddenError         403
+//   │   ├── AccountLockedError     423, `lockedUntil`
+//   │   └── SessionExpiredError    refresh token rejected
+//   ├── NotFoundError          404
+//   ├── ConflictError          409, `latest` when the server sent it
+//   │   └── PreconditionFailedError  412, stale If-Match; `etag`
+//   ├── RateLimitError         429, `retryAfter` in seconds
+//   ├── ServerError            5xx
+//   ├── InvalidResponseError   unrecognized response payload
+//   ├── NetworkError           no response at all
+//   │   └── TimeoutError
+//   └── AbortError             cancelled by the caller
+//
+// The original axios response stays available as `response`.
+
+export class ApiError extends Error {
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = "ApiError";
+    this.code = "API_ERROR";
+    this.status = options.status ?? null;
+    this.serverMessage = options.serverMessage ?? null;
+    this.requestId = options.requestId ?? null;
+    this.response = options.response;
+    this.config = options.config;
+  }
+}
+
+export class ValidationError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = "ValidationError";
+    this.code = "VALIDATION_ERROR";
+    this.fields = options.fields || {};
+  }
+}
+
+// `issues` lists every problem with its field path; `direction` says
+// whether outgoing ("request") or incoming ("response") data failed
+export class SchemaValidationError extends ValidationError {
+  constructor(message, { issues = [], direction } = {}) {
+    super(message, {
+      fields: Object.fromEntries(
+        issues.map(({ path, message: issue }) => [path, issue])
+      ),
+    });
+    this.name = "SchemaValidationError";
+    this.code = "SCHEMA_VALIDATION_FAILED";
+    this.issues = issues;
+    this.direction = direction;
+  }
+}
+
+export class AuthError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = "AuthError";
+    this.code = "AUTH_ERROR";
+  }
+}
+
+export class ForbiddenError extends AuthError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = "ForbiddenError";
+    this.code = "FORBIDDEN";
+  }
+}
+
+export class AccountLockedError extends AuthError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = "AccountLockedError";
+    this.code = "ACCOUNT_LOCKED";
+    this.lockedUntil = options.lockedUntil ?? null;
+  }
+}
+
+// The refresh token itself was rejected; the user has to log in again
+export class SessionExpiredError extends AuthError {
+  constructor(cause) {
+    super("Your session has expired. Please log in again.", {
+      cause,
+      status: cause?.status ?? cause?.response?.status,
+    });
+    this.name = "SessionExpiredError";
+    this.code = "SESSION_EXPIRED";
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = "NotFoundError";
+    this.code = "NOT_FOUND";
+  }
+}
+
+// userApi fills in `latest` with the current resource when the server
+// sent it along, e.g. for a failed JSON Patch test op
+export class ConflictError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = "ConflictError";
+    this.code = "CONFLICT";
+    this.latest = options.latest ?? null;
+  }
+}
+
+// The resource changed since the version the request was based on.
+// `etag` is the current version.
+export class PreconditionFailedError extends ConflictError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = "PreconditionFailedError";
+    this.code = "PRECONDITION_FAILED";
+    this.etag = options.etag ?? null;
+  }
+}
+
+export class RateLimitError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = "RateLimitError";
+    this.code = "RATE_LIMITED";
+    this.retryAfter = options.retryAfter ?? null;
+  }
+}
+
+export class ServerError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = "ServerError";
+    this.code = "SERVER_ERROR";
+  }
+}
+
+export class InvalidResponseError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = "InvalidResponseError";
+    this.code = options.code || "INVALID_RESPONSE";
+    this.payload = options.payload;
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = "NetworkError";
+    this.code = "NETWORK_ERROR";
+  }
+}
+
+export class TimeoutError extends NetworkError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = "TimeoutError";
+    this.code = "TIMEOUT";
+  }
+}
+
+// Named like the DOM's AbortError, which callers already check for
+export class AbortError extends ApiError {
+  constructor(message = "Request was cancelled", options = {}) {
+    super(message, options);
+    this.name = "AbortError";
+    this.code = "ABORTED";
+  }
+}
+
+const getHeader = (headers, name) =>
+  headers?.get?.(name) ?? headers?.[name] ?? headers?.[name.toLowerCase()];
+
+// Retry-After is either delay-seconds or an HTTP-date. Returns seconds
+// (rounded up, never negative) or null when absent or malformed.
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === "") return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, Math.ceil((date - now) / 1000));
+};
+
+// Server errors come as { message, errors } where errors is either
+// { field: message } or [{ field, message }]
+const getFieldErrors = (data) => {
+  const errors = data?.errors;
+  if (Array.isArray(errors)) {
+    return Object.fromEntries(
+      errors.map(({ field, path, message }) => [field ?? path, message])
+    );
+  }
+  return errors && typeof errors === "object" ? errors : {};
+};
+
+// Map an axios error (or anything thrown while making a request) to the
+// matching ApiError subclass. ApiErrors pass through unchanged.
+export const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+  // Bugs in our own code are not request failures; leave them be
+  if (!error?.isAxiosError && !error?.code) return error;
+
+  const { response, config } = error || {};
+  const requestId =
+    getHeader(response?.headers, "X-Request-Id") ??
+    response?.data?.requestId ??
+    getHeader(config?.headers, "X-Request-Id") ??
+    null;
+  const base = { cause: error, requestId, response, config };
+
+  if (error?.code === "ERR_CANCELED" || error?.name === "CanceledError") {
+    return new AbortError(undefined, base);
+  }
+
+  if (!response) {
+    if (error?.code === "ECONNABORTED" || error?.code === "ETIMEDOUT") {
+      return new TimeoutError(
+        config?.timeout
+          ? `Request timed out after ${config.timeout}ms`
+          : "Request timed out",
+        base
+      );
+    }
+    return new NetworkError(
+      "Unable to reach the server. Check your connection.",
+      base
+    );
+  }
+
+  return createApiError(response.status, response.data, {
+    ...base,
+    message: error.message,
+  });
+};
+
+// The ApiError subclass for an HTTP status and error payload, e.g. for
+// the per-item failures of a batch request. `options.message` is used
+// when the payload has none.
+export const createApiError = (status, data, options = {}) => {
+  const { message: fallbackMessage, ...base } = options;
+  const { response } = base;
+  const serverMessage = data?.message || null;
+  const message =
+    serverMessage || fallbackMessage || `Request failed (${status})`;
+  const errorOptions = { ...base, status, serverMessage };
+
+  switch (status) {
+    case 400:
+    case 422:
+      return new ValidationError(message, {
+        ...errorOptions,
+        fields: getFieldErrors(data),
+      });
+    case 401:
+      return new AuthError(message, errorOptions);
+    case 403:
+      return new ForbiddenError(message, errorOptions);
+    case 404:
+      return new NotFoundError(message, errorOptions);
+    case 409:
+      return new ConflictError(message, errorOptions);
+    case 412:
+      return new PreconditionFailedError(message, {
+        ...errorOptions,
+        etag: getHeader(response?.headers, "ETag") ?? null,
+      });
+    case 423:
+      return new AccountLockedError(message, {
+        ...errorOptions,
+        lockedUntil: data?.lockedUntil ?? null,
+      });
+    case 429:
+      return new RateLimitError(message, {
+        ...errorOptions,
+        retryAfter: parseRetryAfter(
+          getHeader(response?.headers, "Retry-After")
+        ),
+      });
+    default:
+      return status >= 500
+        ? new ServerError(message, errorOptions)
+        : new ApiError(message, errorOptions);
+  }
+};
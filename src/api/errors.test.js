@@ -0,0 +1,106 @@
+import { describe, it, expect } from "vitest";
+import {
+  ApiError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  AccountLockedError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  toApiError,
+  parseRetryAfter,
+} from "./errors";
+
+// Minimal stand-in for an axios error
+const axiosError = (status, data = {}, headers = {}) => ({
+  isAxiosError: true,
+  message: `Request failed with status code ${status}`,
+  config: { headers: { "X-Request-Id": "req-1" } },
+  response: { status, data, headers },
+});
+
+describe("toApiError", () => {
+  it.each([
+    [400, ValidationError],
+    [401, AuthError],
+    [403, ForbiddenError],
+    [404, NotFoundError],
+    [409, ConflictError],
+    [412, PreconditionFailedError],
+    [423, AccountLockedError],
+    [429, RateLimitError],
+    [503, ServerError],
+    [418, ApiError],
+  ])("maps HTTP %i to %o", (status, ErrorClass) => {
+    const error = toApiError(axiosError(status));
+
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.status).toBe(status);
+  });
+
+  it("carries the server message, request id and field errors", () => {
+    const error = toApiError(
+      axiosError(400, {
+        message: "Invalid confirmation code",
+        errors: [{ field: "confirmationCode", message: "Does not match" }],
+      })
+    );
+
+    expect(error).toMatchObject({
+      message: "Invalid confirmation code",
+      serverMessage: "Invalid confirmation code",
+      requestId: "req-1",
+      fields: { confirmationCode: "Does not match" },
+    });
+  });
+
+  it("reads Retry-After into a RateLimitError", () => {
+    const error = toApiError(axiosError(429, {}, { "retry-after": "2" }));
+    expect(error.retryAfter).toBe(2);
+  });
+
+  it("reads the current ETag into a PreconditionFailedError", () => {
+    const error = toApiError(axiosError(412, {}, { etag: '"v3"' }));
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.etag).toBe('"v3"');
+  });
+
+  it("tells timeouts, network failures and cancellations apart", () => {
+    expect(
+      toApiError({ code: "ECONNABORTED", config: { timeout: 5000 } })
+    ).toBeInstanceOf(TimeoutError);
+    expect(toApiError({ code: "ERR_NETWORK" })).toBeInstanceOf(NetworkError);
+    expect(
+      toApiError({ code: "ERR_CANCELED", name: "CanceledError" })
+    ).toMatchObject({ name: "AbortError" });
+    expect(toApiError({ code: "ERR_CANCELED" })).toBeInstanceOf(AbortError);
+  });
+
+  it("passes ApiErrors and non-request errors through unchanged", () => {
+    const error = new NotFoundError("User not found");
+    const bug = new TypeError("x is undefined");
+
+    expect(toApiError(error)).toBe(error);
+    expect(toApiError(bug)).toBe(bug);
+  });
+});
+
+describe("parseRetryAfter", () => {
+  it("accepts delay-seconds and HTTP-dates", () => {
+    const now = Date.parse("2024-01-01T00:00:00Z");
+
+    expect(parseRetryAfter("120", now)).toBe(120);
+    expect(parseRetryAfter("Mon, 01 Jan 2024 00:00:30 GMT", now)).toBe(30);
+    expect(parseRetryAfter("Sun, 31 Dec 2023 23:00:00 GMT", now)).toBe(0);
+    expect(parseRetryAfter("soon", now)).toBeNull();
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+import { AbortError } from "./errors";
+
+// Coalesces identical concurrent reads into one request.
+//
+// run(key, fetcher, signal) joins the request already in flight under
+// `key`, or starts one with fetcher(signal). Every caller gets the same
+// result. Cancellation is reference-counted: a caller aborting its own
+// signal only rejects its own promise, and the shared request is aborted
+// once the last caller has gone. Callers without a signal keep the
+// request alive.
+export const createInflightRequests = () => {
+  const inflight = new Map();
+
+  const release = (key, entry) => {
+    entry.consumers--;
+    if (entry.consumers === 0 && inflight.get(key) === entry) {
+      inflight.delete(key);
+      entry.controller.abort();
+    }
+  };
+
+  return {
+    run(key, fetcher, signal) {
+      if (signal?.aborted) return Promise.reject(new AbortError());
+
+      let entry = inflight.get(key);
+      if (!entry) {
+        const controller = new AbortController();
+        entry = { controller, consumers: 0 };
+        entry.promise = fetcher(controller.signal).finally(() => {
+          if (inflight.get(key) === entry) inflight.delete(key);
+        });
+        inflight.set(key, entry);
+      }
+      entry.consumers++;
+
+      if (!signal) return entry.promise;
+
+      const shared = entry;
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          reject(new AbortError());
+          release(key, shared);
+        };
+        signal.addEventListener("abort", onAbort, { once: true });
+
+        shared.promise
+          .then(resolve, reject)
+          .finally(() => signal.removeEventListener("abort", onAbort));
+      });
+    },
+
+    // Number of distinct requests currently in flight
+    get size() {
+      return inflight.size;
+    },
+  };
+};
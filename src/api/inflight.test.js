@@ -0,0 +1,88 @@
+import { describe, it, expect, vi } from "vitest";
+import { createInflightRequests } from "./inflight";
+import { AbortError } from "./errors";
+
+// A fetcher whose request can be settled by the test
+const deferredFetcher = () => {
+  const fetcher = vi.fn(
+    (signal) =>
+      new Promise((resolve, reject) => {
+        fetcher.resolve = resolve;
+        signal.addEventListener("abort", () => reject(new AbortError()));
+      })
+  );
+  return fetcher;
+};
+
+describe("createInflightRequests", () => {
+  it("shares one request between concurrent callers with the same key", async () => {
+    const inflight = createInflightRequests();
+    const fetcher = deferredFetcher();
+
+    const first = inflight.run("user:1", fetcher);
+    const second = inflight.run("user:1", fetcher);
+    fetcher.resolve({ id: "1" });
+
+    expect(await first).toBe(await second);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(inflight.size).toBe(0);
+  });
+
+  it("starts a new request once the previous one has settled", async () => {
+    const inflight = createInflightRequests();
+    const fetcher = vi.fn(async () => ({}));
+
+    await inflight.run("user:1", fetcher);
+    await inflight.run("user:1", fetcher);
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it("keeps the shared request alive while other callers still wait", async () => {
+    const inflight = createInflightRequests();
+    const fetcher = deferredFetcher();
+    const controller = new AbortController();
+
+    const aborted = inflight.run("user:1", fetcher, controller.signal);
+    const kept = inflight.run("user:1", fetcher, new AbortController().signal);
+    controller.abort();
+
+    await expect(aborted).rejects.toBeInstanceOf(AbortError);
+    expect(fetcher.mock.calls[0][0].aborted).toBe(false);
+
+    fetcher.resolve({ id: "1" });
+    await expect(kept).resolves.toEqual({ id: "1" });
+  });
+
+  it("aborts the shared request when every caller has aborted", async () => {
+    const inflight = createInflightRequests();
+    const fetcher = deferredFetcher();
+    const first = new AbortController();
+    const second = new AbortController();
+
+    const results = [
+      inflight.run("user:1", fetcher, first.signal),
+      inflight.run("user:1", fetcher, second.signal),
+    ];
+    first.abort();
+    second.abort();
+
+    await expect(Promise.all(results)).rejects.toBeInstanceOf(AbortError);
+    expect(fetcher.mock.calls[0][0].aborted).toBe(true);
+    expect(inflight.size).toBe(0);
+
+    // A later caller gets a request of its own
+    inflight.run("user:1", fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it("rejects right away for an already aborted signal", async () => {
+    const inflight = createInflightRequests();
+    const fetcher = vi.fn();
+
+    await expect(
+      inflight.run("user:1", fetcher, AbortSignal.abort())
+    ).rejects.toBeInstanceOf(AbortError);
+    expect(fetcher).not.toHaveBeenCalled();
+  });
+});
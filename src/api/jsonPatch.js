@@ -0,0 +1,215 @@
+// RFC 6902 JSON Patch and RFC 7396 JSON Merge Patch, shared by userApi
+// and the mock backend.
+
+export const JSON_PATCH_CONTENT_TYPE = "application/json-patch+json";
+export const MERGE_PATCH_CONTENT_TYPE = "application/merge-patch+json";
+
+// A patch that can't be applied. `code` is "TEST_FAILED" when a test op
+// didn't match, "INVALID_OPERATION" for a malformed op, or
+// "PATH_NOT_FOUND"; `index` is the position of the offending op.
+export class JsonPatchError extends Error {
+  constructor(message, { code, index = null, operation = null } = {}) {
+    super(message);
+    this.name = "JsonPatchError";
+    this.code = code;
+    this.index = index;
+    this.operation = operation;
+  }
+}
+
+const OPERATIONS = ["add", "remove", "replace", "move", "copy", "test"];
+const ARRAY_INDEX = /^(0|[1-9]\d*)$/;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isEqual = (a, b) => {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, index) => isEqual(item, b[index]))
+    );
+  }
+  if (!isPlainObject(a) || !isPlainObject(b)) return false;
+
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => key in b && isEqual(a[key], b[key]))
+  );
+};
+
+// "/profile/address/city" -> ["profile", "address", "city"] (RFC 6901)
+export const parsePointer = (pointer) => {
+  if (typeof pointer !== "string" || (pointer && !pointer.startsWith("/"))) {
+    throw new JsonPatchError(`Invalid JSON pointer "${pointer}"`, {
+      code: "INVALID_OPERATION",
+    });
+  }
+  if (pointer === "") return [];
+  return pointer
+    .slice(1)
+    .split("/")
+    .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+};
+
+export const toPointer = (tokens) =>
+  tokens
+    .map(
+      (token) => `/${String(token).replace(/~/g, "~0").replace(/\//g, "~1")}`
+    )
+    .join("");
+
+const notFound = (tokens) =>
+  new JsonPatchError(`Path "${toPointer(tokens)}" does not exist`, {
+    code: "PATH_NOT_FOUND",
+  });
+
+const hasChild = (container, token) =>
+  Array.isArray(container)
+    ? ARRAY_INDEX.test(token) && Number(token) < container.length
+    : isPlainObject(container) && Object.hasOwn(container, token);
+
+const getValue = (document, tokens) =>
+  tokens.reduce((value, token, index) => {
+    if (!hasChild(value, token)) throw notFound(tokens.slice(0, index + 1));
+    return value[token];
+  }, document);
+
+// The container the last token lives in
+const getParent = (document, tokens) => {
+  const parent = getValue(document, tokens.slice(0, -1));
+  if (!Array.isArray(parent) && !isPlainObject(parent)) throw notFound(tokens);
+  return parent;
+};
+
+// Each helper returns the document, which is replaced when the pointer
+// is the root
+const addValue = (document, tokens, value) => {
+  if (tokens.length === 0) return value;
+
+  const parent = getParent(document, tokens);
+  const token = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    if (token === "-") {
+      parent.push(value);
+    } else if (ARRAY_INDEX.test(token) && Number(token) <= parent.length) {
+      parent.splice(Number(token), 0, value);
+    } else {
+      throw notFound(tokens);
+    }
+  } else {
+    parent[token] = value;
+  }
+  return document;
+};
+
+const removeValue = (document, tokens) => {
+  if (tokens.length === 0) return undefined;
+
+  const parent = getParent(document, tokens);
+  const token = tokens[tokens.length - 1];
+  if (!hasChild(parent, token)) throw notFound(tokens);
+
+  if (Array.isArray(parent)) {
+    parent.splice(Number(token), 1);
+  } else {
+    delete parent[token];
+  }
+  return document;
+};
+
+const applyOperation = (document, operation) => {
+  if (!isPlainObject(operation) || !OPERATIONS.includes(operation.op)) {
+    throw new JsonPatchError(`Unknown operation "${operation?.op}"`, {
+      code: "INVALID_OPERATION",
+    });
+  }
+
+  const { op } = operation;
+  const path = parsePointer(operation.path);
+  const needsValue = ["add", "replace", "test"].includes(op);
+  if (needsValue && !("value" in operation)) {
+    throw new JsonPatchError(`"${op}" requires a value`, {
+      code: "INVALID_OPERATION",
+    });
+  }
+
+  switch (op) {
+    case "add":
+      return addValue(document, path, structuredClone(operation.value));
+    case "remove":
+      return removeValue(document, path);
+    case "replace":
+      getValue(document, path);
+      return addValue(
+        removeValue(document, path),
+        path,
+        structuredClone(operation.value)
+      );
+    case "test":
+      if (!isEqual(getValue(document, path), operation.value)) {
+        throw new JsonPatchError(
+          `Test failed: "${operation.path}" does not have the expected value`,
+          { code: "TEST_FAILED" }
+        );
+      }
+      return document;
+    default: {
+      // move and copy
+      const from = parsePointer(operation.from);
+      if (op === "move" && toPointer(path).startsWith(`${toPointer(from)}/`)) {
+        throw new JsonPatchError("Can't move a value into itself", {
+          code: "INVALID_OPERATION",
+        });
+      }
+
+      const value = structuredClone(getValue(document, from));
+      const source = op === "move" ? removeValue(document, from) : document;
+      return addValue(source, path, value);
+    }
+  }
+};
+
+// Apply a JSON Patch atomically: either every operation applies and the
+// patched copy is returned, or a JsonPatchError is thrown and `document`
+// is left untouched.
+export const applyPatch = (document, operations) => {
+  if (!Array.isArray(operations)) {
+    throw new JsonPatchError("A JSON Patch must be an array of operations", {
+      code: "INVALID_OPERATION",
+    });
+  }
+
+  return operations.reduce((result, operation, index) => {
+    try {
+      return applyOperation(result, operation);
+    } catch (error) {
+      if (error instanceof JsonPatchError) {
+        error.index = index;
+        error.operation = operation;
+      }
+      throw error;
+    }
+  }, structuredClone(document));
+};
+
+// Apply a JSON Merge Patch: objects merge recursively, null removes a
+// member and anything else replaces it
+export const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) return structuredClone(patch);
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+  return result;
+};
@@ -0,0 +1,102 @@
+import { describe, it, expect } from "vitest";
+import {
+  JsonPatchError,
+  applyPatch,
+  applyMergePatch,
+  parsePointer,
+  toPointer,
+} from "./jsonPatch";
+
+describe("jsonPatch", () => {
+  const user = {
+    username: "jane",
+    email: "jane@example.com",
+    profile: { avatar: "jane.png", tags: ["a", "b"] },
+  };
+
+  it("escapes and unescapes pointer tokens", () => {
+    expect(parsePointer("/a~1b/c~0d")).toEqual(["a/b", "c~d"]);
+    expect(toPointer(["a/b", "c~d"])).toBe("/a~1b/c~0d");
+    expect(parsePointer("")).toEqual([]);
+  });
+
+  it("applies every operation type to a copy", () => {
+    const result = applyPatch(user, [
+      { op: "test", path: "/username", value: "jane" },
+      { op: "replace", path: "/email", value: "jane@example.org" },
+      { op: "remove", path: "/profile/avatar" },
+      { op: "add", path: "/profile/tags/-", value: "c" },
+      { op: "add", path: "/profile/tags/0", value: "z" },
+      { op: "copy", from: "/username", path: "/profile/nickname" },
+      { op: "move", from: "/profile/tags/1", path: "/profile/first" },
+    ]);
+
+    expect(result).toEqual({
+      username: "jane",
+      email: "jane@example.org",
+      profile: { tags: ["z", "b", "c"], nickname: "jane", first: "a" },
+    });
+    expect(user.profile.avatar).toBe("jane.png");
+  });
+
+  it("fails atomically on a test that doesn't match", () => {
+    const patch = [
+      { op: "replace", path: "/email", value: "jane@example.org" },
+      { op: "test", path: "/username", value: "john" },
+    ];
+
+    let error;
+    try {
+      applyPatch(user, patch);
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(JsonPatchError);
+    expect(error.code).toBe("TEST_FAILED");
+    expect(error.index).toBe(1);
+    expect(user.email).toBe("jane@example.com");
+  });
+
+  it("compares test values structurally", () => {
+    expect(() =>
+      applyPatch(user, [
+        { op: "test", path: "/profile/tags", value: ["a", "b"] },
+      ])
+    ).not.toThrow();
+    expect(() =>
+      applyPatch(user, [{ op: "test", path: "/profile/tags", value: ["a"] }])
+    ).toThrow(/Test failed/);
+  });
+
+  it("rejects missing paths and malformed operations", () => {
+    expect(() =>
+      applyPatch(user, [{ op: "replace", path: "/phone", value: "1" }])
+    ).toThrow(expect.objectContaining({ code: "PATH_NOT_FOUND" }));
+    expect(() =>
+      applyPatch(user, [{ op: "add", path: "/profile/tags/5", value: "x" }])
+    ).toThrow(expect.objectContaining({ code: "PATH_NOT_FOUND" }));
+    expect(() => applyPatch(user, [{ op: "rename", path: "/email" }])).toThrow(
+      expect.objectContaining({ code: "INVALID_OPERATION" })
+    );
+    expect(() => applyPatch(user, [{ op: "add", path: "/email" }])).toThrow(
+      expect.objectContaining({ code: "INVALID_OPERATION" })
+    );
+    expect(() =>
+      applyPatch(user, [{ op: "move", from: "/profile", path: "/profile/x" }])
+    ).toThrow(expect.objectContaining({ code: "INVALID_OPERATION" }));
+  });
+
+  it("merges objects, removes nulls and replaces everything else", () => {
+    const result = applyMergePatch(user, {
+      email: null,
+      profile: { avatar: null, tags: ["c"], bio: { short: "hi" } },
+    });
+
+    expect(result).toEqual({
+      username: "jane",
+      profile: { tags: ["c"], bio: { short: "hi" } },
+    });
+    expect(user.email).toBe("jane@example.com");
+  });
+});
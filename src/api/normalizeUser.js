@@ -0,0 +1,71 @@
+import { InvalidResponseError } from "./errors";
+
+// Maps the user payloads the backend is known to send onto one canonical
+// model, so components never have to care which shape came back:
+//
+//   {
+//     id, username, email, role, lastLogin,
+//     profile: { firstName, lastName, avatar, address },
+//     preferences: { theme, notifications, language },
+//   }
+//
+// Fields the payload leaves out stay undefined rather than being filled
+// with guesses, so a normalized user never claims more than the server sent.
+//
+// Known shapes:
+//   - the flat user with profile/preferences
+//   - the legacy envelope { data: { user: { name, settings, ... } } }
+//   - { user: {...} } wrapping either of the above records
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Raised for payloads that match none of the known shapes
+const createInvalidUserPayloadError = (payload, reason) =>
+  new InvalidResponseError(`Unrecognized user payload: ${reason}`, {
+    code: "INVALID_USER_PAYLOAD",
+    payload,
+  });
+
+// "Jane van Doe" -> { firstName: "Jane", lastName: "van Doe" }
+const splitName = (name) => {
+  const [firstName = null, ...rest] = String(name || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  return { firstName, lastName: rest.length ? rest.join(" ") : null };
+};
+
+// Unwrap envelopes down to the user record itself
+const unwrapUser = (payload) => {
+  if (isObject(payload?.data?.user)) return payload.data.user;
+  if (isObject(payload?.user)) return payload.user;
+  return payload;
+};
+
+const toCanonicalUser = (record) => {
+  const { name, settings, profile, preferences = settings, ...rest } = record;
+  const legacyName = name !== undefined ? splitName(name) : undefined;
+
+  return {
+    ...rest,
+    id: String(record.id),
+    ...((profile || legacyName) && {
+      profile: { ...legacyName, ...profile },
+    }),
+    ...(preferences && { preferences }),
+  };
+};
+
+export const normalizeUser = (payload) => {
+  const record = isObject(payload) ? unwrapUser(payload) : null;
+
+  if (!record || record.id === undefined || record.id === null) {
+    throw createInvalidUserPayloadError(payload, "expected a user with an id");
+  }
+  if (!record.username) {
+    throw createInvalidUserPayloadError(payload, "missing username");
+  }
+
+  return toCanonicalUser(record);
+};
@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { normalizeUser } from "./normalizeUser";
+
+describe("normalizeUser", () => {
+  const flatUser = {
+    id: "2",
+    username: "janedoe",
+    email: "jane@example.com",
+    role: "user",
+    lastLogin: "2023-05-18T14:22:11Z",
+    profile: {
+      firstName: "Jane",
+      lastName: "Doe",
+      avatar: "https://randomuser.me/api/portraits/women/2.jpg",
+      address: {
+        street: "456 Oak Ave",
+        city: "Somewhere",
+        zipCode: "67890",
+        country: "USA",
+      },
+    },
+    preferences: { theme: "dark", notifications: false, language: "en" },
+  };
+
+  it("keeps the flat user shape as is", () => {
+    expect(normalizeUser(flatUser)).toEqual(flatUser);
+  });
+
+  it("maps the legacy envelope onto the canonical model", () => {
+    const { id, username, email, role, lastLogin, preferences } = flatUser;
+    const basicInfo = { id, username, email, role, lastLogin };
+    const legacy = {
+      data: {
+        user: {
+          ...basicInfo,
+          name: "Jane van Doe",
+          settings: preferences,
+        },
+      },
+    };
+
+    expect(normalizeUser(legacy)).toEqual({
+      ...basicInfo,
+      profile: { firstName: "Jane", lastName: "van Doe" },
+      preferences,
+    });
+  });
+
+  it("leaves out fields the payload does not have", () => {
+    const user = normalizeUser({ user: { id: 7, username: "new" } });
+
+    expect(user).toStrictEqual({ id: "7", username: "new" });
+  });
+
+  it("rejects unknown shapes with a clear error", () => {
+    expect(() => normalizeUser({ items: [] })).toThrow(
+      /unrecognized user payload/i
+    );
+    expect(() => normalizeUser(null)).toThrow(
+      expect.objectContaining({ code: "INVALID_USER_PAYLOAD" })
+    );
+  });
+});
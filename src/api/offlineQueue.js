@@ -0,0 +1,236 @@
+import {
+  AuthError,
+  ConflictError,
+  ForbiddenError,
+  NetworkError,
+  NotFoundError,
+} from "./errors";
+
+// Queue of mutations made while offline, replayed in order once the
+// connection is back. Items are persisted by a store so they survive a
+// reload; a store has async getAll(), add(item) -> id and delete(id), and
+// getAll() returns items in the order they were added.
+
+const DB_VERSION = 1;
+
+export const createIndexedDbStore = ({
+  dbName = "user-management",
+  storeName = "pendingMutations",
+} = {}) => {
+  let dbPromise = null;
+
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(storeName, {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  // Run one request in its own transaction; resolves once it committed
+  const run = async (mode, operation) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    getAll: () => run("readonly", (store) => store.getAll()),
+    add: (item) => run("readwrite", (store) => store.add(item)),
+    delete: (id) => run("readwrite", (store) => store.delete(id)),
+  };
+};
+
+// Non-persistent store for environments without IndexedDB
+export const createMemoryStore = () => {
+  const items = new Map();
+  let nextId = 1;
+
+  return {
+    async getAll() {
+      return [...items.values()];
+    },
+    async add(item) {
+      const id = nextId++;
+      items.set(id, { ...item, id });
+      return id;
+    },
+    async delete(id) {
+      items.delete(id);
+    },
+  };
+};
+
+export const createDefaultStore = () =>
+  typeof indexedDB !== "undefined"
+    ? createIndexedDbStore()
+    : createMemoryStore();
+
+// Still offline, or logged out: keep the item and try again later
+const shouldRetryLater = (error) =>
+  error instanceof NetworkError ||
+  (error instanceof AuthError && !(error instanceof ForbiddenError));
+
+// Replay outcome for a mutation the server turned down
+const getFailureStatus = (error) =>
+  error instanceof ConflictError || error instanceof NotFoundError
+    ? "conflict"
+    : "failed";
+
+// `send(mutation)` performs a queued mutation against the server.
+// `getOwner()` returns the id of the logged-in user, or null. Mutations
+// are stored with the owner who queued them, and only the current owner's
+// are listed and replayed; anyone else's wait for them to log in again.
+//
+// A replay that stops because the server can't be reached is retried
+// after `retryDelayMs`, twice as long each time up to `maxRetryDelayMs`,
+// as is a mutation queued while nothing is being retried.
+//
+// Listeners are called with { pending, results } when they subscribe and
+// whenever the queue changes; `results` is only set after a replay and
+// holds one { mutation, status, result | error } per item, where status
+// is "applied", "conflict" or "failed".
+export const createOfflineQueue = ({
+  store = createMemoryStore(),
+  send,
+  getOwner = () => null,
+  retryDelayMs = 5000,
+  maxRetryDelayMs = 300000,
+}) => {
+  const listeners = new Set();
+  let replaying = null;
+  let retryTimer = null;
+  let retryDelay = retryDelayMs;
+
+  // The current owner's mutations, oldest first
+  const ownItems = async () => {
+    const owner = getOwner();
+    return (await store.getAll()).filter((item) => item.ownerId === owner);
+  };
+
+  const callListener = (listener, event) => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error("Offline queue listener failed", error);
+    }
+  };
+
+  const notify = async (results) => {
+    const pending = await ownItems();
+    listeners.forEach((listener) =>
+      callListener(listener, { pending, results })
+    );
+  };
+
+  const replayAll = async () => {
+    const results = [];
+
+    // Re-read the queue each time so items added during the replay, or
+    // a change of owner, are picked up
+    for (;;) {
+      const [mutation] = await ownItems();
+      if (!mutation) {
+        resetRetry();
+        break;
+      }
+
+      try {
+        const result = await send(mutation);
+        results.push({ mutation, status: "applied", result });
+      } catch (error) {
+        if (shouldRetryLater(error)) {
+          scheduleRetry();
+          retryDelay = Math.min(retryDelay * 2, maxRetryDelayMs);
+          break;
+        }
+        results.push({ mutation, status: getFailureStatus(error), error });
+      }
+      await store.delete(mutation.id);
+    }
+
+    if (results.length > 0) await notify(results);
+    return results;
+  };
+
+  const replay = () => {
+    if (!replaying) {
+      replaying = replayAll().finally(() => {
+        replaying = null;
+      });
+    }
+    return replaying;
+  };
+
+  const scheduleRetry = () => {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      replay().catch(() => {});
+    }, retryDelay);
+  };
+
+  const resetRetry = () => {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    retryDelay = retryDelayMs;
+  };
+
+  return {
+    async enqueue(mutation) {
+      const item = {
+        ...mutation,
+        ownerId: getOwner(),
+        queuedAt: new Date().toISOString(),
+      };
+      const id = await store.add(item);
+      await notify();
+      if (!retryTimer) scheduleRetry();
+      return { ...item, id };
+    },
+
+    pending() {
+      return ownItems();
+    },
+
+    async hasPending() {
+      return (await ownItems()).length > 0;
+    },
+
+    // Send the current owner's mutations oldest first. Stops, keeping the
+    // rest and retrying later, when the network is still down; concurrent
+    // calls share one replay.
+    replay,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      ownItems().then(
+        (pending) => {
+          if (listeners.has(listener)) callListener(listener, { pending });
+        },
+        (error) => console.error("Unable to read the offline queue", error)
+      );
+      return () => listeners.delete(listener);
+    },
+
+    // Stop retrying and drop the listeners; queued items stay in the store
+    dispose() {
+      resetRetry();
+      listeners.clear();
+    },
+  };
+};
@@ -0,0 +1,168 @@
+import { describe, it, expect, vi } from "vitest";
+import { createMemoryStore, createOfflineQueue } from "./offlineQueue";
+import { AuthError, ConflictError, NetworkError, ServerError } from "./errors";
+
+describe("createOfflineQueue", () => {
+  it("replays mutations in order and reports each outcome", async () => {
+    const sent = [];
+    const send = vi.fn(async (mutation) => {
+      sent.push(mutation.userId);
+      if (mutation.userId === "2") throw new ConflictError("Changed");
+      if (mutation.userId === "3") throw new ServerError("Boom");
+      return { id: mutation.userId };
+    });
+    const queue = createOfflineQueue({ store: createMemoryStore(), send });
+
+    for (const userId of ["1", "2", "3"]) {
+      await queue.enqueue({ type: "update", userId, args: [] });
+    }
+    const results = await queue.replay();
+
+    expect(sent).toEqual(["1", "2", "3"]);
+    expect(results.map(({ status }) => status)).toEqual([
+      "applied",
+      "conflict",
+      "failed",
+    ]);
+    expect(results[0].result).toEqual({ id: "1" });
+    expect(results[1].error).toBeInstanceOf(ConflictError);
+    expect(await queue.pending()).toEqual([]);
+  });
+
+  it("stops and keeps the rest while the network is still down", async () => {
+    const send = vi
+      .fn()
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new NetworkError("Offline"));
+    const queue = createOfflineQueue({ store: createMemoryStore(), send });
+
+    await queue.enqueue({ type: "update", userId: "1", args: [] });
+    await queue.enqueue({ type: "delete", userId: "2", args: [] });
+    await queue.enqueue({ type: "update", userId: "3", args: [] });
+
+    const results = await queue.replay();
+
+    expect(results).toHaveLength(1);
+    expect((await queue.pending()).map(({ userId }) => userId)).toEqual([
+      "2",
+      "3",
+    ]);
+  });
+
+  it("notifies listeners of queue changes and replay results", async () => {
+    const queue = createOfflineQueue({
+      store: createMemoryStore(),
+      send: async () => ({}),
+    });
+    const listener = vi.fn();
+    queue.subscribe(listener);
+
+    await queue.enqueue({ type: "delete", userId: "1", args: [] });
+    expect(listener).toHaveBeenLastCalledWith({
+      pending: [expect.objectContaining({ userId: "1" })],
+      results: undefined,
+    });
+
+    await queue.replay();
+    expect(listener).toHaveBeenLastCalledWith({
+      pending: [],
+      results: [expect.objectContaining({ status: "applied" })],
+    });
+  });
+
+  it("keeps mutations for the owner who queued them", async () => {
+    let owner = "alice";
+    const send = vi.fn(async () => ({}));
+    const queue = createOfflineQueue({
+      store: createMemoryStore(),
+      send,
+      getOwner: () => owner,
+    });
+
+    await queue.enqueue({ type: "update", userId: "1", args: [] });
+    owner = "bob";
+
+    expect(await queue.hasPending()).toBe(false);
+    expect(await queue.replay()).toEqual([]);
+    expect(send).not.toHaveBeenCalled();
+
+    owner = "alice";
+    expect(await queue.pending()).toEqual([
+      expect.objectContaining({ userId: "1", ownerId: "alice" }),
+    ]);
+    expect(await queue.replay()).toHaveLength(1);
+  });
+
+  it("retries with backoff while the server can't be reached", async () => {
+    vi.useFakeTimers();
+    try {
+      const send = vi
+        .fn()
+        .mockRejectedValueOnce(new NetworkError("Offline"))
+        .mockRejectedValueOnce(new AuthError("Logged out"))
+        .mockResolvedValue({});
+      const queue = createOfflineQueue({
+        store: createMemoryStore(),
+        send,
+        retryDelayMs: 1000,
+      });
+
+      await queue.enqueue({ type: "update", userId: "1", args: [] });
+      await queue.replay();
+      expect(send).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(send).toHaveBeenCalledTimes(2);
+
+      // Twice as long after the second failure
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(send).toHaveBeenCalledTimes(2);
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(send).toHaveBeenCalledTimes(3);
+      expect(await queue.hasPending()).toBe(false);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("retries mutations queued while nothing else is pending", async () => {
+    vi.useFakeTimers();
+    try {
+      const send = vi.fn(async () => ({}));
+      const queue = createOfflineQueue({
+        store: createMemoryStore(),
+        send,
+        retryDelayMs: 1000,
+      });
+
+      await queue.enqueue({ type: "delete", userId: "1", args: [] });
+      await vi.advanceTimersByTimeAsync(1000);
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(await queue.hasPending()).toBe(false);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("stops retrying once disposed", async () => {
+    vi.useFakeTimers();
+    try {
+      const send = vi.fn(async () => ({}));
+      const queue = createOfflineQueue({
+        store: createMemoryStore(),
+        send,
+        retryDelayMs: 1000,
+      });
+
+      await queue.enqueue({ type: "delete", userId: "1", args: [] });
+      queue.dispose();
+      await vi.advanceTimersByTimeAsync(1000);
+
+      expect(send).not.toHaveBeenCalled();
+      expect(await queue.hasPending()).toBe(true);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,50 @@
+// Role-based access control shared by the dashboard and the mock backend,
+// so the UI only offers what the server will accept.
+
+export const PERMISSIONS = {
+  READ: "users:read",
+  CREATE: "users:create",
+  EDIT_SELF: "users:edit:self",
+  EDIT_OTHERS: "users:edit:others",
+  DELETE: "users:delete",
+  CHANGE_ROLE: "users:change-role",
+  UNLOCK_ACCOUNT: "users:unlock",
+  VIEW_LOGIN_ATTEMPTS: "audit:login-attempts",
+  MANAGE_SESSIONS: "sessions:manage",
+};
+
+export const ROLE_PERMISSIONS = {
+  admin: Object.values(PERMISSIONS),
+  user: [PERMISSIONS.READ, PERMISSIONS.EDIT_SELF],
+};
+
+// Whether the user's role grants a permission. Unknown roles get nothing.
+export const hasPermission = (user, permission) =>
+  Boolean(user && ROLE_PERMISSIONS[user.role]?.includes(permission));
+
+export const canEditUser = (actor, target) => {
+  if (!actor || !target) return false;
+  if (actor.id === target.id)
+    return hasPermission(actor, PERMISSIONS.EDIT_SELF);
+  return hasPermission(actor, PERMISSIONS.EDIT_OTHERS);
+};
+
+// Nobody deletes their own account from the dashboard
+export const canDeleteUser = (actor, target) =>
+  Boolean(target) &&
+  actor?.id !== target.id &&
+  hasPermission(actor, PERMISSIONS.DELETE);
+
+export const canCreateUsers = (actor) =>
+  hasPermission(actor, PERMISSIONS.CREATE);
+
+export const canChangeRole = (actor) =>
+  hasPermission(actor, PERMISSIONS.CHANGE_ROLE);
+
+export const canUnlockAccount = (actor) =>
+  hasPermission(actor, PERMISSIONS.UNLOCK_ACCOUNT);
+
+// Everyone can see and revoke their own sessions
+export const canManageSessions = (actor, target) =>
+  Boolean(actor && target) &&
+  (actor.id === target.id || hasPermission(actor, PERMISSIONS.MANAGE_SESSIONS));
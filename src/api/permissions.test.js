@@ -0,0 +1,52 @@
+import { describe, it, expect } from "vitest";
+import {
+  PERMISSIONS,
+  hasPermission,
+  canEditUser,
+  canDeleteUser,
+  canChangeRole,
+  canCreateUsers,
+  canManageSessions,
+} from "./permissions";
+
+describe("permissions", () => {
+  const admin = { id: "1", role: "admin" };
+  const member = { id: "2", role: "user" };
+  const otherMember = { id: "3", role: "user" };
+
+  it("grants admins every permission", () => {
+    Object.values(PERMISSIONS).forEach((permission) => {
+      expect(hasPermission(admin, permission)).toBe(true);
+    });
+  });
+
+  it("limits regular users to reading and editing themselves", () => {
+    expect(hasPermission(member, PERMISSIONS.READ)).toBe(true);
+    expect(canEditUser(member, member)).toBe(true);
+    expect(canEditUser(member, otherMember)).toBe(false);
+    expect(canDeleteUser(member, otherMember)).toBe(false);
+    expect(canChangeRole(member)).toBe(false);
+    expect(canCreateUsers(member)).toBe(false);
+  });
+
+  it("lets admins manage other users but not delete themselves", () => {
+    expect(canEditUser(admin, member)).toBe(true);
+    expect(canDeleteUser(admin, member)).toBe(true);
+    expect(canDeleteUser(admin, admin)).toBe(false);
+    expect(canCreateUsers(admin)).toBe(true);
+  });
+
+  it("lets users manage their own sessions and admins anyone's", () => {
+    expect(canManageSessions(member, member)).toBe(true);
+    expect(canManageSessions(member, otherMember)).toBe(false);
+    expect(canManageSessions(admin, member)).toBe(true);
+  });
+
+  it("denies everything without a known role", () => {
+    expect(hasPermission(null, PERMISSIONS.READ)).toBe(false);
+    expect(hasPermission({ id: "9", role: "guest" }, PERMISSIONS.READ)).toBe(
+      false
+    );
+    expect(canEditUser(null, member)).toBe(false);
+  });
+});
@@ -0,0 +1,202 @@
+import { getEndpointKey } from "./rateLimit";
+import { AbortError } from "./errors";
+
+// Request lifecycle plugins for the userApi client.
+//
+// A plugin is an object with a unique `name` and any of these hooks, each
+// called with a context object:
+//
+//   onRequest({ config })                   before a request is sent; may
+//                                           change config, e.g. its headers
+//   onResponse({ config, response, durationMs })
+//   onRetry({ config, error, reason, attempt, delayMs, durationMs })
+//                                           the request failed and is sent
+//                                           again; reason is "auth" (token
+//                                           refreshed) or "rate-limit"
+//   onError({ config, error, durationMs })  the request failed for good;
+//                                           `error` is the typed ApiError
+//
+// Every attempt ends in exactly one of onResponse, onRetry and onError.
+// Hooks are called synchronously in registration order; one that throws
+// is logged and doesn't affect the request or the other plugins.
+
+const HOOKS = ["onRequest", "onResponse", "onRetry", "onError"];
+
+export const createPluginRegistry = () => {
+  const plugins = new Map(); // name -> plugin
+
+  return {
+    // Returns a function that unregisters the plugin again
+    use(plugin) {
+      if (!plugin?.name) throw new Error("Plugins need a name");
+      if (plugins.has(plugin.name)) {
+        throw new Error(`Plugin "${plugin.name}" is already registered`);
+      }
+      plugins.set(plugin.name, plugin);
+      return () => {
+        if (plugins.get(plugin.name) === plugin) plugins.delete(plugin.name);
+      };
+    },
+
+    get(name) {
+      return plugins.get(name) ?? null;
+    },
+
+    list() {
+      return [...plugins.keys()];
+    },
+
+    run(hook, context) {
+      if (!HOOKS.includes(hook)) throw new Error(`Unknown hook "${hook}"`);
+
+      plugins.forEach((plugin) => {
+        if (typeof plugin[hook] !== "function") return;
+        try {
+          plugin[hook](context);
+        } catch (error) {
+          console.error(`Plugin "${plugin.name}" failed in ${hook}`, error);
+        }
+      });
+    },
+  };
+};
+
+const getHeader = (config, name) =>
+  config?.headers?.get?.(name) ?? config?.headers?.[name];
+
+// Fields shared by every log entry for a request
+const describeRequest = (config) => ({
+  method: config?.method?.toUpperCase(),
+  url: config?.url,
+  requestId: getHeader(config, "X-Request-Id") ?? null,
+});
+
+// Tags every request with an X-Request-Id the server can log, so a
+// failure can be matched with its server-side trace. Retries keep the id
+// of the original request.
+export const createCorrelationIdPlugin = ({
+  header = "X-Request-Id",
+  generateId = () => crypto.randomUUID(),
+} = {}) => ({
+  name: "correlation-id",
+  onRequest({ config }) {
+    if (!getHeader(config, header)) config.headers[header] = generateId();
+  },
+});
+
+// One structured entry per request outcome, e.g.
+// { event: "request", method: "GET", url: "/users/1", status: 200,
+//   durationMs: 84, requestId: "..." }
+export const createLoggingPlugin = ({ logger = console } = {}) => ({
+  name: "logging",
+  onResponse({ config, response, durationMs }) {
+    logger.info({
+      event: "request",
+      ...describeRequest(config),
+      status: response.status,
+      durationMs,
+    });
+  },
+  onRetry({ config, error, reason, attempt, delayMs, durationMs }) {
+    logger.warn({
+      event: "retry",
+      ...describeRequest(config),
+      status: error?.status ?? null,
+      reason,
+      attempt,
+      delayMs,
+      durationMs,
+    });
+  },
+  onError({ config, error, durationMs }) {
+    // Cancelled on purpose, e.g. a superseded search
+    if (error instanceof AbortError) return;
+
+    logger.error({
+      event: "request_failed",
+      ...describeRequest(config),
+      status: error?.status ?? null,
+      code: error?.code ?? null,
+      message: error?.message,
+      durationMs,
+    });
+  },
+});
+
+// Nearest-rank percentile of ascending `sorted`
+const percentile = (sorted, p) =>
+  sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+
+// Request timing and counters per endpoint ("GET /users/:id"). Keeps the
+// latest maxSamples latencies of each endpoint for the percentiles.
+// Cancelled requests are counted but left out of the latencies.
+export const createMetricsPlugin = ({ maxSamples = 500 } = {}) => {
+  let endpoints = new Map();
+
+  const getEndpoint = (config) => {
+    const key = getEndpointKey(config);
+    if (!endpoints.has(key)) {
+      endpoints.set(key, {
+        requests: 0,
+        errors: 0,
+        cancelled: 0,
+        retries: 0,
+        latencies: [],
+      });
+    }
+    return endpoints.get(key);
+  };
+
+  const recordLatency = (endpoint, durationMs) => {
+    endpoint.latencies.push(durationMs);
+    if (endpoint.latencies.length > maxSamples) endpoint.latencies.shift();
+  };
+
+  return {
+    name: "metrics",
+    onResponse({ config, durationMs }) {
+      const endpoint = getEndpoint(config);
+      endpoint.requests++;
+      recordLatency(endpoint, durationMs);
+    },
+    onRetry({ config, durationMs }) {
+      const endpoint = getEndpoint(config);
+      endpoint.requests++;
+      endpoint.retries++;
+      recordLatency(endpoint, durationMs);
+    },
+    onError({ config, error, durationMs }) {
+      const endpoint = getEndpoint(config);
+      endpoint.requests++;
+      if (error instanceof AbortError) {
+        endpoint.cancelled++;
+      } else {
+        endpoint.errors++;
+        recordLatency(endpoint, durationMs);
+      }
+    },
+
+    // { "GET /users/:id": { requests, errors, cancelled, retries,
+    //   latency: { p50, p90, p99, max } | null }, ... }; latencies in ms
+    getMetrics() {
+      return Object.fromEntries(
+        [...endpoints].map(([key, { latencies, ...counts }]) => {
+          const sorted = [...latencies].sort((a, b) => a - b);
+          const latency = sorted.length
+            ? {
+                p50: percentile(sorted, 50),
+                p90: percentile(sorted, 90),
+                p99: percentile(sorted, 99),
+                max: sorted[sorted.length - 1],
+              }
+            : null;
+          return [key, { ...counts, latency }];
+        })
+      );
+    },
+
+    reset() {
+      endpoints = new Map();
+    },
+  };
+};
@@ -0,0 +1,129 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  createPluginRegistry,
+  createCorrelationIdPlugin,
+  createLoggingPlugin,
+  createMetricsPlugin,
+} from "./plugins";
+import { AbortError, ServerError } from "./errors";
+
+describe("plugins", () => {
+  describe("createPluginRegistry", () => {
+    it("runs hooks in registration order and unregisters plugins", () => {
+      const registry = createPluginRegistry();
+      const calls = [];
+      const remove = registry.use({
+        name: "first",
+        onRequest: () => calls.push("first"),
+      });
+      registry.use({ name: "second", onRequest: () => calls.push("second") });
+
+      registry.run("onRequest", { config: {} });
+      remove();
+      registry.run("onRequest", { config: {} });
+
+      expect(calls).toEqual(["first", "second", "second"]);
+      expect(registry.list()).toEqual(["second"]);
+    });
+
+    it("rejects duplicate names and isolates failing hooks", () => {
+      const registry = createPluginRegistry();
+      const onResponse = vi.fn();
+      const consoleError = vi
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
+
+      registry.use({
+        name: "broken",
+        onResponse: () => {
+          throw new Error("boom");
+        },
+      });
+      registry.use({ name: "ok", onResponse });
+
+      expect(() => registry.use({ name: "ok" })).toThrow(/already registered/);
+      registry.run("onResponse", {});
+
+      expect(onResponse).toHaveBeenCalled();
+      expect(consoleError).toHaveBeenCalledWith(
+        'Plugin "broken" failed in onResponse',
+        expect.any(Error)
+      );
+      consoleError.mockRestore();
+    });
+  });
+
+  it("adds a correlation id unless the request already has one", () => {
+    const plugin = createCorrelationIdPlugin({ generateId: () => "req-1" });
+    const fresh = { headers: {} };
+    const retried = { headers: { "X-Request-Id": "req-0" } };
+
+    plugin.onRequest({ config: fresh });
+    plugin.onRequest({ config: retried });
+
+    expect(fresh.headers["X-Request-Id"]).toBe("req-1");
+    expect(retried.headers["X-Request-Id"]).toBe("req-0");
+  });
+
+  it("logs one structured entry per outcome", () => {
+    const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+    const plugin = createLoggingPlugin({ logger });
+    const config = {
+      method: "get",
+      url: "/users/1",
+      headers: { "X-Request-Id": "req-1" },
+    };
+
+    plugin.onResponse({ config, response: { status: 200 }, durationMs: 12 });
+    plugin.onError({
+      config,
+      error: new ServerError("Down", { status: 503 }),
+      durationMs: 30,
+    });
+    plugin.onError({ config, error: new AbortError(), durationMs: 5 });
+
+    expect(logger.info).toHaveBeenCalledWith({
+      event: "request",
+      method: "GET",
+      url: "/users/1",
+      requestId: "req-1",
+      status: 200,
+      durationMs: 12,
+    });
+    expect(logger.error).toHaveBeenCalledTimes(1);
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.objectContaining({
+        event: "request_failed",
+        status: 503,
+        code: "SERVER_ERROR",
+      })
+    );
+  });
+
+  it("reports counters and latency percentiles per endpoint", () => {
+    const metrics = createMetricsPlugin();
+    const get = (id) => ({ method: "get", url: `/users/${id}` });
+
+    for (let ms = 1; ms <= 100; ms++) {
+      metrics.onResponse({ config: get(ms), durationMs: ms });
+    }
+    metrics.onRetry({ config: get(1), durationMs: 5 });
+    metrics.onError({
+      config: get(1),
+      error: new ServerError("Down"),
+      durationMs: 200,
+    });
+    metrics.onError({ config: get(2), error: new AbortError(), durationMs: 1 });
+
+    expect(metrics.getMetrics()["GET /users/:id"]).toEqual({
+      requests: 103,
+      errors: 1,
+      cancelled: 1,
+      retries: 1,
+      latency: { p50: 50, p90: 91, p99: 100, max: 200 },
+    });
+
+    metrics.reset();
+    expect(metrics.getMetrics()).toEqual({});
+  });
+});
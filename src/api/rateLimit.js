@@ -0,0 +1,111 @@
+// Rate-limit helpers used by the userApi interceptors:
+//
+// - getRetryDelay: how long to wait before retrying a 429, honoring the
+//   server's Retry-After and otherwise backing off exponentially
+// - createRetryBudget: caps how many retries one endpoint may spend in a
+//   sliding window, so a struggling server isn't hammered
+// - createTokenBucket: client-side throttle that spaces requests out
+//   before the server has to say no
+
+// Capped exponential backoff with "full jitter": a random delay between 0
+// and min(maxDelayMs, baseDelayMs * 2^attempt). Jitter keeps many clients
+// that were limited at the same moment from retrying in lockstep.
+// retryAfter (seconds) wins when the server sent one, since retrying
+// earlier would only be rejected again.
+export const getRetryDelay = ({
+  attempt,
+  retryAfter = null,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  random = Math.random,
+}) => {
+  if (retryAfter !== null) return retryAfter * 1000;
+
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(random() * ceiling);
+};
+
+// Ids in a path are replaced so /users/1 and /users/2 share one budget
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f-]{27}|[0-9a-f]{24,})$/i;
+
+export const getEndpointKey = ({ method = "get", url = "" }) => {
+  const path = url
+    .split("?")[0]
+    .split("/")
+    .map((segment) => (ID_SEGMENT.test(segment) ? ":id" : segment))
+    .join("/");
+  return `${method.toUpperCase()} ${path}`;
+};
+
+// At most maxRetries retries per endpoint within any windowMs
+export const createRetryBudget = ({
+  maxRetries = 10,
+  windowMs = 60000,
+} = {}) => {
+  const spent = new Map(); // endpoint -> timestamps of recent retries
+
+  const recent = (endpoint, now) =>
+    (spent.get(endpoint) || []).filter((time) => now - time < windowMs);
+
+  return {
+    // Spend one retry if any are left; false means give up
+    tryConsume(endpoint, now = Date.now()) {
+      const times = recent(endpoint, now);
+      if (times.length >= maxRetries) {
+        spent.set(endpoint, times);
+        return false;
+      }
+      spent.set(endpoint, [...times, now]);
+      return true;
+    },
+
+    remaining(endpoint, now = Date.now()) {
+      return Math.max(0, maxRetries - recent(endpoint, now).length);
+    },
+
+    reset() {
+      spent.clear();
+    },
+  };
+};
+
+// Token bucket holding up to `capacity` tokens, refilled continuously at
+// refillPerSecond. take() resolves once a token is available; waiters are
+// served in order.
+export const createTokenBucket = ({ capacity = 10, refillPerSecond = 5 }) => {
+  let tokens = capacity;
+  let updatedAt = Date.now();
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(
+      capacity,
+      tokens + ((now - updatedAt) / 1000) * refillPerSecond
+    );
+    updatedAt = now;
+  };
+
+  const waitForToken = async () => {
+    refill();
+    while (tokens < 1) {
+      const waitMs = Math.ceil(((1 - tokens) / refillPerSecond) * 1000);
+      await new Promise((resolve) => setTimeout(resolve, waitMs));
+      refill();
+    }
+    tokens -= 1;
+  };
+
+  return {
+    take() {
+      const turn = queue.then(waitForToken);
+      queue = turn;
+      return turn;
+    },
+
+    get available() {
+      refill();
+      return Math.floor(tokens);
+    },
+  };
+};
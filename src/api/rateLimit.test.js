@@ -0,0 +1,75 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  createRetryBudget,
+  createTokenBucket,
+  getEndpointKey,
+  getRetryDelay,
+} from "./rateLimit";
+
+describe("getRetryDelay", () => {
+  it("waits as long as Retry-After asks", () => {
+    expect(getRetryDelay({ attempt: 0, retryAfter: 2 })).toBe(2000);
+    expect(getRetryDelay({ attempt: 5, retryAfter: 0 })).toBe(0);
+  });
+
+  it("backs off exponentially with jitter up to maxDelayMs", () => {
+    const options = { baseDelayMs: 100, maxDelayMs: 1000, random: () => 1 };
+
+    expect(getRetryDelay({ ...options, attempt: 0 })).toBe(100);
+    expect(getRetryDelay({ ...options, attempt: 2 })).toBe(400);
+    expect(getRetryDelay({ ...options, attempt: 10 })).toBe(1000);
+    expect(getRetryDelay({ ...options, attempt: 2, random: () => 0.5 })).toBe(
+      200
+    );
+  });
+});
+
+describe("getEndpointKey", () => {
+  it("groups requests that only differ by ids or query", () => {
+    expect(getEndpointKey({ method: "get", url: "/users/1" })).toBe(
+      getEndpointKey({ method: "get", url: "/users/42?fields=id" })
+    );
+    expect(getEndpointKey({ method: "get", url: "/users/search" })).toBe(
+      "GET /users/search"
+    );
+    expect(getEndpointKey({ method: "put", url: "/users/1" })).not.toBe(
+      getEndpointKey({ method: "get", url: "/users/1" })
+    );
+  });
+});
+
+describe("createRetryBudget", () => {
+  it("limits retries per endpoint within the window", () => {
+    const budget = createRetryBudget({ maxRetries: 2, windowMs: 1000 });
+
+    expect(budget.tryConsume("GET /users/:id", 0)).toBe(true);
+    expect(budget.tryConsume("GET /users/:id", 100)).toBe(true);
+    expect(budget.tryConsume("GET /users/:id", 200)).toBe(false);
+    expect(budget.tryConsume("GET /users/search", 200)).toBe(true);
+
+    // The first retry has left the window
+    expect(budget.remaining("GET /users/:id", 1050)).toBe(1);
+    expect(budget.tryConsume("GET /users/:id", 1050)).toBe(true);
+  });
+});
+
+describe("createTokenBucket", () => {
+  afterEach(() => vi.useRealTimers());
+
+  it("lets bursts through up to capacity, then spaces requests out", async () => {
+    vi.useFakeTimers();
+    const bucket = createTokenBucket({ capacity: 2, refillPerSecond: 10 });
+    const done = [];
+
+    [1, 2, 3, 4].forEach((n) => bucket.take().then(() => done.push(n)));
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(done).toEqual([1, 2]);
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(done).toEqual([1, 2, 3]);
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(done).toEqual([1, 2, 3, 4]);
+  });
+});
@@ -0,0 +1,178 @@
+import {
+  string,
+  email,
+  number,
+  boolean,
+  oneOf,
+  optional,
+  nullable,
+  array,
+  object,
+  partial,
+  requiredUnless,
+  any,
+} from "./validation";
+
+// Declared shapes of the data userApi exchanges with the backend. Responses
+// are checked after normalizeUser has mapped them to the canonical model.
+
+export const ROLES = ["admin", "user"];
+
+export const AddressSchema = object({
+  street: nullable(string()),
+  city: nullable(string()),
+  zipCode: nullable(string()),
+  country: nullable(string()),
+});
+
+export const ProfileSchema = object({
+  firstName: nullable(string()),
+  lastName: nullable(string()),
+  avatar: nullable(string()),
+  address: partial(AddressSchema),
+});
+
+export const PreferencesSchema = object({
+  theme: string(),
+  notifications: boolean(),
+  language: string(),
+});
+
+// Only id and username are always there; older payloads leave out the rest
+export const UserSchema = object({
+  id: string({ minLength: 1 }),
+  username: string({ minLength: 1 }),
+  email: optional(nullable(string())),
+  role: optional(oneOf(ROLES)),
+  lastLogin: optional(nullable(string())),
+  profile: optional(partial(ProfileSchema)),
+  preferences: optional(partial(PreferencesSchema)),
+});
+
+// nextCursor is only sent by backends with cursor pagination; null on
+// the last page. Those backends needn't number their pages, so total,
+// page and totalPages are only required without it.
+export const SearchResponseSchema = requiredUnless(
+  object({
+    users: array(UserSchema),
+    total: optional(number({ integer: true, min: 0 })),
+    page: optional(number({ integer: true, min: 1 })),
+    limit: number({ integer: true, min: 1 }),
+    totalPages: optional(number({ integer: true, min: 0 })),
+    nextCursor: optional(nullable(string({ minLength: 1 }))),
+  }),
+  "nextCursor",
+  ["total", "page", "totalPages"]
+);
+
+// Outgoing payloads are strict, so a misspelled field fails here instead
+// of being silently ignored by the server
+
+const ProfileInputSchema = object(
+  {
+    firstName: optional(nullable(string())),
+    lastName: optional(nullable(string())),
+    avatar: optional(nullable(string())),
+    address: optional(partial(object(AddressSchema.shape, { strict: true }))),
+  },
+  { strict: true }
+);
+
+const PreferencesInputSchema = partial(
+  object(PreferencesSchema.shape, { strict: true })
+);
+
+// The server's password policy, so a weak password fails before sending
+const password = () =>
+  string({
+    minLength: 8,
+    pattern: /^(?=.*[a-z])(?=.*\d)/i,
+    patternMessage: "Must contain both letters and numbers",
+  });
+
+export const CreateUserPayloadSchema = object(
+  {
+    username: string({ minLength: 1 }),
+    email: email(),
+    password: password(),
+    role: optional(oneOf(ROLES)),
+    profile: optional(ProfileInputSchema),
+    preferences: optional(PreferencesInputSchema),
+  },
+  { strict: true }
+);
+
+// The caller's changes; read-only fields such as id can't be updated
+export const UpdateUserPayloadSchema = object(
+  {
+    username: optional(string({ minLength: 1 })),
+    email: optional(email()),
+    role: optional(oneOf(ROLES)),
+    profile: optional(ProfileInputSchema),
+    preferences: optional(PreferencesInputSchema),
+  },
+  { strict: true }
+);
+
+// RFC 6902 JSON Patch. Paths must point into an editable field.
+const PATCH_PATH = {
+  pattern: /^\/(username|email|role|profile|preferences)(\/|$)/,
+  patternMessage:
+    "Must point into username, email, role, profile or preferences",
+};
+
+export const JsonPatchSchema = array(
+  object(
+    {
+      op: oneOf(["add", "remove", "replace", "move", "copy", "test"]),
+      path: string(PATCH_PATH),
+      from: optional(string(PATCH_PATH)),
+      value: optional(any()),
+    },
+    { strict: true }
+  )
+);
+
+// RFC 7396 JSON Merge Patch, where null removes a field. Username and
+// role can't be removed.
+const removable = (schema) => optional(nullable(schema));
+
+export const UserMergePatchSchema = object(
+  {
+    username: optional(string({ minLength: 1 })),
+    email: removable(email()),
+    role: optional(oneOf(ROLES)),
+    profile: removable(
+      object(
+        {
+          firstName: removable(string()),
+          lastName: removable(string()),
+          avatar: removable(string()),
+          address: removable(
+            object(
+              {
+                street: removable(string()),
+                city: removable(string()),
+                zipCode: removable(string()),
+                country: removable(string()),
+              },
+              { strict: true }
+            )
+          ),
+        },
+        { strict: true }
+      )
+    ),
+    preferences: removable(
+      object(
+        {
+          theme: removable(string()),
+          notifications: removable(boolean()),
+          language: removable(string()),
+        },
+        { strict: true }
+      )
+    ),
+  },
+  { strict: true }
+);
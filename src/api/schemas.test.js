@@ -0,0 +1,85 @@
+import { describe, it, expect } from "vitest";
+import { validate } from "./validation";
+import { normalizeUser } from "./normalizeUser";
+import { UserSchema, SearchResponseSchema } from "./schemas";
+import userApi from "./userApi";
+
+describe("schemas", () => {
+  const user = normalizeUser({
+    id: "1",
+    username: "johndoe",
+    email: "john@example.com",
+    role: "admin",
+  });
+
+  it("accepts normalized users and search pages", () => {
+    expect(validate(UserSchema, user)).toEqual([]);
+    expect(
+      validate(SearchResponseSchema, {
+        users: [user],
+        total: 1,
+        page: 1,
+        limit: 10,
+        totalPages: 1,
+      })
+    ).toEqual([]);
+  });
+
+  it("only requires page numbers without a cursor", () => {
+    const cursorPage = { users: [user], limit: 10, nextCursor: "abc" };
+
+    expect(validate(SearchResponseSchema, cursorPage)).toEqual([]);
+    expect(
+      validate(SearchResponseSchema, { ...cursorPage, nextCursor: null })
+    ).toEqual([]);
+    expect(
+      validate(SearchResponseSchema, { ...cursorPage, nextCursor: undefined })
+    ).toEqual([
+      { path: "total", message: "Is required" },
+      { path: "page", message: "Is required" },
+      { path: "totalPages", message: "Is required" },
+    ]);
+  });
+
+  it("points at the offending field of a search page", () => {
+    const issues = validate(SearchResponseSchema, {
+      users: [{ ...user, role: "root" }],
+      total: "1",
+      page: 1,
+      limit: 10,
+    });
+
+    expect(issues.map((issue) => issue.path)).toEqual([
+      "users[0].role",
+      "total",
+      "totalPages",
+    ]);
+  });
+
+  it("rejects bad payloads in userApi before sending them", async () => {
+    await expect(
+      userApi.updateUser("1", { email: "nope", profile: { nickname: "J" } })
+    ).rejects.toMatchObject({
+      code: "SCHEMA_VALIDATION_FAILED",
+      direction: "request",
+      issues: [
+        { path: "email", message: "Must be a valid email address" },
+        { path: "profile.nickname", message: "Is not allowed" },
+      ],
+    });
+
+    await expect(
+      userApi.createUser({ username: "new", email: "new@example.com" })
+    ).rejects.toThrow("Invalid new user: password: Is required");
+
+    await expect(
+      userApi.createUser({
+        username: "new",
+        email: "new@example.com",
+        password: "password",
+      })
+    ).rejects.toThrow(
+      "Invalid new user: password: Must contain both letters and numbers"
+    );
+  });
+});
@@ -0,0 +1,99 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  afterAll,
+} from "vitest";
+import { setupServer } from "msw/node";
+import { http, HttpResponse, delay } from "msw";
+import userApi from "./userApi";
+
+const API = "https://api.example.com";
+
+describe("userApi token refresh", () => {
+  let refreshCalls;
+  let refreshAccepted;
+  let rejectedRequests;
+
+  const server = setupServer(
+    http.post(`${API}/auth/refresh`, async () => {
+      refreshCalls++;
+      await delay(50);
+
+      if (!refreshAccepted) {
+        return HttpResponse.json(
+          { message: "Invalid refresh token" },
+          { status: 401 }
+        );
+      }
+      return HttpResponse.json({
+        token: "fresh-token",
+        refreshToken: "next-refresh-token",
+        expiresIn: 3600,
+      });
+    }),
+    http.get(`${API}/users/:userId`, ({ request, params }) => {
+      if (request.headers.get("Authorization") !== "Bearer fresh-token") {
+        rejectedRequests++;
+        return HttpResponse.json({ message: "Unauthorized" }, { status: 401 });
+      }
+      return HttpResponse.json({ id: params.userId, username: "user" });
+    })
+  );
+
+  beforeAll(() => server.listen());
+  beforeEach(() => {
+    refreshCalls = 0;
+    refreshAccepted = true;
+    rejectedRequests = 0;
+    userApi.clearCache();
+    localStorage.setItem("auth_token", "expired-token");
+    localStorage.setItem("refresh_token", "mock-refresh-token");
+  });
+  afterEach(() => {
+    userApi.configureAuth({ proactiveRefresh: false });
+    localStorage.clear();
+  });
+  afterAll(() => server.close());
+
+  it("refreshes once for concurrent 401s and replays every request", async () => {
+    const results = await Promise.all(
+      ["1", "2", "3"].map((id) => userApi.getUserById(id))
+    );
+
+    expect(results.map((user) => user.id)).toEqual(["1", "2", "3"]);
+    expect(refreshCalls).toBe(1);
+    expect(localStorage.getItem("auth_token")).toBe("fresh-token");
+    expect(localStorage.getItem("refresh_token")).toBe("next-refresh-token");
+  });
+
+  it("fails every queued request and clears the session when the refresh token is rejected", async () => {
+    refreshAccepted = false;
+
+    const results = await Promise.allSettled(
+      ["1", "2"].map((id) => userApi.getUserById(id))
+    );
+
+    expect(refreshCalls).toBe(1);
+    results.forEach((result) => {
+      expect(result.status).toBe("rejected");
+      expect(result.reason.code).toBe("SESSION_EXPIRED");
+    });
+    expect(localStorage.getItem("auth_token")).toBeNull();
+    expect(localStorage.getItem("refresh_token")).toBeNull();
+  });
+
+  it("refreshes ahead of expiry when proactive refresh is enabled", async () => {
+    userApi.configureAuth({ proactiveRefresh: true, refreshLeewayMs: 60000 });
+    localStorage.setItem("auth_expires_at", String(Date.now() + 30000));
+
+    const user = await userApi.getUserById("1");
+
+    expect(user.id).toBe("1");
+    expect(refreshCalls).toBe(1);
+    expect(rejectedRequests).toBe(0);
+  });
+});
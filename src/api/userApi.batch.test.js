@@ -0,0 +1,286 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from "vitest";
+import { setupServer } from "msw/node";
+import { http, HttpResponse } from "msw";
+import { createUserApi } from "./userApi";
+import {
+  ApiError,
+  ForbiddenError,
+  InvalidResponseError,
+  NotFoundError,
+  SchemaValidationError,
+} from "./errors";
+
+const API = "https://api.example.com";
+
+describe("userApi batch updates", () => {
+  let users;
+  let requests;
+  let batchStatus;
+  // userId -> "response" to garble the response to its chunk, or "user"
+  // to send the user back invalid
+  let brokenResponses;
+  let inFlight;
+  let maxInFlight;
+
+  const server = setupServer(
+    http.post(`${API}/users/batch`, async ({ request }) => {
+      const { updates } = await request.json();
+      requests.push({ batch: updates });
+      if (batchStatus !== 200) {
+        return HttpResponse.json({ message: "Nope" }, { status: batchStatus });
+      }
+      if (
+        updates.some(({ userId }) => brokenResponses[userId] === "response")
+      ) {
+        return HttpResponse.json({ results: "not a list" });
+      }
+
+      const failed = new Set();
+      const results = updates.map((update) => {
+        const failedId = (update.dependsOn || []).find((id) => failed.has(id));
+        if (failedId || !users[update.userId] || update.data.role) {
+          failed.add(update.userId);
+          if (failedId) {
+            return { userId: update.userId, status: 424, error: "Skipped" };
+          }
+          return users[update.userId]
+            ? { userId: update.userId, status: 403, error: "Not permitted" }
+            : { userId: update.userId, status: 404, error: "Not found" };
+        }
+        users[update.userId] = { ...users[update.userId], ...update.data };
+        return brokenResponses[update.userId] === "user"
+          ? { ...users[update.userId], role: "root" }
+          : users[update.userId];
+      });
+      return HttpResponse.json({ results });
+    }),
+    http.patch(`${API}/users/:userId`, async ({ request, params }) => {
+      const body = await request.json();
+      requests.push({ patch: params.userId });
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      inFlight--;
+      if (!users[params.userId]) {
+        return HttpResponse.json({ message: "Not found" }, { status: 404 });
+      }
+      users[params.userId] = { ...users[params.userId], ...body };
+      return HttpResponse.json(users[params.userId]);
+    })
+  );
+
+  beforeAll(() => server.listen());
+  beforeEach(() => {
+    users = Object.fromEntries(
+      ["1", "2", "3", "4", "5"].map((id) => [
+        id,
+        { id, username: `user${id}`, email: `user${id}@example.com` },
+      ])
+    );
+    requests = [];
+    batchStatus = 200;
+    brokenResponses = {};
+    inFlight = 0;
+    maxInFlight = 0;
+  });
+  afterAll(() => server.close());
+
+  const emailUpdate = (userId, extra = {}) => ({
+    userId,
+    data: { email: `new${userId}@example.com` },
+    ...extra,
+  });
+
+  it("sends updates to the batch endpoint with their merge strategy", async () => {
+    const api = createUserApi();
+
+    const results = await api.batchUpdateUsers([
+      emailUpdate("1"),
+      {
+        userId: "2",
+        data: { profile: { firstName: "Two" } },
+        mergeStrategy: "deep",
+      },
+    ]);
+
+    expect(requests).toEqual([
+      {
+        batch: [
+          {
+            userId: "1",
+            data: { email: "new1@example.com" },
+            mergeStrategy: "shallow",
+          },
+          {
+            userId: "2",
+            data: { profile: { firstName: "Two" } },
+            mergeStrategy: "deep",
+          },
+        ],
+      },
+    ]);
+    expect(results).toEqual([
+      {
+        userId: "1",
+        success: true,
+        user: expect.objectContaining({ email: "new1@example.com" }),
+      },
+      {
+        userId: "2",
+        success: true,
+        user: expect.objectContaining({ id: "2" }),
+      },
+    ]);
+  });
+
+  it("returns per-item errors in input order", async () => {
+    const api = createUserApi();
+
+    const results = await api.batchUpdateUsers([
+      emailUpdate("9"),
+      { userId: "2", data: { role: "admin" } },
+      emailUpdate("3"),
+      { userId: "4", data: { email: "not an email" } },
+    ]);
+
+    expect(results.map((r) => r.success)).toEqual([false, false, true, false]);
+    expect(results[0].error).toBeInstanceOf(NotFoundError);
+    expect(results[1].error).toBeInstanceOf(ForbiddenError);
+    expect(results[1].error.message).toBe("Not permitted");
+    expect(results[2].user.email).toBe("new3@example.com");
+    expect(results[3].error).toBeInstanceOf(SchemaValidationError);
+    // Invalid updates are never sent
+    expect(requests[0].batch.map((u) => u.userId)).toEqual(["9", "2", "3"]);
+  });
+
+  it("splits large batches into chunks in dependency order", async () => {
+    const api = createUserApi();
+
+    const results = await api.batchUpdateUsers(
+      [
+        emailUpdate("1", { dependsOn: ["3"] }),
+        emailUpdate("2"),
+        emailUpdate("3"),
+        emailUpdate("4", { dependsOn: ["1"] }),
+        emailUpdate("5"),
+      ],
+      { chunkSize: 2 }
+    );
+
+    expect(requests.map(({ batch }) => batch)).toEqual([
+      [
+        expect.objectContaining({ userId: "2" }),
+        expect.objectContaining({ userId: "3" }),
+      ],
+      [
+        expect.objectContaining({ userId: "1" }),
+        expect.objectContaining({ userId: "4", dependsOn: ["1"] }),
+      ],
+      [expect.objectContaining({ userId: "5" })],
+    ]);
+    // "3" was applied in an earlier chunk, so "1" has nothing to wait for
+    expect(requests[1].batch[0]).not.toHaveProperty("dependsOn");
+    expect(results.map((r) => r.userId)).toEqual(["1", "2", "3", "4", "5"]);
+    expect(results.every((r) => r.success)).toBe(true);
+  });
+
+  it("skips updates whose dependency failed in an earlier chunk", async () => {
+    const api = createUserApi();
+
+    const results = await api.batchUpdateUsers(
+      [
+        emailUpdate("9"),
+        emailUpdate("2", { dependsOn: ["9"] }),
+        emailUpdate("3"),
+      ],
+      { chunkSize: 1 }
+    );
+
+    expect(requests.map(({ batch }) => batch[0].userId)).toEqual(["9", "3"]);
+    expect(results[1].success).toBe(false);
+    expect(results[1].error).toBeInstanceOf(ApiError);
+    expect(results[1].error.status).toBe(424);
+    expect(results[1].error.message).toMatch(/update of 9 failed/);
+    expect(results[2].success).toBe(true);
+  });
+
+  it("rejects circular dependencies before sending anything", async () => {
+    const api = createUserApi();
+
+    await expect(
+      api.batchUpdateUsers([
+        emailUpdate("1", { dependsOn: ["2"] }),
+        emailUpdate("2", { dependsOn: ["1"] }),
+      ])
+    ).rejects.toThrow(/Circular dependency/);
+    expect(requests).toEqual([]);
+  });
+
+  it("falls back to single updates when there is no batch endpoint", async () => {
+    const api = createUserApi();
+    batchStatus = 404;
+
+    const results = await api.batchUpdateUsers([
+      emailUpdate("2", { dependsOn: ["9"] }),
+      emailUpdate("9"),
+      emailUpdate("3"),
+    ]);
+
+    expect(requests).toEqual([
+      { batch: expect.any(Array) },
+      { patch: "9" },
+      { patch: "3" },
+    ]);
+    expect(results[0].error.status).toBe(424);
+    expect(results[1].error).toBeInstanceOf(NotFoundError);
+    expect(results[2].user.email).toBe("new3@example.com");
+
+    // The endpoint isn't tried again
+    requests = [];
+    await api.batchUpdateUsers([emailUpdate("4")]);
+    expect(requests).toEqual([{ patch: "4" }]);
+  });
+
+  it("reports a failed batch request for every update", async () => {
+    const api = createUserApi();
+    batchStatus = 500;
+
+    const results = await api.batchUpdateUsers([
+      emailUpdate("1"),
+      emailUpdate("2"),
+    ]);
+
+    expect(results.map((r) => r.error.status)).toEqual([500, 500]);
+  });
+
+  it("fails only the chunk whose response can't be read", async () => {
+    const api = createUserApi();
+    brokenResponses = { 2: "response", 3: "user" };
+
+    const results = await api.batchUpdateUsers(
+      [emailUpdate("1"), emailUpdate("2"), emailUpdate("3"), emailUpdate("4")],
+      { chunkSize: 1 }
+    );
+
+    expect(requests).toHaveLength(4);
+    expect(results.map((r) => r.success)).toEqual([true, false, false, true]);
+    expect(results[0].user.email).toBe("new1@example.com");
+    expect(results[1].error).toBeInstanceOf(InvalidResponseError);
+    expect(results[2].error).toBeInstanceOf(SchemaValidationError);
+    expect(results[3].user.email).toBe("new4@example.com");
+  });
+
+  it("limits the single updates in flight to the chunk size", async () => {
+    const api = createUserApi();
+    batchStatus = 404;
+
+    const results = await api.batchUpdateUsers(
+      ["1", "2", "3", "4", "5"].map((id) => emailUpdate(id)),
+      { chunkSize: 2 }
+    );
+
+    expect(results.every((r) => r.success)).toBe(true);
+    expect(requests.filter((r) => r.patch)).toHaveLength(5);
+    expect(maxInFlight).toBe(2);
+  });
+});
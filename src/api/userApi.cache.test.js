@@ -0,0 +1,164 @@
+import {
+  describe,
+  it,
+  expect,
+  vi,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  afterAll,
+} from "vitest";
+import { setupServer } from "msw/node";
+import { http, HttpResponse } from "msw";
+import userApi from "./userApi";
+
+const API = "https://api.example.com";
+
+describe("userApi cache", () => {
+  let userRequests;
+  let searchRequests;
+  let version;
+
+  const server = setupServer(
+    http.get(`${API}/users/search`, ({ request }) => {
+      searchRequests++;
+      const query = new URL(request.url).searchParams.get("query");
+      return HttpResponse.json({
+        users: [{ id: "1", username: query }],
+        total: 1,
+        page: 1,
+        limit: 10,
+        totalPages: 1,
+      });
+    }),
+    http.get(`${API}/users/:userId`, ({ params }) => {
+      userRequests++;
+      return HttpResponse.json({
+        id: params.userId,
+        username: "jane",
+        version,
+      });
+    }),
+    http.patch(`${API}/users/:userId`, ({ params }) =>
+      HttpResponse.json({
+        id: params.userId,
+        username: "jane",
+        version: ++version,
+      })
+    ),
+    http.delete(`${API}/users/:userId`, () =>
+      HttpResponse.json({ message: "User deleted successfully" })
+    )
+  );
+
+  beforeAll(() => server.listen());
+  beforeEach(() => {
+    userRequests = 0;
+    searchRequests = 0;
+    version = 1;
+    userApi.clearCache();
+    userApi.cache.resetStats();
+    localStorage.setItem("auth_token", "token");
+  });
+  afterEach(() => {
+    vi.useRealTimers();
+    localStorage.clear();
+  });
+  afterAll(() => server.close());
+
+  it("serves a stale user immediately and revalidates it in the background", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    await userApi.getUserById("1");
+
+    version = 2;
+    vi.advanceTimersByTime(6 * 60 * 1000);
+
+    expect(await userApi.getUserById("1")).toMatchObject({ version: 1 });
+    await vi.waitFor(() => expect(userRequests).toBe(2));
+    await vi.waitFor(async () =>
+      expect(await userApi.getUserById("1")).toMatchObject({ version: 2 })
+    );
+    expect(userApi.getCacheStats()).toMatchObject({ misses: 1, staleHits: 1 });
+  });
+
+  it("caches search pages by query", async () => {
+    await userApi.searchUsers("jane", 1, 10);
+    await userApi.searchUsers("jane", 1, 10);
+    await userApi.searchUsers("jane", 2, 10);
+    const { data } = await userApi.searchUsers("john", 1, 10);
+
+    expect(searchRequests).toBe(3);
+    expect(data.users[0].username).toBe("john");
+  });
+
+  it("drops the user and search pages after a mutation", async () => {
+    await userApi.getUserById("1");
+    await userApi.searchUsers("jane", 1, 10);
+
+    await userApi.updateUser("1", { email: "new@example.com" });
+    expect(await userApi.getUserById("1")).toMatchObject({ version: 2 });
+    await userApi.searchUsers("jane", 1, 10);
+
+    await userApi.deleteUser("1", "DELETE-1");
+    await userApi.getUserById("1");
+
+    expect(userRequests).toBe(3);
+    expect(searchRequests).toBe(2);
+  });
+
+  it("shares one request between identical concurrent reads", async () => {
+    const [first, second] = await Promise.all([
+      userApi.getUserById("1", { forceFresh: true }),
+      userApi.getUserById("1", { forceFresh: true }),
+      userApi.searchUsers("jane", 1, 10),
+      userApi.searchUsers("jane", 1, 10),
+    ]);
+
+    expect(first).toBe(second);
+    expect(userRequests).toBe(1);
+    expect(searchRequests).toBe(1);
+  });
+
+  it("keeps a shared read going when one caller aborts", async () => {
+    const controller = new AbortController();
+
+    const aborted = userApi.getUserById("1", { signal: controller.signal });
+    const kept = userApi.getUserById("1", {
+      signal: new AbortController().signal,
+    });
+    controller.abort();
+
+    await expect(aborted).rejects.toMatchObject({ name: "AbortError" });
+    await expect(kept).resolves.toMatchObject({ id: "1" });
+    expect(userRequests).toBe(1);
+  });
+
+  it("still takes forceFresh as a positional argument", async () => {
+    await userApi.getUserById("1");
+    await userApi.getUserById("1", true);
+
+    expect(userRequests).toBe(2);
+  });
+
+  it("still takes an AbortSignal in place of the search options", async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(
+      userApi.searchUsers("jane", 1, 10, controller.signal)
+    ).rejects.toMatchObject({ name: "AbortError" });
+  });
+
+  it("bounds the number of cached entries", async () => {
+    userApi.configureCache({ maxSize: 2 });
+    try {
+      await userApi.getUserById("1");
+      await userApi.getUserById("2");
+      await userApi.getUserById("3");
+
+      expect(userApi.getCacheStats()).toMatchObject({ size: 2, evictions: 1 });
+    } finally {
+      userApi.configureCache({ maxSize: 200 });
+    }
+  });
+});
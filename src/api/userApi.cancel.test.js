@@ -0,0 +1,185 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from "vitest";
+import { setupServer } from "msw/node";
+import { http, HttpResponse, delay } from "msw";
+import { createUserApi } from "./userApi";
+import { AbortError } from "./errors";
+import { createMemoryStorage } from "../../test/memoryStorage";
+
+const API = "https://api.example.com";
+
+describe("userApi cancellation", () => {
+  let requests;
+  let responseDelayMs;
+  let limitedResponses;
+  let validToken;
+
+  const server = setupServer(
+    http.get(`${API}/users/:userId`, async ({ request, params }) => {
+      requests.push(`GET /users/${params.userId}`);
+      if (request.headers.get("Authorization") !== `Bearer ${validToken}`) {
+        return HttpResponse.json({ message: "Expired" }, { status: 401 });
+      }
+      if (limitedResponses > 0) {
+        limitedResponses--;
+        return HttpResponse.json(
+          { message: "Too many requests" },
+          { status: 429, headers: { "Retry-After": "1" } }
+        );
+      }
+      await delay(responseDelayMs);
+      return HttpResponse.json({ id: params.userId, username: "jane" });
+    }),
+    http.patch(`${API}/users/:userId`, async ({ params }) => {
+      requests.push(`PATCH /users/${params.userId}`);
+      await delay(responseDelayMs);
+      return HttpResponse.json({ id: params.userId, username: "jane" });
+    }),
+    // No batch endpoint, so batches go through updateUser
+    http.post(`${API}/users/batch`, () => {
+      requests.push("POST /users/batch");
+      return HttpResponse.json({ message: "Not found" }, { status: 404 });
+    }),
+    http.delete(`${API}/users/:userId`, ({ params }) => {
+      requests.push(`DELETE /users/${params.userId}`);
+      return HttpResponse.json({ message: "Deleted" });
+    }),
+    http.post(`${API}/auth/refresh`, async () => {
+      requests.push("POST /auth/refresh");
+      await delay(50);
+      validToken = "token-2";
+      return HttpResponse.json({ token: "token-2", refreshToken: "refresh-2" });
+    })
+  );
+
+  beforeAll(() => server.listen());
+  beforeEach(() => {
+    requests = [];
+    responseDelayMs = 0;
+    limitedResponses = 0;
+    validToken = "token-1";
+  });
+  afterAll(() => server.close());
+
+  const createApi = () =>
+    createUserApi({
+      tokenStorage: createMemoryStorage({
+        auth_token: "token-1",
+        refresh_token: "refresh-1",
+      }),
+    });
+
+  // Abort after the request has been sent
+  const abortSoon = (controller, ms = 10) =>
+    setTimeout(() => controller.abort(), ms);
+
+  it("cancels reads in flight", async () => {
+    const api = createApi();
+    const controller = new AbortController();
+    responseDelayMs = 200;
+
+    const read = api.getUserById("1", { signal: controller.signal });
+    abortSoon(controller);
+
+    await expect(read).rejects.toBeInstanceOf(AbortError);
+  });
+
+  it("doesn't send mutations that were cancelled beforehand", async () => {
+    const api = createApi();
+    const controller = new AbortController();
+    controller.abort();
+    const options = { signal: controller.signal };
+
+    await expect(
+      api.createUser(
+        { username: "new", email: "new@example.com", password: "s3cret-pass" },
+        options
+      )
+    ).rejects.toBeInstanceOf(AbortError);
+    await expect(
+      api.deleteUser("1", "DELETE-1", options)
+    ).rejects.toBeInstanceOf(AbortError);
+    expect(requests).toEqual([]);
+  });
+
+  it("cancels a deep update in flight", async () => {
+    const api = createApi();
+    const controller = new AbortController();
+    responseDelayMs = 200;
+
+    const update = api.updateUser("1", { email: "jane@example.org" }, "deep", {
+      signal: controller.signal,
+    });
+    abortSoon(controller);
+
+    await expect(update).rejects.toBeInstanceOf(AbortError);
+    expect(requests).toEqual(["PATCH /users/1"]);
+  });
+
+  it("applies a per-call timeout to every request of the call", async () => {
+    const timeouts = [];
+    const api = createUserApi({
+      tokenStorage: createMemoryStorage({ auth_token: "token-1" }),
+      httpAdapter: async (config) => {
+        timeouts.push(`${config.method} ${config.timeout}`);
+        return {
+          data: { id: "1", username: "jane" },
+          status: 200,
+          headers: {},
+          config,
+        };
+      },
+    });
+
+    await api.updateUser("1", { email: "jane@example.org" }, "deep", {
+      timeout: 20,
+    });
+    await api.getUserById("2");
+
+    expect(timeouts).toEqual(["patch 20", "get 5000"]);
+  });
+
+  it("stops waiting to retry a rate-limited request", async () => {
+    const api = createApi();
+    const controller = new AbortController();
+    limitedResponses = 1;
+
+    const read = api.getUserById("1", { signal: controller.signal });
+    abortSoon(controller, 50);
+
+    await expect(read).rejects.toBeInstanceOf(AbortError);
+    expect(requests).toEqual(["GET /users/1"]);
+  });
+
+  it("stops waiting for a token refresh without cancelling it", async () => {
+    const api = createApi();
+    const controller = new AbortController();
+    validToken = "token-2";
+
+    const read = api.getUserById("1", { signal: controller.signal });
+    const other = api.getUserById("2");
+    abortSoon(controller, 20);
+
+    await expect(read).rejects.toBeInstanceOf(AbortError);
+    await expect(other).resolves.toMatchObject({ id: "2" });
+    expect(requests.filter((r) => r === "POST /auth/refresh")).toHaveLength(1);
+  });
+
+  it("stops a sequential batch at the update in flight", async () => {
+    const api = createApi();
+    const controller = new AbortController();
+    responseDelayMs = 100;
+
+    const batch = api.batchUpdateUsers(
+      [
+        { userId: "1", data: { email: "one@example.com" } },
+        { userId: "2", data: { email: "two@example.com" }, dependsOn: ["1"] },
+      ],
+      { signal: controller.signal }
+    );
+    abortSoon(controller, 20);
+
+    await expect(batch).rejects.toBeInstanceOf(AbortError);
+    await delay(150);
+    expect(requests).toEqual(["POST /users/batch", "PATCH /users/1"]);
+  });
+});
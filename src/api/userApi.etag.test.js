@@ -0,0 +1,122 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  afterAll,
+} from "vitest";
+import { setupServer } from "msw/node";
+import { http, HttpResponse } from "msw";
+import { createUserApi } from "./userApi";
+import { PreconditionFailedError } from "./errors";
+
+const API = "https://api.example.com";
+
+describe("userApi conditional updates", () => {
+  let user;
+  let ifMatchHeaders;
+  let patches;
+
+  const etag = () => `"${user.id}-v${user.version}"`;
+
+  const server = setupServer(
+    http.get(`${API}/users/:userId`, () =>
+      HttpResponse.json(user, { headers: { ETag: etag() } })
+    ),
+    http.patch(`${API}/users/:userId`, async ({ request }) => {
+      const ifMatch = request.headers.get("If-Match");
+      const body = await request.json();
+      ifMatchHeaders.push(ifMatch);
+      patches.push({
+        body,
+        mergeStrategy: request.headers.get("X-Merge-Strategy"),
+      });
+
+      if (ifMatch && ifMatch !== etag()) {
+        return HttpResponse.json(
+          { message: "User was modified by someone else", current: user },
+          { status: 412, headers: { ETag: etag() } }
+        );
+      }
+      user = { ...user, ...body, version: user.version + 1 };
+      return HttpResponse.json(user, { headers: { ETag: etag() } });
+    })
+  );
+
+  beforeAll(() => server.listen());
+  beforeEach(() => {
+    user = { id: "1", username: "jane", email: "jane@example.com", version: 1 };
+    ifMatchHeaders = [];
+    patches = [];
+  });
+  afterEach(() => server.resetHandlers());
+  afterAll(() => server.close());
+
+  // Someone else saving a change behind our back
+  const concurrentEdit = (changes) => {
+    user = { ...user, ...changes, version: user.version + 1 };
+  };
+
+  it("sends If-Match and remembers the ETag of the saved version", async () => {
+    const api = createUserApi();
+
+    await api.getUserById("1");
+    expect(api.getETag("1")).toBe('"1-v1"');
+
+    await api.updateUser("1", { email: "jane@example.org" }, "shallow", {
+      ifMatch: api.getETag("1"),
+    });
+
+    expect(ifMatchHeaders).toEqual(['"1-v1"']);
+    expect(api.getETag("1")).toBe('"1-v2"');
+  });
+
+  it("rejects with the current version when the user changed meanwhile", async () => {
+    const api = createUserApi();
+    await api.getUserById("1");
+    const loadedETag = api.getETag("1");
+
+    concurrentEdit({ username: "jane.doe" });
+    const error = await api
+      .updateUser("1", { email: "jane@example.org" }, "shallow", {
+        ifMatch: loadedETag,
+      })
+      .catch((err) => err);
+
+    expect(error).toBeInstanceOf(PreconditionFailedError);
+    expect(error.etag).toBe('"1-v2"');
+    expect(error.latest).toMatchObject({ username: "jane.doe", version: 2 });
+    expect(user.email).toBe("jane@example.com");
+  });
+
+  it("sends only the changes of a deep update", async () => {
+    const api = createUserApi();
+    // Some reads come back in the legacy shape, without avatar or address
+    server.use(
+      http.get(`${API}/users/:userId`, () =>
+        HttpResponse.json(
+          { data: { user: { id: "1", username: "jane", name: "Jane Doe" } } },
+          { headers: { ETag: etag() } }
+        )
+      )
+    );
+    await api.getUserById("1");
+
+    await api.updateUser(
+      "1",
+      { profile: { address: { city: "Berlin" } } },
+      "deep",
+      { ifMatch: api.getETag("1") }
+    );
+
+    expect(patches).toEqual([
+      {
+        body: { profile: { address: { city: "Berlin" } } },
+        mergeStrategy: "deep",
+      },
+    ]);
+    expect(ifMatchHeaders).toEqual(['"1-v1"']);
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, it, expect, vi } from "vitest";
+import { createUserApi } from "./userApi";
+import { SessionExpiredError } from "./errors";
+import { createMemoryStorage } from "../../test/memoryStorage";
+
+// axios adapter answering from a route table: "METHOD /path" -> handler
+const createAdapter = (routes) =>
+  vi.fn(async (config) => {
+    const route = `${config.method.toUpperCase()} ${config.url}`;
+    const [status, data] = routes[route]?.(config) ?? [404, {}];
+    const response = { data, status, headers: {}, config, request: {} };
+
+    if (status >= 400) {
+      const error = new Error(`Request failed with status code ${status}`);
+      Object.assign(error, { isAxiosError: true, config, response });
+      throw error;
+    }
+    return response;
+  });
+
+describe("createUserApi", () => {
+  it("uses the given base URL, timeout and adapter", async () => {
+    const httpAdapter = createAdapter({
+      "GET /users/1": () => [200, { id: "1", username: "jane" }],
+    });
+    const api = createUserApi({
+      baseURL: "https://staging.example.com",
+      timeout: 1234,
+      tokenStorage: createMemoryStorage({ auth_token: "token-1" }),
+      httpAdapter,
+    });
+
+    await expect(api.getUserById("1")).resolves.toMatchObject({
+      username: "jane",
+    });
+
+    const [config] = httpAdapter.mock.calls[0];
+    expect(config.baseURL).toBe("https://staging.example.com");
+    expect(config.timeout).toBe(1234);
+    expect(config.headers.Authorization).toBe("Bearer token-1");
+  });
+
+  it("keeps sessions and caches separate between instances", async () => {
+    const routes = {
+      "POST /auth/login": ({ data }) => [
+        200,
+        {
+          token: `token-${JSON.parse(data).username}`,
+          user: { id: "1", username: JSON.parse(data).username },
+        },
+      ],
+      "GET /users/1": () => [200, { id: "1", username: "jane" }],
+    };
+    const first = createUserApi({
+      tokenStorage: createMemoryStorage(),
+      httpAdapter: createAdapter(routes),
+    });
+    const second = createUserApi({
+      tokenStorage: createMemoryStorage(),
+      httpAdapter: createAdapter(routes),
+    });
+
+    await first.login("jane", "secret");
+    await first.getUserById("1");
+
+    expect(first.getCurrentUser().username).toBe("jane");
+    expect(second.getCurrentUser()).toBeNull();
+    expect(first.getCacheStats().size).toBe(1);
+    expect(second.getCacheStats().size).toBe(0);
+  });
+
+  it("calls onAuthFailure when the session can't be refreshed", async () => {
+    const onAuthFailure = vi.fn();
+    const tokenStorage = createMemoryStorage({
+      auth_token: "expired-token",
+      refresh_token: "revoked-refresh-token",
+    });
+    const api = createUserApi({
+      tokenStorage,
+      httpAdapter: createAdapter({
+        "GET /users/1": () => [401, { message: "Token expired" }],
+        "POST /auth/refresh": () => [401, { message: "Invalid refresh token" }],
+      }),
+      onAuthFailure,
+    });
+
+    await expect(api.getUserById("1")).rejects.toBeInstanceOf(
+      SessionExpiredError
+    );
+    expect(onAuthFailure).toHaveBeenCalledTimes(1);
+    expect(onAuthFailure.mock.calls[0][0]).toBeInstanceOf(SessionExpiredError);
+    expect(tokenStorage.getItem("auth_token")).toBeNull();
+  });
+
+  it("stops sending the refreshed token after logout", async () => {
+    const httpAdapter = createAdapter({
+      "GET /users/1": ({ headers }) =>
+        headers.Authorization === "Bearer token-2"
+          ? [200, { id: "1", username: "jane" }]
+          : [401, { message: "Token expired" }],
+      "POST /auth/refresh": () => [
+        200,
+        { token: "token-2", refreshToken: "refresh-2" },
+      ],
+      "POST /auth/password-reset": () => [200, { message: "Sent" }],
+    });
+    const api = createUserApi({
+      tokenStorage: createMemoryStorage({
+        auth_token: "token-1",
+        refresh_token: "refresh-1",
+      }),
+      httpAdapter,
+    });
+
+    await api.getUserById("1");
+    await api.logout();
+    await api.requestPasswordReset("jane");
+
+    const [config] = httpAdapter.mock.calls.at(-1);
+    expect(config.url).toBe("/auth/password-reset");
+    expect(config.headers.Authorization).toBeUndefined();
+  });
+
+  it("ends the session on the server when logging out", async () => {
+    const tokenStorage = createMemoryStorage({
+      auth_token: "token-1",
+      refresh_token: "refresh-1",
+    });
+    const httpAdapter = createAdapter({
+      "POST /auth/logout": () => [200, { message: "Logged out" }],
+    });
+    const api = createUserApi({ tokenStorage, httpAdapter });
+
+    await api.logout();
+
+    const [config] = httpAdapter.mock.calls[0];
+    expect(config.url).toBe("/auth/logout");
+    expect(config.headers.Authorization).toBe("Bearer token-1");
+    expect(JSON.parse(config.data)).toEqual({ refreshToken: "refresh-1" });
+    expect(api.hasStoredSession()).toBe(false);
+  });
+
+  it("logs out locally when the server can't end the session", async () => {
+    const tokenStorage = createMemoryStorage({
+      auth_token: "token-1",
+      refresh_token: "refresh-1",
+    });
+    const api = createUserApi({
+      tokenStorage,
+      httpAdapter: createAdapter({
+        "POST /auth/logout": () => [500, { message: "Boom" }],
+      }),
+    });
+    const onLogout = vi.fn();
+    api.onAuthEvent(onLogout);
+
+    await api.logout();
+
+    expect(tokenStorage.getItem("auth_token")).toBeNull();
+    expect(tokenStorage.getItem("refresh_token")).toBeNull();
+    expect(onLogout).toHaveBeenCalledTimes(1);
+  });
+
+  it("announces the updated user once two-factor is enabled", async () => {
+    const tokenStorage = createMemoryStorage({
+      auth_token: "token-1",
+      current_user: JSON.stringify({ id: "2", username: "jane" }),
+    });
+    const api = createUserApi({
+      tokenStorage,
+      httpAdapter: createAdapter({
+        "POST /auth/mfa/enroll/confirm": () => [200, { mfaEnabled: true }],
+      }),
+    });
+    const listener = vi.fn();
+    api.onAuthEvent(listener);
+
+    await api.confirmMfaEnrollment("123456");
+
+    expect(listener).toHaveBeenCalledWith({
+      type: "userUpdated",
+      user: { id: "2", username: "jane", mfaEnabled: true },
+      source: "local",
+    });
+    expect(api.getCurrentUser().mfaEnabled).toBe(true);
+  });
+});
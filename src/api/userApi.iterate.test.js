@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from "vitest";
+import { setupServer } from "msw/node";
+import { http, HttpResponse } from "msw";
+import { createUserApi } from "./userApi";
+import { AbortError } from "./errors";
+
+const API = "https://api.example.com";
+
+const allUsers = Array.from({ length: 5 }, (_, index) => ({
+  id: String(index + 1),
+  username: `user${index + 1}`,
+}));
+
+// Page of allUsers starting at `offset`, with the usual metadata
+const toPage = (offset, limit, page, extra = {}) => ({
+  users: allUsers.slice(offset, offset + limit),
+  total: allUsers.length,
+  page,
+  limit,
+  totalPages: Math.ceil(allUsers.length / limit),
+  ...extra,
+});
+
+describe("userApi.iterateUsers", () => {
+  let requests;
+  let useCursors;
+
+  const server = setupServer(
+    http.get(`${API}/users/search`, ({ request }) => {
+      const params = new URL(request.url).searchParams;
+      requests.push(Object.fromEntries(params));
+      const limit = Number(params.get("limit"));
+
+      if (useCursors) {
+        const offset = Number(params.get("cursor") ?? 0);
+        const next = offset + limit;
+        // Cursor backends don't number their pages
+        return HttpResponse.json({
+          users: allUsers.slice(offset, next),
+          limit,
+          nextCursor: next < allUsers.length ? String(next) : null,
+        });
+      }
+
+      const page = Number(params.get("page"));
+      return HttpResponse.json(toPage((page - 1) * limit, limit, page));
+    })
+  );
+
+  beforeAll(() => server.listen());
+  beforeEach(() => {
+    requests = [];
+    useCursors = false;
+  });
+  afterAll(() => server.close());
+
+  const collect = async (iterator) => {
+    const users = [];
+    for await (const user of iterator) users.push(user.username);
+    return users;
+  };
+
+  it("walks every page until totalPages", async () => {
+    const api = createUserApi();
+
+    const usernames = await collect(api.iterateUsers("", { pageSize: 2 }));
+
+    expect(usernames).toEqual(["user1", "user2", "user3", "user4", "user5"]);
+    expect(requests.map(({ page }) => page)).toEqual(["1", "2", "3"]);
+  });
+
+  it("follows cursors when the server sends them", async () => {
+    const api = createUserApi();
+    useCursors = true;
+
+    const usernames = await collect(api.iterateUsers("", { pageSize: 2 }));
+
+    expect(usernames).toHaveLength(5);
+    expect(requests.map(({ cursor }) => cursor)).toEqual([undefined, "2", "4"]);
+  });
+
+  it("only fetches the pages that are consumed", async () => {
+    const api = createUserApi();
+
+    for await (const user of api.iterateUsers("", { pageSize: 2 })) {
+      if (user.username === "user2") break;
+    }
+
+    expect(requests).toHaveLength(1);
+  });
+
+  it("stops with an AbortError when cancelled", async () => {
+    const api = createUserApi();
+    const controller = new AbortController();
+    const usernames = [];
+
+    const walk = async () => {
+      for await (const user of api.iterateUsers("", {
+        pageSize: 2,
+        signal: controller.signal,
+      })) {
+        usernames.push(user.username);
+        if (usernames.length === 2) controller.abort();
+      }
+    };
+
+    await expect(walk()).rejects.toBeInstanceOf(AbortError);
+    expect(usernames).toEqual(["user1", "user2"]);
+  });
+});
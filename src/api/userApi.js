@@ -1,227 +1,1478 @@
 import axios from "axios";
+import { AUTH_EVENTS, createAuthEventBus } from "./authEvents";
+import { createLruCache } from "./cache";
+import { createInflightRequests } from "./inflight";
+import { createDefaultStore, createOfflineQueue } from "./offlineQueue";
+import {
+  AbortError,
+  ConflictError,
+  InvalidResponseError,
+  NetworkError,
+  PreconditionFailedError,
+  SessionExpiredError,
+  TimeoutError,
+  createApiError,
+  toApiError,
+} from "./errors";
+import {
+  createRetryBudget,
+  createTokenBucket,
+  getEndpointKey,
+  getRetryDelay,
+} from "./rateLimit";
+import { JSON_PATCH_CONTENT_TYPE, MERGE_PATCH_CONTENT_TYPE } from "./jsonPatch";
+import { normalizeUser } from "./normalizeUser";
+import {
+  createCorrelationIdPlugin,
+  createLoggingPlugin,
+  createMetricsPlugin,
+  createPluginRegistry,
+} from "./plugins";
+import { assertValid } from "./validation";
+import {
+  UserSchema,
+  SearchResponseSchema,
+  CreateUserPayloadSchema,
+  UpdateUserPayloadSchema,
+  JsonPatchSchema,
+  UserMergePatchSchema,
+} from "./schemas";
 
-const API_BASE_URL = "https://api.example.com";
-const TIMEOUT_MS = 5000;
+const DEFAULT_BASE_URL = "https://api.example.com";
+const DEFAULT_TIMEOUT_MS = 5000;
 
-// Configurable axios instance
-const apiClient = axios.create({
-  baseURL: API_BASE_URL,
-  timeout: TIMEOUT_MS,
-  headers: {
-    "Content-Type": "application/json",
+// Storage keys for the persisted session
+const AUTH_TOKEN_KEY = "auth_token";
+const REFRESH_TOKEN_KEY = "refresh_token";
+const CURRENT_USER_KEY = "current_user";
+const TOKEN_EXPIRES_KEY = "auth_expires_at";
+
+// How updateUser sends each merge strategy. "shallow" and "deep" send
+// the changed fields as plain JSON, "deep" asking the server to merge
+// nested objects; the patch formats send the caller's patch document as is.
+const UPDATE_FORMATS = {
+  shallow: { schema: UpdateUserPayloadSchema },
+  deep: {
+    schema: UpdateUserPayloadSchema,
+    headers: { "X-Merge-Strategy": "deep" },
+  },
+  "json-patch": {
+    schema: JsonPatchSchema,
+    contentType: JSON_PATCH_CONTENT_TYPE,
+  },
+  "merge-patch": {
+    schema: UserMergePatchSchema,
+    contentType: MERGE_PATCH_CONTENT_TYPE,
   },
+};
+
+// Updates sent per POST /users/batch; the server takes up to 100
+const DEFAULT_BATCH_CHUNK_SIZE = 50;
+
+// Statuses meaning the server has no batch endpoint
+const BATCH_UNSUPPORTED_STATUSES = [404, 405, 501];
+
+// localStorage, looked up on every call rather than captured once
+const browserStorage = {
+  getItem: (key) => localStorage.getItem(key),
+  setItem: (key, value) => localStorage.setItem(key, value),
+  removeItem: (key) => localStorage.removeItem(key),
+};
+
+// Cache keys. Search pages are keyed by their full query so each page is
+// cached separately.
+const userCacheKey = (userId) => `user:${userId}`;
+const searchCacheKey = (query, page, limit) =>
+  `search:${JSON.stringify([query ?? "", page, limit])}`;
+const isSearchCacheKey = (key) => key.startsWith("search:");
+
+const isBrowserOffline = () =>
+  typeof navigator !== "undefined" && navigator.onLine === false;
+
+// A request that never reached the server. Timeouts don't count: the
+// server may well have applied the change.
+const isConnectionFailure = (error) =>
+  error instanceof NetworkError && !(error instanceof TimeoutError);
+
+// Axios config for the per-call options every method accepts:
+//   signal   AbortSignal that cancels the call, including its retries
+//            and any token refresh it is waiting for
+//   timeout  ms each of its requests may take; overrides the client's
+const requestConfig = ({ signal, timeout } = {}) => ({
+  ...(signal && { signal }),
+  ...(timeout !== undefined && { timeout }),
 });
 
-// Request interceptor to add auth token
-apiClient.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem("auth_token");
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
+// Settle like `promise`, or reject with an AbortError once `signal`
+// aborts. The promise itself carries on for anyone else waiting on it,
+// e.g. a token refresh shared between requests.
+const abortable = (promise, signal) => {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(new AbortError());
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new AbortError());
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+};
+
+const sleep = (ms, signal) =>
+  abortable(new Promise((resolve) => setTimeout(resolve, ms)), signal);
+
+// Time since the request was sent, for the plugin hooks
+const elapsedMs = (config) =>
+  config?._startedAt ? Date.now() - config._startedAt : null;
+
+// Indices of `updates` ordered so every update comes after those of the
+// users it dependsOn. Dependencies on users the batch doesn't update are
+// ignored.
+const orderByDependencies = (updates) => {
+  const remaining = new Map(); // userId -> its updates not yet ordered
+  updates.forEach(({ userId }) =>
+    remaining.set(userId, (remaining.get(userId) ?? 0) + 1)
+  );
+  const isReady = ({ dependsOn = [] }) =>
+    dependsOn.every((id) => !remaining.get(id));
+
+  const pending = updates.map((_, index) => index);
+  const order = [];
+  while (pending.length > 0) {
+    const next = pending.findIndex((index) => isReady(updates[index]));
+    if (next === -1) {
+      throw new Error("Circular dependency detected in batch updates");
     }
-    return config;
-  },
-  (error) => Promise.reject(error)
-);
-
-// Response interceptor for error handling
-apiClient.interceptors.response.use(
-  (response) => response,
-  async (error) => {
-    const originalRequest = error.config;
-
-    // Handle token refresh scenario
-    if (error.response?.status === 401 && !originalRequest._retry) {
-      originalRequest._retry = true;
+
+    const [index] = pending.splice(next, 1);
+    const { userId } = updates[index];
+    remaining.set(userId, remaining.get(userId) - 1);
+    order.push(index);
+  }
+  return order;
+};
+
+// The user among update.dependsOn whose update in this batch failed
+const findFailedDependency = (update, updates, results) =>
+  (update.dependsOn || []).find((id) =>
+    updates.some(
+      (other, index) => other.userId === id && results[index]?.success === false
+    )
+  );
+
+const skippedResult = (update, failedId) => ({
+  userId: update.userId,
+  success: false,
+  error: createApiError(424, {
+    message: `Skipped because the update of ${failedId} failed`,
+  }),
+});
+
+// Canonical, validated user from a response payload
+const toUser = (data) =>
+  assertValid(UserSchema, normalizeUser(data), {
+    label: "user",
+    direction: "response",
+  });
+
+// Build an independent API client. Every instance has its own axios
+// instance, token storage, cache, auth events and rate limits, so several
+// can coexist (tests, embedded widgets, other environments).
+//
+//   baseURL       API root
+//   timeout       request timeout in ms
+//   tokenStorage  where the session is persisted; anything with
+//                 getItem/setItem/removeItem. Defaults to localStorage.
+//   httpAdapter   axios adapter, e.g. to serve requests from fixtures
+//   onAuthFailure called with the error once the session has expired
+//                 and can't be refreshed
+//   offline       queue mutations made without a connection and replay
+//                 them once it is back (see ./offlineQueue); call
+//                 dispose() once an instance is no longer needed
+//   offlineStore  where queued mutations are kept; IndexedDB by default
+//   plugins       request lifecycle plugins (see ./plugins); a metrics
+//                 plugin is always installed, see getMetrics
+export const createUserApi = ({
+  baseURL = DEFAULT_BASE_URL,
+  timeout = DEFAULT_TIMEOUT_MS,
+  tokenStorage = browserStorage,
+  httpAdapter,
+  onAuthFailure,
+  offline = false,
+  offlineStore,
+  plugins = [],
+} = {}) => {
+  const authEvents = createAuthEventBus();
+  // Other tabs only announce changes to the shared localStorage
+  const watchStorage =
+    tokenStorage === browserStorage && typeof window !== "undefined";
+  const watchOnline = offline && typeof window !== "undefined";
+
+  // Another tab changed the stored session. Only the keys that mark a
+  // login/logout are relayed; the rest change alongside them.
+  const handleStorageEvent = (event) => {
+    if (event.storageArea && event.storageArea !== localStorage) return;
+
+    if (event.key === AUTH_TOKEN_KEY && !event.newValue) {
+      authEvents.emit(AUTH_EVENTS.LOGGED_OUT, { source: "storage" });
+    } else if (event.key === CURRENT_USER_KEY && event.newValue) {
       try {
-        // Try to refresh the token
-        const refreshToken = localStorage.getItem("refresh_token");
-        const { data } = await axios.post(`${API_BASE_URL}/auth/refresh`, {
-          refreshToken,
+        authEvents.emit(AUTH_EVENTS.LOGGED_IN, {
+          user: JSON.parse(event.newValue),
+          source: "storage",
         });
+      } catch {
+        // Ignore malformed values written by other code
+      }
+    } else if (event.key === null) {
+      // localStorage.clear() in another tab
+      authEvents.emit(AUTH_EVENTS.LOGGED_OUT, { source: "storage" });
+    }
+  };
 
-        localStorage.setItem("auth_token", data.token);
-        apiClient.defaults.headers.common[
-          "Authorization"
-        ] = `Bearer ${data.token}`;
-        originalRequest.headers["Authorization"] = `Bearer ${data.token}`;
+  // Persist a token pair; expiresIn is the access token lifetime in seconds
+  const storeTokens = ({ token, refreshToken, expiresIn }) => {
+    tokenStorage.setItem(AUTH_TOKEN_KEY, token);
+    if (refreshToken) {
+      tokenStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    }
+    if (expiresIn) {
+      tokenStorage.setItem(
+        TOKEN_EXPIRES_KEY,
+        String(Date.now() + expiresIn * 1000)
+      );
+    } else {
+      tokenStorage.removeItem(TOKEN_EXPIRES_KEY);
+    }
+  };
 
-        // Retry the original request
-        return apiClient(originalRequest);
-      } catch (refreshError) {
-        // If refresh fails, logout the user
-        localStorage.removeItem("auth_token");
-        localStorage.removeItem("refresh_token");
-        return Promise.reject(refreshError);
-      }
+  const clearStoredSession = () => {
+    tokenStorage.removeItem(AUTH_TOKEN_KEY);
+    tokenStorage.removeItem(REFRESH_TOKEN_KEY);
+    tokenStorage.removeItem(CURRENT_USER_KEY);
+    tokenStorage.removeItem(TOKEN_EXPIRES_KEY);
+  };
+
+  const expireSession = (error) => {
+    clearStoredSession();
+    authEvents.emit(AUTH_EVENTS.SESSION_EXPIRED, { source: "local" });
+    onAuthFailure?.(error);
+    return error;
+  };
+
+  // Proactive refresh renews the access token shortly before it expires,
+  // instead of waiting for a request to fail with 401. Off by default.
+  const authOptions = {
+    proactiveRefresh: false,
+    refreshLeewayMs: 60000, // Refresh this long before expiry
+  };
+
+  // How 429 responses are retried. Retry-After is honored as long as it is
+  // within maxRetryAfterMs; a longer wait fails fast instead.
+  const rateLimitOptions = {
+    maxRetries: 3, // Per request
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+    maxRetryAfterMs: 60000,
+  };
+
+  let retryBudget = createRetryBudget();
+
+  // Client-side throttle, off unless configured (see configureRateLimit)
+  let throttle = null;
+
+  // The single refresh currently in flight, shared by every caller
+  let refreshPromise = null;
+
+  const pluginRegistry = createPluginRegistry();
+  const metrics = createMetricsPlugin();
+  [metrics, ...plugins].forEach((plugin) => pluginRegistry.use(plugin));
+
+  // Configurable axios instance
+  const apiClient = axios.create({
+    baseURL,
+    timeout,
+    adapter: httpAdapter,
+    headers: {
+      "Content-Type": "application/json",
+    },
+  });
+
+  // Exchange the stored refresh token for a new access token
+  const requestTokenRefresh = async () => {
+    const refreshToken = tokenStorage.getItem(REFRESH_TOKEN_KEY);
+    if (!refreshToken) {
+      throw expireSession(new SessionExpiredError());
     }
 
-    // Handle rate limiting with exponential backoff
-    if (error.response?.status === 429 && originalRequest.retryCount < 3) {
-      originalRequest.retryCount = originalRequest.retryCount
-        ? originalRequest.retryCount + 1
-        : 1;
+    try {
+      const { data } = await apiClient.post(
+        "/auth/refresh",
+        { refreshToken },
+        { skipAuthRefresh: true }
+      );
 
-      const delayMs = Math.pow(2, originalRequest.retryCount) * 1000;
+      storeTokens(data);
+      authEvents.emit(AUTH_EVENTS.TOKEN_REFRESHED, { source: "local" });
+      return data.token;
+    } catch (error) {
+      // Only an explicit rejection ends the session; network failures keep
+      // the tokens so the next request can try again
+      if (error.status && error.status < 500) {
+        throw expireSession(new SessionExpiredError(error));
+      }
+      throw error;
+    }
+  };
 
-      return new Promise((resolve) => {
-        setTimeout(() => resolve(apiClient(originalRequest)), delayMs);
+  // Single-flight refresh: concurrent callers wait on the same request
+  const refreshAuthToken = () => {
+    if (!refreshPromise) {
+      refreshPromise = requestTokenRefresh().finally(() => {
+        refreshPromise = null;
       });
     }
+    return refreshPromise;
+  };
 
-    return Promise.reject(error);
-  }
-);
+  const isTokenExpiring = (leewayMs) => {
+    const expiresAt = Number(tokenStorage.getItem(TOKEN_EXPIRES_KEY));
+    return Boolean(expiresAt) && Date.now() >= expiresAt - leewayMs;
+  };
+
+  // Request interceptor to add auth token
+  apiClient.interceptors.request.use(
+    async (config) => {
+      // Waits below end early when the caller cancels
+      const { signal } = config;
 
-// User API methods with complex behavior
-export const userApi = {
-  // Get user by ID with caching and cache invalidation
-  cache: new Map(),
-  cacheTimestamps: new Map(),
-  cacheTTL: 300000, // 5 minutes in milliseconds
+      if (throttle) {
+        await abortable(throttle.take(), signal);
+      }
 
-  async getUserById(userId, forceFresh = false) {
-    // Check cache first unless forceFresh is true
-    if (!forceFresh) {
-      const cachedUser = this.cache.get(userId);
-      const timestamp = this.cacheTimestamps.get(userId);
+      if (!config.skipAuthRefresh) {
+        if (refreshPromise) {
+          // Hold new requests until the pending refresh settles, so they
+          // don't go out with a token that is about to be replaced
+          await abortable(
+            refreshPromise.catch(() => {}),
+            signal
+          );
+        } else if (
+          authOptions.proactiveRefresh &&
+          tokenStorage.getItem(REFRESH_TOKEN_KEY) &&
+          isTokenExpiring(authOptions.refreshLeewayMs)
+        ) {
+          await abortable(refreshAuthToken(), signal);
+        }
+      }
 
-      if (cachedUser && timestamp && Date.now() - timestamp < this.cacheTTL) {
-        return cachedUser;
+      const token = tokenStorage.getItem(AUTH_TOKEN_KEY);
+      if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
       }
+
+      config._startedAt = Date.now();
+      pluginRegistry.run("onRequest", { config });
+      return config;
+    },
+    (error) => Promise.reject(error)
+  );
+
+  // The request failed for good; let plugins know and hand it to the
+  // caller. Without a config it failed before it was even sent.
+  const rejectRequest = (config, error) => {
+    if (config) {
+      pluginRegistry.run("onError", {
+        config,
+        error,
+        durationMs: elapsedMs(config),
+      });
     }
+    return Promise.reject(error);
+  };
 
-    // Make the API call
-    const response = await apiClient.get(`/users/${userId}`);
+  // Response interceptor for error handling
+  apiClient.interceptors.response.use(
+    (response) => {
+      pluginRegistry.run("onResponse", {
+        config: response.config,
+        response,
+        durationMs: elapsedMs(response.config),
+      });
+      return response;
+    },
+    async (error) => {
+      const originalRequest = error.config;
 
-    // Update cache
-    this.cache.set(userId, response.data);
-    this.cacheTimestamps.set(userId, Date.now());
+      // Handle token refresh scenario (auth endpoints opt out, since their
+      // 401s mean bad credentials rather than an expired token)
+      if (
+        error.response?.status === 401 &&
+        !originalRequest._retry &&
+        !originalRequest.skipAuthRefresh
+      ) {
+        originalRequest._retry = true;
 
-    return response.data;
-  },
+        // Another request may have refreshed the token while this one was
+        // in flight; if so, replay it with the new token straight away
+        const sentToken = originalRequest.headers["Authorization"]?.replace(
+          "Bearer ",
+          ""
+        );
+        const currentToken = tokenStorage.getItem(AUTH_TOKEN_KEY);
+        let token = currentToken;
+        if (!currentToken || currentToken === sentToken) {
+          try {
+            token = await abortable(refreshAuthToken(), originalRequest.signal);
+          } catch (refreshError) {
+            return rejectRequest(originalRequest, refreshError);
+          }
+        }
 
-  // Search users with pagination and cancel tokens
-  async searchUsers(query, page = 1, limit = 10, signal) {
-    return apiClient.get("/users/search", {
-      params: { query, page, limit },
-      signal: signal, // For request cancellation
-    });
-  },
+        originalRequest.headers["Authorization"] = `Bearer ${token}`;
+        pluginRegistry.run("onRetry", {
+          config: originalRequest,
+          error: toApiError(error),
+          reason: "auth",
+          attempt: 1,
+          delayMs: 0,
+          durationMs: elapsedMs(originalRequest),
+        });
 
-  // Create user with validation
-  async createUser(userData) {
-    // Validate required fields
-    const requiredFields = ["username", "email", "password"];
-    for (const field of requiredFields) {
-      if (!userData[field]) {
-        throw new Error(`Missing required field: ${field}`);
+        // Retry the original request
+        return apiClient(originalRequest);
       }
-    }
 
-    return apiClient.post("/users", userData);
-  },
+      // Retry rate-limited requests once the server allows it. Auth
+      // endpoints are left alone: their 429 is a lockout to show the user.
+      if (error.response?.status === 429 && !originalRequest.skipAuthRefresh) {
+        const rateLimitError = toApiError(error);
+        const attempt = originalRequest._rateLimitRetries || 0;
+        const delayMs = getRetryDelay({
+          attempt,
+          retryAfter: rateLimitError.retryAfter,
+          baseDelayMs: rateLimitOptions.baseDelayMs,
+          maxDelayMs: rateLimitOptions.maxDelayMs,
+        });
 
-  // Update user with conditional merge
-  async updateUser(userId, updates, mergeStrategy = "shallow") {
-    if (!userId) throw new Error("User ID is required");
-    if (!updates || Object.keys(updates).length === 0) {
-      throw new Error("No updates provided");
-    }
+        if (
+          attempt < rateLimitOptions.maxRetries &&
+          delayMs <= rateLimitOptions.maxRetryAfterMs &&
+          retryBudget.tryConsume(getEndpointKey(originalRequest))
+        ) {
+          originalRequest._rateLimitRetries = attempt + 1;
+          pluginRegistry.run("onRetry", {
+            config: originalRequest,
+            error: rateLimitError,
+            reason: "rate-limit",
+            attempt: attempt + 1,
+            delayMs,
+            durationMs: elapsedMs(originalRequest),
+          });
+          try {
+            await sleep(delayMs, originalRequest.signal);
+          } catch (abortError) {
+            return rejectRequest(originalRequest, abortError);
+          }
+          return apiClient(originalRequest);
+        }
 
-    // Get current user data if using deep merge
-    let payload = updates;
+        return rejectRequest(originalRequest, rateLimitError);
+      }
 
-    if (mergeStrategy === "deep") {
-      const currentUser = await this.getUserById(userId);
-      payload = this._deepMerge(currentUser, updates);
+      // Callers always see a typed ApiError (see ./errors)
+      return rejectRequest(originalRequest, toApiError(error));
     }
+  );
 
-    const response = await apiClient.patch(`/users/${userId}`, payload);
+  // User API methods with complex behavior. Every method that talks to
+  // the server takes a trailing options object with { signal, timeout }
+  // (see requestConfig); a cancelled call rejects with an AbortError.
+  const userApi = {
+    // Authenticate against the backend and persist the returned session.
+    // Resolves with the user, or with { mfaRequired, mfaToken, methods }
+    // when the account needs a second factor (see verifyMfa).
+    async login(username, password, options = {}) {
+      if (!username || !password) {
+        throw new Error("Username and password are required");
+      }
 
-    // Invalidate cache after update
-    this.cache.delete(userId);
+      const response = await apiClient.post(
+        "/auth/login",
+        { username, password },
+        { skipAuthRefresh: true, ...requestConfig(options) }
+      );
 
-    return response.data;
-  },
+      if (response.data.status === "mfa_required") {
+        const { mfaToken, methods } = response.data;
+        return { mfaRequired: true, mfaToken, methods };
+      }
 
-  // Helper method for deep merging
-  _deepMerge(target, source) {
-    const result = { ...target };
+      return this._startSession(response.data);
+    },
 
-    for (const key in source) {
-      if (
-        source[key] instanceof Object &&
-        key in target &&
-        target[key] instanceof Object
-      ) {
-        result[key] = this._deepMerge(target[key], source[key]);
-      } else {
-        result[key] = source[key];
+    // Second login step: a TOTP or recovery code for the pending challenge
+    async verifyMfa(mfaToken, code, options = {}) {
+      if (!mfaToken) throw new Error("MFA challenge is required");
+      if (!code) throw new Error("Verification code is required");
+
+      const response = await apiClient.post(
+        "/auth/mfa/verify",
+        { mfaToken, code },
+        { skipAuthRefresh: true, ...requestConfig(options) }
+      );
+
+      return this._startSession(response.data);
+    },
+
+    // Begin TOTP enrollment; resolves with { secret, otpauthUri, recoveryCodes }
+    async enrollMfa(options = {}) {
+      const response = await apiClient.post(
+        "/auth/mfa/enroll",
+        undefined,
+        requestConfig(options)
+      );
+      return response.data;
+    },
+
+    // Activate TOTP by proving the authenticator app produces valid codes
+    async confirmMfaEnrollment(code, options = {}) {
+      if (!code) throw new Error("Verification code is required");
+
+      const response = await apiClient.post(
+        "/auth/mfa/enroll/confirm",
+        { code },
+        requestConfig(options)
+      );
+
+      const currentUser = this.getCurrentUser();
+      if (currentUser) {
+        const user = { ...currentUser, mfaEnabled: true };
+        tokenStorage.setItem(CURRENT_USER_KEY, JSON.stringify(user));
+        authEvents.emit(AUTH_EVENTS.USER_UPDATED, { user, source: "local" });
       }
-    }
 
-    return result;
-  },
+      return response.data;
+    },
 
-  // Delete user with confirmation
-  async deleteUser(userId, confirmationCode) {
-    if (!userId) throw new Error("User ID is required");
-    if (!confirmationCode) throw new Error("Confirmation code is required");
+    // Forgot password: ask for a reset code for a username or email. The
+    // server answers the same way whether or not the account exists.
+    async requestPasswordReset(identifier, options = {}) {
+      if (!identifier) throw new Error("Username or email is required");
 
-    return apiClient.delete(`/users/${userId}`, {
-      data: { confirmationCode },
-    });
-  },
+      const response = await apiClient.post(
+        "/auth/password-reset",
+        { identifier },
+        { skipAuthRefresh: true, ...requestConfig(options) }
+      );
+      return response.data;
+    },
 
-  // Batch operations with dependency chains
-  async batchUpdateUsers(updates) {
-    if (!Array.isArray(updates) || updates.length === 0) {
-      throw new Error("Updates must be a non-empty array");
-    }
+    // Redeem a reset code with a new password. Codes expire and work once.
+    async resetPassword(token, newPassword, options = {}) {
+      if (!token) throw new Error("Reset code is required");
+      if (!newPassword) throw new Error("New password is required");
 
-    // Process updates in sequence if they have dependencies
-    const hasSequentialDependencies = updates.some((u) => u.dependsOn);
+      const response = await apiClient.post(
+        "/auth/password-reset/confirm",
+        { token, newPassword },
+        { skipAuthRefresh: true, ...requestConfig(options) }
+      );
+      return response.data;
+    },
+
+    // Change the logged-in user's password
+    async changePassword(currentPassword, newPassword, options = {}) {
+      if (!currentPassword) throw new Error("Current password is required");
+      if (!newPassword) throw new Error("New password is required");
+
+      const response = await apiClient.post(
+        "/auth/change-password",
+        { currentPassword, newPassword },
+        requestConfig(options)
+      );
+      return response.data;
+    },
 
-    if (hasSequentialDependencies) {
-      const results = [];
-      const completedIds = new Set();
+    // Persist tokens and profile from a completed login
+    _startSession(data) {
+      const { user, ...tokens } = data;
 
-      // Clone the updates array to avoid modifying the original
-      const pendingUpdates = [...updates];
+      storeTokens(tokens);
+      tokenStorage.setItem(CURRENT_USER_KEY, JSON.stringify(user));
+      authEvents.emit(AUTH_EVENTS.LOGGED_IN, { user, source: "local" });
+      // Changes queued while logged out can go now
+      if (offline) this.replayOfflineQueue().catch(() => {});
 
-      // Keep processing until all updates are handled
-      while (pendingUpdates.length > 0) {
-        const updateIndex = pendingUpdates.findIndex(
-          (update) =>
-            !update.dependsOn ||
-            update.dependsOn.every((id) => completedIds.has(id))
+      return user;
+    },
+
+    // End the session on the server, then drop the persisted session and
+    // any user data cached under it. The local session ends even when the
+    // server can't be reached.
+    async logout(options = {}) {
+      const refreshToken = tokenStorage.getItem(REFRESH_TOKEN_KEY);
+      if (tokenStorage.getItem(AUTH_TOKEN_KEY) || refreshToken) {
+        try {
+          // The refresh token identifies the session when the access token
+          // has expired, so no refresh is needed just to log out
+          await apiClient.post(
+            "/auth/logout",
+            { refreshToken },
+            { skipAuthRefresh: true, ...requestConfig(options) }
+          );
+        } catch {
+          // Nothing more to do; the session expires on its own
+        }
+      }
+      this._endLocalSession();
+    },
+
+    _endLocalSession() {
+      clearStoredSession();
+      this.clearCache();
+      authEvents.emit(AUTH_EVENTS.LOGGED_OUT, { source: "local" });
+    },
+
+    // Subscribe to auth events (see AUTH_EVENTS). Events from other tabs
+    // arrive with source "storage". Returns an unsubscribe function.
+    onAuthEvent(listener) {
+      if (authEvents.size === 0 && watchStorage) {
+        window.addEventListener("storage", handleStorageEvent);
+      }
+      const unsubscribe = authEvents.subscribe(listener);
+
+      return () => {
+        unsubscribe();
+        if (authEvents.size === 0 && watchStorage) {
+          window.removeEventListener("storage", handleStorageEvent);
+        }
+      };
+    },
+
+    // Whether a previous session left tokens behind worth validating
+    hasStoredSession() {
+      return Boolean(
+        tokenStorage.getItem(AUTH_TOKEN_KEY) &&
+          tokenStorage.getItem(REFRESH_TOKEN_KEY)
+      );
+    },
+
+    // Sessions stored before expiry tracking existed are treated as valid
+    isTokenExpired() {
+      return isTokenExpiring(0);
+    },
+
+    // Validate stored tokens against the backend on page load.
+    // Resolves with the current user, or null when the session is gone.
+    async restoreSession(options = {}) {
+      if (!this.hasStoredSession()) return null;
+
+      try {
+        if (this.isTokenExpired()) {
+          await abortable(refreshAuthToken(), options.signal);
+        }
+
+        const response = await apiClient.get(
+          "/auth/me",
+          requestConfig(options)
         );
+        tokenStorage.setItem(CURRENT_USER_KEY, JSON.stringify(response.data));
+        // Send whatever was queued before the page was closed
+        if (offline) this.replayOfflineQueue().catch(() => {});
 
-        if (updateIndex === -1) {
-          throw new Error("Circular dependency detected in batch updates");
+        return response.data;
+      } catch (error) {
+        // Rejected tokens end the session; anything else is worth reporting
+        if (
+          error.code === "SESSION_EXPIRED" ||
+          error.response?.status === 401
+        ) {
+          clearStoredSession();
+          this.clearCache();
+          return null;
         }
+        throw error;
+      }
+    },
 
-        const update = pendingUpdates.splice(updateIndex, 1)[0];
-        const result = await this.updateUser(update.userId, update.data);
-        completedIds.add(update.userId);
-        results.push(result);
+    // Login audit log, newest first. Non-admins only see their own attempts.
+    async getLoginAttempts(options = {}) {
+      const config = requestConfig(options);
+      const response = await (Object.keys(config).length > 0
+        ? apiClient.get("/auth/login-attempts", config)
+        : apiClient.get("/auth/login-attempts"));
+      return response.data.loginAttempts || [];
+    },
+
+    // Lockout state of an account after repeated failed logins (admin only)
+    async getAccountLockout(userId, options = {}) {
+      if (!userId) throw new Error("User ID is required");
+
+      const response = await apiClient.get(
+        `/users/${userId}/lockout`,
+        requestConfig(options)
+      );
+      return response.data;
+    },
+
+    // Lift a lockout before its cooldown ends (admin only)
+    async unlockAccount(userId, options = {}) {
+      if (!userId) throw new Error("User ID is required");
+
+      const response = await apiClient.delete(
+        `/users/${userId}/lockout`,
+        requestConfig(options)
+      );
+      return response.data;
+    },
+
+    // Active sessions of a user, most recently used first. The session
+    // making the request is flagged with current: true.
+    async getSessions(userId, options = {}) {
+      if (!userId) throw new Error("User ID is required");
+
+      const response = await apiClient.get(
+        `/users/${userId}/sessions`,
+        requestConfig(options)
+      );
+      return response.data.sessions || [];
+    },
+
+    // Sign out one session. Revoking our own session logs out locally too.
+    async revokeSession(userId, sessionId, options = {}) {
+      if (!userId) throw new Error("User ID is required");
+      if (!sessionId) throw new Error("Session ID is required");
+
+      const response = await apiClient.delete(
+        `/users/${userId}/sessions/${sessionId}`,
+        requestConfig(options)
+      );
+      if (response.data.revokedCurrent) this._endLocalSession();
+
+      return response.data;
+    },
+
+    // Sign out every session of a user, or all but this one with
+    // { exceptCurrent: true }
+    async revokeAllSessions(
+      userId,
+      { exceptCurrent = false, ...options } = {}
+    ) {
+      if (!userId) throw new Error("User ID is required");
+
+      const response = await apiClient.delete(`/users/${userId}/sessions`, {
+        params: exceptCurrent ? { exceptCurrent: true } : undefined,
+        ...requestConfig(options),
+      });
+      if (response.data.revokedCurrent) this._endLocalSession();
+
+      return response.data;
+    },
+
+    // Tune token refresh behaviour, e.g. { proactiveRefresh: true }
+    configureAuth(options) {
+      Object.assign(authOptions, options);
+    },
+
+    // Tune 429 handling and the optional client-side throttle:
+    //   maxRetries, baseDelayMs, maxDelayMs, maxRetryAfterMs - per request
+    //   retryBudget: { maxRetries, windowMs } - per endpoint
+    //   throttle: { capacity, refillPerSecond }, or null to turn it off
+    configureRateLimit({
+      retryBudget: budget,
+      throttle: bucket,
+      ...options
+    } = {}) {
+      Object.assign(rateLimitOptions, options);
+      if (budget !== undefined) retryBudget = createRetryBudget(budget);
+      if (bucket !== undefined) {
+        throttle = bucket ? createTokenBucket(bucket) : null;
       }
+    },
 
-      return results;
-    } else {
-      // Process updates in parallel if no dependencies
-      return Promise.all(
-        updates.map((update) => this.updateUser(update.userId, update.data))
+    // Profile of the logged-in user, as returned by the last login
+    getCurrentUser() {
+      const storedUser = tokenStorage.getItem(CURRENT_USER_KEY);
+      if (!storedUser) return null;
+
+      try {
+        return JSON.parse(storedUser);
+      } catch {
+        return null;
+      }
+    },
+
+    // Users are fresh for 5 minutes, then served stale for another 5 while
+    // they are refetched in the background
+    cache: createLruCache({ maxSize: 200, ttl: 300000, staleTtl: 300000 }),
+    searchCacheTTL: 30000, // Search pages are reused for 30 seconds
+    // Bumped on every invalidation so responses that were already in flight
+    // don't write outdated data back into the cache
+    _cacheGeneration: 0,
+    // Identical concurrent reads share one request (see ./inflight)
+    _inflight: createInflightRequests(),
+    // Latest known ETag per user id, for conditional updates
+    _etags: new Map(),
+    // Cleared once the server turns out to have no batch endpoint
+    _batchSupported: true,
+
+    // Get user by ID with stale-while-revalidate caching. Concurrent
+    // calls for the same user share one request. { forceFresh: true }
+    // skips the cache; the older getUserById(id, true) still works.
+    async getUserById(userId, options = {}) {
+      const { forceFresh = false, ...requestOptions } =
+        typeof options === "boolean" ? { forceFresh: options } : options;
+
+      // Check cache first unless forceFresh is true
+      if (!forceFresh) {
+        const cached = this.cache.get(userCacheKey(userId));
+
+        if (cached) {
+          if (cached.stale) this._revalidateUser(userId);
+          return cached.value;
+        }
+      }
+
+      return this._fetchUser(userId, requestOptions);
+    },
+
+    // Requests are only shared within one cache generation, so nobody
+    // joins a read that started before the user was changed. A shared
+    // request uses the timeout of the caller that started it.
+    _fetchUser(userId, options = {}) {
+      const generation = this._cacheGeneration;
+
+      return this._inflight.run(
+        `${userCacheKey(userId)}@${generation}`,
+        async (requestSignal) => {
+          const response = await apiClient.get(`/users/${userId}`, {
+            ...requestConfig(options),
+            signal: requestSignal,
+          });
+          const user = toUser(response.data);
+
+          if (generation === this._cacheGeneration) {
+            this.cache.set(userCacheKey(userId), user);
+            this._rememberETag(userId, response);
+          }
+
+          return user;
+        },
+        options.signal
       );
-    }
-  },
+    },
 
-  // Clear all cache
-  clearCache() {
-    this.cache.clear();
-    this.cacheTimestamps.clear();
-  },
+    // Refetch a stale user in the background; joins a fetch already in
+    // flight. Failures are ignored: the stale copy stays until it expires.
+    _revalidateUser(userId) {
+      this._fetchUser(userId).catch(() => {});
+    },
+
+    // Search users with pagination and cancel tokens. Pages are cached by
+    // query, page and limit, and concurrent identical searches share one
+    // request. The options may also be just an AbortSignal, as they used
+    // to be.
+    async searchUsers(query, page = 1, limit = 10, signalOrOptions = {}) {
+      const options =
+        signalOrOptions instanceof AbortSignal
+          ? { signal: signalOrOptions }
+          : signalOrOptions;
+      const cacheKey = searchCacheKey(query, page, limit);
+      const cached = this.cache.get(cacheKey);
+      if (cached && !cached.stale) return cached.value;
+
+      const generation = this._cacheGeneration;
+
+      return this._inflight.run(
+        `${cacheKey}@${generation}`,
+        async (requestSignal) => {
+          const response = await this._requestSearchPage(
+            { query, page, limit },
+            { ...options, signal: requestSignal } // For request cancellation
+          );
+
+          if (generation === this._cacheGeneration) {
+            this.cache.set(cacheKey, response, {
+              ttl: this.searchCacheTTL,
+              staleTtl: 0,
+            });
+          }
+
+          return response;
+        },
+        options.signal
+      );
+    },
+
+    // Fetch and validate one page of search results
+    async _requestSearchPage(params, options = {}) {
+      const response = await apiClient.get("/users/search", {
+        params,
+        ...requestConfig(options),
+      });
+      if (Array.isArray(response.data?.users)) {
+        response.data.users = response.data.users.map(normalizeUser);
+      }
+      assertValid(SearchResponseSchema, response.data, {
+        label: "search response",
+        direction: "response",
+      });
+
+      return response;
+    },
+
+    // Every user matching `query`, fetched a page at a time as the caller
+    // consumes them:
+    //
+    //   for await (const user of userApi.iterateUsers("", { signal })) ...
+    //
+    // Pages are requested by number until totalPages is reached, or by
+    // the server's nextCursor when it sends one. Pages bypass the cache,
+    // so long exports don't evict everything else. Breaking out of the
+    // loop stops fetching; aborting `signal` rejects with an AbortError.
+    async *iterateUsers(query = "", { pageSize = 50, ...options } = {}) {
+      let page = 1;
+      let cursor = null;
+
+      for (;;) {
+        const params = cursor
+          ? { query, cursor, limit: pageSize }
+          : { query, page, limit: pageSize };
+        const { data } = await this._requestSearchPage(params, options);
+
+        yield* data.users;
+
+        if (data.nextCursor !== undefined) {
+          // Cursor pagination: the server says where the next page starts
+          if (!data.nextCursor || data.nextCursor === cursor) return;
+          cursor = data.nextCursor;
+        } else {
+          if (data.users.length === 0 || data.page >= data.totalPages) return;
+          page = data.page + 1;
+        }
+      }
+    },
+
+    // Create user with validation. Resolves with the axios response, or
+    // with { queued: true, mutation } when queued while offline.
+    async createUser(userData, options = {}) {
+      // Validate required fields and their formats
+      assertValid(CreateUserPayloadSchema, userData, {
+        label: "new user",
+        direction: "request",
+      });
+
+      return this._sendOrQueue({ type: "create", args: [userData] }, options);
+    },
+
+    async _createUser(userData, options = {}) {
+      const response = await apiClient.post(
+        "/users",
+        userData,
+        requestConfig(options)
+      );
+      response.data = toUser(response.data);
+
+      // The new user may belong on any cached search page
+      this._invalidateSearches();
+
+      return response;
+    },
+
+    // Update user with conditional merge. Resolves with the updated user,
+    // or with { queued: true, mutation } when queued while offline.
+    //
+    // mergeStrategy is one of:
+    // - "shallow": `updates` holds the changed top-level fields
+    // - "deep": `updates` holds changed fields, and the server merges
+    //   nested objects such as profile.address into the user's current ones
+    // - "json-patch": `updates` is an RFC 6902 operation list, e.g.
+    //   [{ op: "remove", path: "/profile/avatar" }]; a failing "test" op
+    //   rejects with a ConflictError carrying the current user as `latest`
+    // - "merge-patch": `updates` is an RFC 7396 merge patch, where null
+    //   removes a field
+    //
+    // Pass { ifMatch: userApi.getETag(userId) } taken when the user was
+    // loaded to only update that version; if someone else changed the
+    // user since, this rejects with a PreconditionFailedError carrying
+    // the current version as `latest`. The options also take the usual
+    // signal and timeout.
+    async updateUser(userId, updates, mergeStrategy = "shallow", options = {}) {
+      if (!userId) throw new Error("User ID is required");
+      if (!updates || Object.keys(updates).length === 0) {
+        throw new Error("No updates provided");
+      }
+      const format = UPDATE_FORMATS[mergeStrategy];
+      if (!format) throw new Error(`Unknown merge strategy "${mergeStrategy}"`);
+      assertValid(format.schema, updates, {
+        label: "user update",
+        direction: "request",
+      });
+
+      // Only the update's own options are kept when it is queued
+      const { signal, timeout, ...updateOptions } = options;
+      return this._sendOrQueue(
+        {
+          type: "update",
+          userId,
+          args: [userId, updates, mergeStrategy, updateOptions],
+        },
+        { signal, timeout }
+      );
+    },
+
+    async _updateUser(
+      userId,
+      updates,
+      mergeStrategy,
+      { ifMatch } = {},
+      options = {}
+    ) {
+      // Only the caller's changes are sent, never a copy of the whole user
+      const { contentType, headers } = UPDATE_FORMATS[mergeStrategy];
+
+      try {
+        const response = await apiClient.patch(`/users/${userId}`, updates, {
+          headers: {
+            ...headers,
+            ...(contentType && { "Content-Type": contentType }),
+            ...(ifMatch && { "If-Match": ifMatch }),
+          },
+          ...requestConfig(options),
+        });
+
+        // Invalidate cache after update
+        this._invalidateUser(userId);
+        this._rememberETag(userId, response);
+
+        return toUser(response.data);
+      } catch (error) {
+        // Stale If-Match or failed JSON Patch test: our copy is outdated
+        if (error instanceof ConflictError && error.response?.data?.current) {
+          this._invalidateUser(userId);
+          error.latest = toUser(error.response.data.current);
+        }
+        if (error instanceof PreconditionFailedError) {
+          this._invalidateUser(userId);
+          if (error.etag) this._etags.set(String(userId), error.etag);
+        }
+        throw error;
+      }
+    },
+
+    // ETag of the version of a user last loaded or saved, if known
+    getETag(userId) {
+      return this._etags.get(String(userId)) ?? null;
+    },
+
+    _rememberETag(userId, response) {
+      const etag = response.headers?.etag;
+      if (etag) this._etags.set(String(userId), etag);
+    },
+
+    // Delete user with confirmation. Resolves with the axios response, or
+    // with { queued: true, mutation } when queued while offline.
+    async deleteUser(userId, confirmationCode, options = {}) {
+      if (!userId) throw new Error("User ID is required");
+      if (!confirmationCode) throw new Error("Confirmation code is required");
+
+      return this._sendOrQueue(
+        { type: "delete", userId, args: [userId, confirmationCode] },
+        options
+      );
+    },
+
+    async _deleteUser(userId, confirmationCode, options = {}) {
+      const response = await apiClient.delete(`/users/${userId}`, {
+        data: { confirmationCode },
+        ...requestConfig(options),
+      });
+
+      this._invalidateUser(userId);
+      this._etags.delete(String(userId));
+
+      return response;
+    },
+
+    // Mutations queued while offline, oldest first, kept per logged-in
+    // user so nobody replays someone else's changes. Null unless offline
+    // mode is on.
+    _offlineQueue: offline
+      ? createOfflineQueue({
+          store: offlineStore || createDefaultStore(),
+          send: (mutation) => userApi._sendMutation(mutation),
+          getOwner: () => userApi.getCurrentUser()?.id ?? null,
+        })
+      : null,
+
+    // `options` holds the live call's signal and timeout, which are never
+    // stored with a queued mutation
+    _sendMutation({ type, args }, options = {}) {
+      switch (type) {
+        case "create":
+          return this._createUser(...args, options);
+        case "update":
+          return this._updateUser(...args, options);
+        case "delete":
+          return this._deleteUser(...args, options);
+        default:
+          throw new Error(`Unknown mutation type "${type}"`);
+      }
+    },
+
+    // Send a mutation, or queue it when offline mode is on and the server
+    // can't be reached. While anything is queued, new mutations queue up
+    // behind it so they reach the server in order.
+    async _sendOrQueue(mutation, options = {}) {
+      if (options.signal?.aborted) throw new AbortError();
+      if (!offline) return this._sendMutation(mutation, options);
+
+      if (isBrowserOffline() || (await this._offlineQueue.hasPending())) {
+        return this._queueMutation(mutation);
+      }
+
+      try {
+        return await this._sendMutation(mutation, options);
+      } catch (error) {
+        if (isConnectionFailure(error)) return this._queueMutation(mutation);
+        throw error;
+      }
+    },
+
+    async _queueMutation(mutation) {
+      return {
+        queued: true,
+        mutation: await this._offlineQueue.enqueue(mutation),
+      };
+    },
+
+    // The current user's mutations waiting to be sent, oldest first. Each
+    // has type ("create", "update" or "delete"), userId (except creates),
+    // args, ownerId and queuedAt.
+    async getPendingMutations() {
+      return this._offlineQueue ? this._offlineQueue.pending() : [];
+    },
+
+    // Send the current user's queued mutations in order. Resolves with one
+    // result per item sent: { mutation, status, result | error } with
+    // status "applied", "conflict" or "failed". Happens automatically when
+    // the browser comes back online, after login and, while the server
+    // can't be reached, on a backoff timer.
+    async replayOfflineQueue() {
+      return this._offlineQueue ? this._offlineQueue.replay() : [];
+    },
+
+    // Subscribe to the queue; the listener gets { pending, results } right
+    // away and on every change, with results set after a replay. Without
+    // offline mode nothing is ever queued and the listener isn't called.
+    // Returns an unsubscribe function.
+    onOfflineQueueChange(listener) {
+      return this._offlineQueue
+        ? this._offlineQueue.subscribe(listener)
+        : () => {};
+    },
+
+    // Apply several updates through POST /users/batch, `chunkSize` per
+    // request. Each update is { userId, data, mergeStrategy, dependsOn },
+    // with mergeStrategy as for updateUser ("shallow" by default) and
+    // dependsOn listing users whose updates in this batch go first. An
+    // update whose dependency failed is skipped.
+    //
+    // Resolves with one result per update, in the same order: { userId,
+    // success: true, user } or { userId, success: false, error } where
+    // error is an ApiError, so one failure doesn't fail the rest. Without
+    // a batch endpoint the updates go through updateUser one by one, and
+    // a result may be { userId, success: true, queued: true, mutation }
+    // when queued while offline. Cancelling stops the updates that haven't
+    // been sent yet.
+    async batchUpdateUsers(
+      updates,
+      { chunkSize = DEFAULT_BATCH_CHUNK_SIZE, ...options } = {}
+    ) {
+      if (!Array.isArray(updates) || updates.length === 0) {
+        throw new Error("Updates must be a non-empty array");
+      }
+      const order = orderByDependencies(updates);
+      const results = new Array(updates.length).fill(null);
+
+      // Invalid updates fail on their own without being sent
+      updates.forEach((update, index) => {
+        const mergeStrategy = update.mergeStrategy ?? "shallow";
+        try {
+          if (!update.userId) throw new Error("User ID is required");
+          const format = UPDATE_FORMATS[mergeStrategy];
+          if (!format) {
+            throw new Error(`Unknown merge strategy "${mergeStrategy}"`);
+          }
+          assertValid(format.schema, update.data, {
+            label: "user update",
+            direction: "request",
+          });
+        } catch (error) {
+          results[index] = { userId: update.userId, success: false, error };
+        }
+      });
+
+      // Mutations made while offline are queued one by one, behind
+      // anything already queued
+      const mustQueue =
+        offline &&
+        (isBrowserOffline() || (await this._offlineQueue.hasPending()));
+      if (this._batchSupported && !mustQueue) {
+        await this._sendBatches(updates, order, results, chunkSize, options);
+      }
+      if (results.includes(null)) {
+        await this._updateOneByOne(updates, order, results, chunkSize, options);
+      }
+
+      return results;
+    },
+
+    // Fill in `results` chunk by chunk. A chunk whose response can't be
+    // read fails as a whole. Stops early, leaving the rest null, when the
+    // server has no batch endpoint or can't be reached while in offline
+    // mode.
+    async _sendBatches(updates, order, results, chunkSize, options) {
+      const pending = order.filter((index) => !results[index]);
+
+      for (let start = 0; start < pending.length; start += chunkSize) {
+        const chunk = [];
+        pending.slice(start, start + chunkSize).forEach((index) => {
+          const update = updates[index];
+          const failedId = findFailedDependency(update, updates, results);
+          if (failedId) {
+            results[index] = skippedResult(update, failedId);
+          } else {
+            chunk.push(index);
+          }
+        });
+        if (chunk.length === 0) continue;
+
+        // Dependencies in earlier chunks have been applied already
+        const chunkIds = new Set(chunk.map((index) => updates[index].userId));
+        const payload = chunk.map((index) => {
+          const {
+            userId,
+            data,
+            mergeStrategy,
+            dependsOn = [],
+          } = updates[index];
+          const pendingDependencies = dependsOn.filter((id) =>
+            chunkIds.has(id)
+          );
+          return {
+            userId,
+            data,
+            mergeStrategy: mergeStrategy ?? "shallow",
+            ...(pendingDependencies.length && {
+              dependsOn: pendingDependencies,
+            }),
+          };
+        });
+
+        let response;
+        try {
+          response = await apiClient.post(
+            "/users/batch",
+            { updates: payload },
+            requestConfig(options)
+          );
+        } catch (error) {
+          if (BATCH_UNSUPPORTED_STATUSES.includes(error.status)) {
+            this._batchSupported = false;
+            return;
+          }
+          if (error instanceof AbortError) throw error;
+          if (offline && isConnectionFailure(error)) return;
+
+          // Nothing from this chunk on was applied
+          pending.slice(start).forEach((index) => {
+            results[index] ??= {
+              userId: updates[index].userId,
+              success: false,
+              error,
+            };
+          });
+          return;
+        }
+
+        const itemResults = response.data?.results;
+        if (
+          !Array.isArray(itemResults) ||
+          itemResults.length !== chunk.length
+        ) {
+          // The chunk may or may not have been applied, so the cached
+          // copies of its users can't be trusted either
+          const error = new InvalidResponseError(
+            "Batch response doesn't match the updates sent",
+            { payload: response.data }
+          );
+          chunk.forEach((index) => {
+            const { userId } = updates[index];
+            this._invalidateUser(userId);
+            this._etags.delete(String(userId));
+            results[index] = { userId, success: false, error };
+          });
+          continue;
+        }
+        chunk.forEach((index, position) => {
+          results[index] = this._toBatchResult(
+            updates[index],
+            itemResults[position]
+          );
+        });
+      }
+    },
+
+    // { userId, success, user | error } for one item of a batch response,
+    // which is either the updated user or { userId, status, error }
+    _toBatchResult({ userId }, result) {
+      if (result?.error) {
+        return {
+          userId,
+          success: false,
+          error: createApiError(result.status, { message: result.error }),
+        };
+      }
+
+      // Batch results carry no ETag; the one we had is outdated now
+      this._invalidateUser(userId);
+      this._etags.delete(String(userId));
+      try {
+        return { userId, success: true, user: toUser(result) };
+      } catch (error) {
+        return { userId, success: false, error };
+      }
+    },
+
+    // Fallback for servers without a batch endpoint: fill in the missing
+    // results with updateUser calls, in dependency order when there are
+    // dependencies and `chunkSize` at a time otherwise
+    async _updateOneByOne(updates, order, results, chunkSize, options) {
+      const update = async (index) => {
+        const { userId, data, mergeStrategy = "shallow" } = updates[index];
+        const failedId = findFailedDependency(updates[index], updates, results);
+        if (failedId) {
+          results[index] = skippedResult(updates[index], failedId);
+          return;
+        }
+
+        try {
+          const result = await this.updateUser(
+            userId,
+            data,
+            mergeStrategy,
+            options
+          );
+          results[index] = result?.queued
+            ? { userId, success: true, ...result }
+            : { userId, success: true, user: result };
+        } catch (error) {
+          if (error instanceof AbortError) throw error;
+          results[index] = { userId, success: false, error };
+        }
+      };
+
+      const pending = order.filter((index) => !results[index]);
+      if (updates.some((u) => u.dependsOn?.length)) {
+        for (const index of pending) {
+          await update(index);
+        }
+      } else {
+        for (let start = 0; start < pending.length; start += chunkSize) {
+          await Promise.all(
+            pending.slice(start, start + chunkSize).map(update)
+          );
+        }
+      }
+    },
+
+    // Forget a user and every cached search page, which may list them
+    _invalidateUser(userId) {
+      this._invalidateSearches();
+      this.cache.delete(userCacheKey(userId));
+    },
+
+    _invalidateSearches() {
+      this._cacheGeneration++;
+      this.cache.deleteWhere(isSearchCacheKey);
+    },
+
+    // Hit/miss counters and current size, for tuning the cache
+    getCacheStats() {
+      return this.cache.getStats();
+    },
+
+    // Register a request lifecycle plugin (see ./plugins). Returns a
+    // function that removes it again.
+    use(plugin) {
+      return pluginRegistry.use(plugin);
+    },
+
+    // Request counters and latency percentiles per endpoint, plus the
+    // cache counters:
+    // { endpoints: { "GET /users/:id": { requests, errors, cancelled,
+    //   retries, latency: { p50, p90, p99, max } } }, cache: { hits, ... } }
+    getMetrics() {
+      return { endpoints: metrics.getMetrics(), cache: this.getCacheStats() };
+    },
+
+    resetMetrics() {
+      metrics.reset();
+      this.cache.resetStats();
+    },
+
+    // Tune the cache, e.g. { maxSize: 500, staleTtl: 0 }. searchTtl sets how
+    // long search pages are reused.
+    configureCache({ searchTtl, ...options } = {}) {
+      if (searchTtl !== undefined) this.searchCacheTTL = searchTtl;
+      this.cache.configure(options);
+    },
+
+    // Clear all cache
+    clearCache() {
+      this._cacheGeneration++;
+      this.cache.clear();
+      this._etags.clear();
+    },
+
+    // Stop listening to the browser and retrying queued mutations, for an
+    // instance that is no longer used. Queued mutations stay stored.
+    dispose() {
+      if (watchOnline) window.removeEventListener("online", handleOnline);
+      if (watchStorage) {
+        window.removeEventListener("storage", handleStorageEvent);
+      }
+      this._offlineQueue?.dispose();
+    },
+  };
+
+  // Replay the queue as soon as the connection is back
+  const handleOnline = () => {
+    userApi.replayOfflineQueue().catch(() => {});
+  };
+  if (watchOnline) window.addEventListener("online", handleOnline);
+
+  return userApi;
 };
 
+// Shared instance used by the app, configured through Vite env variables:
+// VITE_API_BASE_URL and VITE_API_TIMEOUT_MS
+export const userApi = createUserApi({
+  baseURL: import.meta.env.VITE_API_BASE_URL || DEFAULT_BASE_URL,
+  timeout: Number(import.meta.env.VITE_API_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+  offline: true,
+  plugins: [
+    createCorrelationIdPlugin(),
+    ...(import.meta.env.VITE_API_LOG_REQUESTS === "true"
+      ? [createLoggingPlugin()]
+      : []),
+  ],
+});
+
+export { AUTH_EVENTS };
+
 export default userApi;
@@ -0,0 +1,176 @@
+import {
+  describe,
+  it,
+  expect,
+  vi,
+  beforeAll,
+  afterEach,
+  afterAll,
+} from "vitest";
+import { setupServer } from "msw/node";
+import { http, HttpResponse } from "msw";
+import { createUserApi } from "./userApi";
+import { createMemoryStore } from "./offlineQueue";
+import { createMemoryStorage } from "../../test/memoryStorage";
+
+const API = "https://api.example.com";
+
+describe("userApi offline mode", () => {
+  let online = true;
+  let patches = [];
+  let apis = [];
+
+  const server = setupServer(
+    http.patch(`${API}/users/:userId`, async ({ request, params }) => {
+      if (!online) return HttpResponse.error();
+
+      const updates = await request.json();
+      patches.push([params.userId, updates]);
+      if (params.userId === "2") {
+        return HttpResponse.json(
+          { message: "User was modified by someone else" },
+          { status: 409 }
+        );
+      }
+      return HttpResponse.json({ id: params.userId, username: "jane" });
+    }),
+    http.post(`${API}/auth/login`, async ({ request }) => {
+      const { username } = await request.json();
+      return HttpResponse.json({
+        token: `token-${username}`,
+        refreshToken: `refresh-${username}`,
+        user: { id: `id-${username}`, username },
+      });
+    }),
+    http.post(`${API}/auth/logout`, () =>
+      HttpResponse.json({ message: "Logged out" })
+    ),
+    http.delete(`${API}/users/:userId`, () =>
+      online
+        ? HttpResponse.json({ message: "User deleted successfully" })
+        : HttpResponse.error()
+    )
+  );
+
+  const createOfflineApi = () => {
+    const api = createUserApi({
+      offline: true,
+      offlineStore: createMemoryStore(),
+    });
+    apis.push(api);
+    return api;
+  };
+
+  beforeAll(() => server.listen());
+  afterEach(() => {
+    apis.forEach((api) => api.dispose());
+    apis = [];
+    online = true;
+    patches = [];
+  });
+  afterAll(() => server.close());
+
+  it("queues mutations that can't reach the server", async () => {
+    const api = createOfflineApi();
+    online = false;
+
+    const result = await api.updateUser("1", { email: "jane@example.com" });
+
+    expect(result).toMatchObject({
+      queued: true,
+      mutation: { type: "update", userId: "1" },
+    });
+    expect(await api.getPendingMutations()).toHaveLength(1);
+  });
+
+  it("queues behind pending mutations to keep them in order", async () => {
+    const api = createOfflineApi();
+    online = false;
+    await api.updateUser("1", { email: "first@example.com" });
+
+    online = true;
+    const result = await api.deleteUser("1", "DELETE-1");
+
+    expect(result.queued).toBe(true);
+    expect(patches).toEqual([]);
+  });
+
+  it("replays in order and reports conflicts per item", async () => {
+    const api = createOfflineApi();
+    online = false;
+    await api.updateUser("1", { email: "first@example.com" });
+    await api.updateUser("2", { email: "second@example.com" });
+    await api.deleteUser("3", "DELETE-3");
+
+    online = true;
+    const results = await api.replayOfflineQueue();
+
+    expect(patches.map(([userId]) => userId)).toEqual(["1", "2"]);
+    expect(
+      results.map(({ mutation, status }) => [mutation.userId, status])
+    ).toEqual([
+      ["1", "applied"],
+      ["2", "conflict"],
+      ["3", "applied"],
+    ]);
+    expect(await api.getPendingMutations()).toEqual([]);
+  });
+
+  it("only replays mutations for the user who queued them", async () => {
+    const api = createUserApi({
+      offline: true,
+      offlineStore: createMemoryStore(),
+      tokenStorage: createMemoryStorage(),
+    });
+    await api.login("alice", "secret");
+    online = false;
+    await api.updateUser("1", { email: "alice@example.com" });
+    await api.logout();
+
+    online = true;
+    await api.login("bob", "secret");
+    await api.replayOfflineQueue();
+
+    expect(patches).toEqual([]);
+    expect(await api.getPendingMutations()).toEqual([]);
+
+    // Bob's own changes don't wait behind Alice's
+    await api.updateUser("2", { role: "admin" }).catch(() => {});
+    expect(patches.map(([userId]) => userId)).toEqual(["2"]);
+
+    await api.logout();
+    await api.login("alice", "secret");
+    await api.replayOfflineQueue();
+
+    expect(patches.map(([userId]) => userId)).toEqual(["2", "1"]);
+  });
+
+  it("replays when the browser is back online until disposed", async () => {
+    const api = createOfflineApi();
+    online = false;
+    await api.updateUser("1", { email: "first@example.com" });
+
+    online = true;
+    window.dispatchEvent(new Event("online"));
+    await vi.waitFor(() => expect(patches).toHaveLength(1));
+
+    online = false;
+    await api.updateUser("1", { email: "second@example.com" });
+    api.dispose();
+    online = true;
+    window.dispatchEvent(new Event("online"));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(patches).toHaveLength(1);
+    expect(await api.getPendingMutations()).toHaveLength(1);
+  });
+
+  it("fails right away when offline mode is off", async () => {
+    const api = createUserApi({ offlineStore: createMemoryStore() });
+    online = false;
+
+    await expect(
+      api.updateUser("1", { email: "jane@example.com" })
+    ).rejects.toMatchObject({ name: "NetworkError" });
+  });
+});
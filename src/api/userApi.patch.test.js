@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from "vitest";
+import { setupServer } from "msw/node";
+import { http, HttpResponse } from "msw";
+import { createUserApi } from "./userApi";
+import {
+  JSON_PATCH_CONTENT_TYPE,
+  MERGE_PATCH_CONTENT_TYPE,
+  JsonPatchError,
+  applyPatch,
+  applyMergePatch,
+} from "./jsonPatch";
+import { ConflictError, SchemaValidationError } from "./errors";
+
+const API = "https://api.example.com";
+
+describe("userApi patch formats", () => {
+  let user;
+  let requests;
+
+  const server = setupServer(
+    http.patch(`${API}/users/:userId`, async ({ request }) => {
+      const contentType = request.headers.get("Content-Type");
+      const body = await request.json();
+      requests.push({ contentType, body });
+
+      try {
+        if (contentType.startsWith(JSON_PATCH_CONTENT_TYPE)) {
+          user = applyPatch(user, body);
+        } else if (contentType.startsWith(MERGE_PATCH_CONTENT_TYPE)) {
+          user = applyMergePatch(user, body);
+        } else {
+          user = { ...user, ...body };
+        }
+      } catch (error) {
+        if (!(error instanceof JsonPatchError)) throw error;
+        return HttpResponse.json(
+          { message: error.message, current: user },
+          { status: 409 }
+        );
+      }
+      return HttpResponse.json(user);
+    })
+  );
+
+  beforeAll(() => server.listen());
+  beforeEach(() => {
+    user = {
+      id: "1",
+      username: "jane",
+      email: "jane@example.com",
+      role: "user",
+      profile: { firstName: "Jane", avatar: "jane.png" },
+    };
+    requests = [];
+  });
+  afterAll(() => server.close());
+
+  it("sends JSON Patch documents as application/json-patch+json", async () => {
+    const api = createUserApi();
+    const patch = [
+      { op: "test", path: "/username", value: "jane" },
+      { op: "remove", path: "/profile/avatar" },
+    ];
+
+    const updated = await api.updateUser("1", patch, "json-patch");
+
+    expect(requests).toEqual([
+      { contentType: JSON_PATCH_CONTENT_TYPE, body: patch },
+    ]);
+    expect(updated.profile).toEqual({ firstName: "Jane" });
+  });
+
+  it("sends merge patches as application/merge-patch+json", async () => {
+    const api = createUserApi();
+
+    const updated = await api.updateUser(
+      "1",
+      { email: null, profile: { firstName: "Janet" } },
+      "merge-patch"
+    );
+
+    expect(requests[0].contentType).toBe(MERGE_PATCH_CONTENT_TYPE);
+    expect(updated).not.toHaveProperty("email");
+    expect(updated.profile).toEqual({ firstName: "Janet", avatar: "jane.png" });
+  });
+
+  it("keeps sending plain JSON for shallow updates", async () => {
+    const api = createUserApi();
+    await api.updateUser("1", { email: "jane@example.org" });
+
+    expect(requests[0].contentType).toMatch(/^application\/json/);
+  });
+
+  it("rejects patches of read-only fields and unknown strategies", async () => {
+    const api = createUserApi();
+
+    await expect(
+      api.updateUser(
+        "1",
+        [{ op: "replace", path: "/id", value: "2" }],
+        "json-patch"
+      )
+    ).rejects.toBeInstanceOf(SchemaValidationError);
+    await expect(
+      api.updateUser("1", { username: null }, "merge-patch")
+    ).rejects.toBeInstanceOf(SchemaValidationError);
+    await expect(
+      api.updateUser("1", { email: "jane@example.org" }, "replace")
+    ).rejects.toThrow(/Unknown merge strategy/);
+    expect(requests).toEqual([]);
+  });
+
+  it("rejects a failed test op with the current user", async () => {
+    const api = createUserApi();
+
+    const error = await api
+      .updateUser(
+        "1",
+        [
+          { op: "test", path: "/email", value: "old@example.com" },
+          { op: "replace", path: "/email", value: "jane@example.org" },
+        ],
+        "json-patch"
+      )
+      .catch((err) => err);
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.latest).toMatchObject({ email: "jane@example.com" });
+  });
+});
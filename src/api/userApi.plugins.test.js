@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from "vitest";
+import { setupServer } from "msw/node";
+import { http, HttpResponse } from "msw";
+import { createUserApi } from "./userApi";
+import { createCorrelationIdPlugin } from "./plugins";
+import { NotFoundError } from "./errors";
+
+const API = "https://api.example.com";
+
+describe("userApi plugins", () => {
+  let limitedResponses;
+  let requestIds;
+
+  const server = setupServer(
+    http.get(`${API}/users/:userId`, ({ request, params }) => {
+      requestIds.push(request.headers.get("X-Request-Id"));
+      if (params.userId === "404") {
+        return HttpResponse.json(
+          { message: "User not found" },
+          { status: 404 }
+        );
+      }
+      if (limitedResponses > 0) {
+        limitedResponses--;
+        return HttpResponse.json(
+          { message: "Too many requests" },
+          { status: 429, headers: { "Retry-After": "0" } }
+        );
+      }
+      return HttpResponse.json({ id: params.userId, username: "user" });
+    })
+  );
+
+  beforeAll(() => server.listen());
+  beforeEach(() => {
+    limitedResponses = 0;
+    requestIds = [];
+  });
+  afterAll(() => server.close());
+
+  // Plugin recording every hook call as [hook, url]
+  const createRecorder = () => {
+    const calls = [];
+    const record =
+      (hook) =>
+      ({ config, reason }) =>
+        calls.push(reason ? [hook, config.url, reason] : [hook, config.url]);
+
+    return {
+      calls,
+      plugin: {
+        name: "recorder",
+        onRequest: record("onRequest"),
+        onResponse: record("onResponse"),
+        onRetry: record("onRetry"),
+        onError: record("onError"),
+      },
+    };
+  };
+
+  it("calls the hooks of every attempt", async () => {
+    const { calls, plugin } = createRecorder();
+    const api = createUserApi({ plugins: [plugin] });
+    limitedResponses = 1;
+
+    await api.getUserById("1");
+    await expect(api.getUserById("404")).rejects.toBeInstanceOf(NotFoundError);
+
+    expect(calls).toEqual([
+      ["onRequest", "/users/1"],
+      ["onRetry", "/users/1", "rate-limit"],
+      ["onRequest", "/users/1"],
+      ["onResponse", "/users/1"],
+      ["onRequest", "/users/404"],
+      ["onError", "/users/404"],
+    ]);
+  });
+
+  it("can be added and removed later", async () => {
+    const { calls, plugin } = createRecorder();
+    const api = createUserApi();
+
+    const remove = api.use(plugin);
+    await api.getUserById("1");
+    remove();
+    await api.getUserById("2");
+
+    expect(calls.map(([, url]) => url)).toEqual(["/users/1", "/users/1"]);
+  });
+
+  it("keeps the correlation id across retries", async () => {
+    let nextId = 0;
+    const api = createUserApi({
+      plugins: [
+        createCorrelationIdPlugin({ generateId: () => `req-${++nextId}` }),
+      ],
+    });
+    limitedResponses = 1;
+
+    await api.getUserById("1");
+    await api.getUserById("2");
+
+    expect(requestIds).toEqual(["req-1", "req-1", "req-2"]);
+  });
+
+  it("exposes request and cache metrics", async () => {
+    const api = createUserApi();
+    limitedResponses = 1;
+
+    await api.getUserById("1");
+    await api.getUserById("1");
+    await api.getUserById("404").catch(() => {});
+
+    const { endpoints, cache } = api.getMetrics();
+    expect(endpoints["GET /users/:id"]).toMatchObject({
+      requests: 3,
+      errors: 1,
+      retries: 1,
+    });
+    expect(endpoints["GET /users/:id"].latency.max).toBeGreaterThanOrEqual(0);
+    expect(cache.hits).toBe(1);
+
+    api.resetMetrics();
+    expect(api.getMetrics()).toMatchObject({
+      endpoints: {},
+      cache: { hits: 0 },
+    });
+  });
+});
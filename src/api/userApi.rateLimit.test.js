@@ -0,0 +1,137 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  afterAll,
+} from "vitest";
+import { setupServer } from "msw/node";
+import { http, HttpResponse } from "msw";
+import userApi from "./userApi";
+import { RateLimitError } from "./errors";
+
+const API = "https://api.example.com";
+
+describe("userApi rate limiting", () => {
+  let limitedResponses;
+  let retryAfter;
+  let userRequests;
+  let loginRequests;
+
+  const server = setupServer(
+    http.get(`${API}/users/:userId`, ({ params }) => {
+      userRequests++;
+      if (limitedResponses > 0) {
+        limitedResponses--;
+        return HttpResponse.json(
+          { message: "Too many requests" },
+          { status: 429, headers: { "Retry-After": retryAfter } }
+        );
+      }
+      return HttpResponse.json({ id: params.userId, username: "user" });
+    }),
+    http.post(`${API}/auth/login`, () => {
+      loginRequests++;
+      return HttpResponse.json(
+        { message: "Too many failed login attempts" },
+        { status: 429, headers: { "Retry-After": "0" } }
+      );
+    })
+  );
+
+  beforeAll(() => server.listen());
+  beforeEach(() => {
+    limitedResponses = 0;
+    retryAfter = "0";
+    userRequests = 0;
+    loginRequests = 0;
+    userApi.clearCache();
+    userApi.configureRateLimit({
+      retryBudget: { maxRetries: 10, windowMs: 60000 },
+    });
+  });
+  afterEach(() => {
+    userApi.configureRateLimit({
+      maxRetries: 3,
+      maxRetryAfterMs: 60000,
+      throttle: null,
+    });
+  });
+  afterAll(() => server.close());
+
+  it("retries a 429 after Retry-After", async () => {
+    limitedResponses = 2;
+
+    const user = await userApi.getUserById("1");
+
+    expect(user.username).toBe("user");
+    expect(userRequests).toBe(3);
+  });
+
+  it("accepts Retry-After as an HTTP date", async () => {
+    limitedResponses = 1;
+    retryAfter = new Date(Date.now() - 1000).toUTCString();
+
+    await expect(userApi.getUserById("1")).resolves.toMatchObject({ id: "1" });
+    expect(userRequests).toBe(2);
+  });
+
+  it("gives up after maxRetries", async () => {
+    limitedResponses = 10;
+    userApi.configureRateLimit({ maxRetries: 2 });
+
+    await expect(userApi.getUserById("1")).rejects.toBeInstanceOf(
+      RateLimitError
+    );
+    expect(userRequests).toBe(3);
+  });
+
+  it("fails fast when Retry-After is longer than it is willing to wait", async () => {
+    limitedResponses = 1;
+    retryAfter = "120";
+
+    const error = await userApi.getUserById("1").catch((err) => err);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.retryAfter).toBe(120);
+    expect(userRequests).toBe(1);
+  });
+
+  it("shares a retry budget across requests to the same endpoint", async () => {
+    limitedResponses = 10;
+    userApi.configureRateLimit({
+      retryBudget: { maxRetries: 2, windowMs: 60000 },
+    });
+
+    await expect(userApi.getUserById("1")).rejects.toBeInstanceOf(
+      RateLimitError
+    );
+    await expect(userApi.getUserById("2")).rejects.toBeInstanceOf(
+      RateLimitError
+    );
+    // Two retries for the first request, none left for the second
+    expect(userRequests).toBe(4);
+  });
+
+  it("does not retry rate-limited logins", async () => {
+    await expect(userApi.login("jane", "wrong")).rejects.toBeInstanceOf(
+      RateLimitError
+    );
+    expect(loginRequests).toBe(1);
+  });
+
+  it("throttles requests with a token bucket", async () => {
+    userApi.configureRateLimit({
+      throttle: { capacity: 1, refillPerSecond: 20 },
+    });
+    const startedAt = Date.now();
+
+    await Promise.all(["1", "2", "3"].map((id) => userApi.getUserById(id)));
+
+    // One request goes out at once, the other two wait ~50ms each
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(90);
+    expect(userRequests).toBe(3);
+  });
+});
@@ -2,19 +2,20 @@ import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 import axios from "axios";
 import userApi from "./userApi";
 
-// Mock axios
+// Mock axios. The shared userApi creates its client when the module loads,
+// so every axios.create() call returns the same instance.
+const { axiosInstance } = vi.hoisted(() => ({
+  axiosInstance: {
+    interceptors: {
+      request: { use: () => {} },
+      response: { use: () => {} },
+    },
+  },
+}));
+
 vi.mock("axios", () => ({
   default: {
-    create: vi.fn(() => ({
-      interceptors: {
-        request: { use: vi.fn() },
-        response: { use: vi.fn() },
-      },
-      get: vi.fn(),
-      post: vi.fn(),
-      patch: vi.fn(),
-      delete: vi.fn(),
-    })),
+    create: vi.fn(() => axiosInstance),
     post: vi.fn(),
   },
 }));
@@ -25,6 +26,12 @@ describe("userApi", () => {
   beforeEach(() => {
     // Setup the mock axios instance
     mockAxiosInstance = axios.create();
+    Object.assign(mockAxiosInstance, {
+      get: vi.fn(),
+      post: vi.fn(),
+      patch: vi.fn(),
+      delete: vi.fn(),
+    });
     vi.clearAllMocks();
 
     // Mock localStorage
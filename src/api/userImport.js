@@ -0,0 +1,261 @@
+import { CreateUserPayloadSchema } from "./schemas";
+import { validate } from "./validation";
+
+// Bulk user import: parse an uploaded CSV or JSON file into rows, map its
+// columns to user fields and check every row the way createUser and the
+// server would, before anything is created.
+
+// Fields a column can be mapped to, as paths into the createUser payload
+export const IMPORT_FIELDS = [
+  "username",
+  "email",
+  "password",
+  "role",
+  "profile.firstName",
+  "profile.lastName",
+  "profile.avatar",
+  "profile.address.street",
+  "profile.address.city",
+  "profile.address.zipCode",
+  "profile.address.country",
+  "preferences.theme",
+  "preferences.language",
+  "preferences.notifications",
+];
+
+// Fields every row needs, as createUser requires them
+export const REQUIRED_IMPORT_FIELDS = Object.entries(
+  CreateUserPayloadSchema.shape
+)
+  .filter(([, schema]) => !schema.optional)
+  .map(([field]) => field);
+
+// Column names that don't spell out the field, after normalizeHeader
+const FIELD_ALIASES = {
+  email: ["emailaddress", "mail"],
+  "profile.firstName": ["givenname"],
+  "profile.lastName": ["surname", "familyname"],
+  "profile.address.zipCode": ["zip", "postcode", "postalcode"],
+};
+
+const normalizeHeader = (header) =>
+  String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+// Column names a field is recognized by: "profile.address.zipCode" matches
+// "profile.address.zipCode", "Address Zip Code", "zip_code" and "ZIP"
+const headerKeys = (field) => {
+  const segments = field.split(".");
+  return [
+    ...segments.map((_, index) =>
+      normalizeHeader(segments.slice(index).join(""))
+    ),
+    ...(FIELD_ALIASES[field] || []),
+  ];
+};
+
+// Map each column to the field its name suggests, or to "" when there is
+// none. A field is only guessed for its first matching column.
+export const guessColumnMapping = (columns) => {
+  const taken = new Set();
+  return Object.fromEntries(
+    columns.map((column) => {
+      const key = normalizeHeader(column);
+      const field =
+        IMPORT_FIELDS.find(
+          (candidate) =>
+            !taken.has(candidate) && headerKeys(candidate).includes(key)
+        ) ?? "";
+      if (field) taken.add(field);
+      return [column, field];
+    })
+  );
+};
+
+// RFC 4180 CSV: fields may be quoted to hold commas, line breaks and
+// doubled quotes. Returns the records as arrays of strings, without
+// blank lines.
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = "";
+  };
+  const endRecord = () => {
+    endField();
+    if (record.some((value) => value.trim() !== "")) records.push(record);
+    record = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\n") line++;
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new Error(`Unterminated quoted field on line ${line}`);
+  endRecord();
+  return records;
+};
+
+// { profile: { address: { city } } } -> { "profile.address.city": ... }
+const flatten = (value, prefix = "", output = {}) => {
+  Object.entries(value).forEach(([key, child]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (child && typeof child === "object" && !Array.isArray(child)) {
+      flatten(child, path, output);
+    } else {
+      output[path] = child;
+    }
+  });
+  return output;
+};
+
+const parseJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The file is not valid JSON: ${error.message}`);
+  }
+
+  // Either an array of users or an export like { users: [...] }
+  const items = Array.isArray(data) ? data : data?.users;
+  if (!Array.isArray(items)) {
+    throw new Error("Expected an array of users");
+  }
+  items.forEach((item, index) => {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      throw new Error(`Entry ${index + 1} is not an object`);
+    }
+  });
+
+  const rows = items.map((item) => flatten(item));
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  return { columns, rows };
+};
+
+const parseCsvFile = (text) => {
+  const [header = [], ...records] = parseCsv(text);
+  const columns = header.map((column) => column.trim());
+
+  const rows = records.map((record) =>
+    Object.fromEntries(
+      columns.map((column, index) => [column, record[index] ?? ""])
+    )
+  );
+  return { columns, rows };
+};
+
+// Parse an uploaded file into { columns, rows }, where each row maps
+// column -> value. JSON files hold an array of (possibly nested) users,
+// whose nested fields become dotted columns such as
+// "profile.address.city"; anything else is read as CSV with a header row.
+export const parseImportFile = (text, fileName = "") => {
+  const content = text.replace(/^\uFEFF/, ""); // byte order mark
+  const isJson =
+    /\.json$/i.test(fileName) ||
+    (!/\.csv$/i.test(fileName) && /^\s*[[{]/.test(content));
+
+  const parsed = isJson ? parseJson(content) : parseCsvFile(content);
+  if (parsed.rows.length === 0) {
+    throw new Error("The file has no users to import");
+  }
+  return parsed;
+};
+
+const BOOLEAN_VALUES = {
+  true: true,
+  yes: true,
+  1: true,
+  false: false,
+  no: false,
+  0: false,
+};
+
+// CSV cells are all strings; booleans are spelled out
+const toFieldValue = (field, value) => {
+  if (typeof value !== "string") return value;
+  const trimmed = value.trim();
+  if (field === "preferences.notifications") {
+    return BOOLEAN_VALUES[trimmed.toLowerCase()] ?? trimmed;
+  }
+  if (field === "role") return trimmed.toLowerCase();
+  return trimmed;
+};
+
+// The createUser payload for a row. Empty cells are left out.
+export const buildUser = (row, mapping) => {
+  const user = {};
+  Object.entries(mapping).forEach(([column, field]) => {
+    if (!field) return;
+    const value = toFieldValue(field, row[column]);
+    if (value === undefined || value === null || value === "") return;
+
+    const segments = field.split(".");
+    const parent = segments
+      .slice(0, -1)
+      .reduce((target, key) => (target[key] ??= {}), user);
+    parent[segments[segments.length - 1]] = value;
+  });
+  return user;
+};
+
+// Check every row before importing. Resolves each row to
+// { user, status, issues }, where status is
+//   "ready"      it can be created
+//   "invalid"    it fails createUser's checks
+//   "duplicate"  its username or email is taken, by `existingUsers` or an
+//                earlier row; the server would answer 409
+// and issues lists { path, message } for every problem.
+export const checkImportRows = (rows, mapping, existingUsers = []) => {
+  const usernames = new Set(existingUsers.map((user) => user.username));
+  const emails = new Set(existingUsers.map((user) => user.email));
+
+  return rows.map((row) => {
+    const user = buildUser(row, mapping);
+    const issues = validate(CreateUserPayloadSchema, user);
+    if (issues.length > 0) return { user, status: "invalid", issues };
+
+    const duplicates = [];
+    if (usernames.has(user.username)) {
+      duplicates.push({ path: "username", message: "Username already exists" });
+    }
+    if (emails.has(user.email)) {
+      duplicates.push({ path: "email", message: "Email already exists" });
+    }
+    if (duplicates.length > 0) {
+      return { user, status: "duplicate", issues: duplicates };
+    }
+
+    // Later rows can't reuse what this one is about to take
+    usernames.add(user.username);
+    emails.add(user.email);
+    return { user, status: "ready", issues: [] };
+  });
+};
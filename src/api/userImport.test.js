@@ -0,0 +1,151 @@
+import { describe, it, expect } from "vitest";
+import {
+  REQUIRED_IMPORT_FIELDS,
+  buildUser,
+  checkImportRows,
+  guessColumnMapping,
+  parseCsv,
+  parseImportFile,
+} from "./userImport";
+
+describe("userImport", () => {
+  it("parses quoted CSV fields", () => {
+    const records = parseCsv(
+      'name,note\r\n"Doe, Jane","says ""hi""\nthere"\r\n\r\nbob,\n'
+    );
+
+    expect(records).toEqual([
+      ["name", "note"],
+      ["Doe, Jane", 'says "hi"\nthere'],
+      ["bob", ""],
+    ]);
+    expect(() => parseCsv('a,b\n"open,c\n')).toThrow(/Unterminated/);
+  });
+
+  it("reads CSV files with a header row", () => {
+    const { columns, rows } = parseImportFile(
+      "\uFEFFusername, email\njane,jane@example.com\njohn\n",
+      "users.csv"
+    );
+
+    expect(columns).toEqual(["username", "email"]);
+    expect(rows).toEqual([
+      { username: "jane", email: "jane@example.com" },
+      { username: "john", email: "" },
+    ]);
+  });
+
+  it("flattens nested JSON users into dotted columns", () => {
+    const { columns, rows } = parseImportFile(
+      JSON.stringify({
+        users: [
+          { username: "jane", profile: { address: { city: "Springfield" } } },
+          { username: "john", role: "admin" },
+        ],
+      }),
+      "export.json"
+    );
+
+    expect(columns).toEqual(["username", "profile.address.city", "role"]);
+    expect(rows[0]["profile.address.city"]).toBe("Springfield");
+    expect(() => parseImportFile("[1, 2]", "users.json")).toThrow(
+      /Entry 1 is not an object/
+    );
+    expect(() => parseImportFile("username\n", "users.csv")).toThrow(
+      /no users/
+    );
+  });
+
+  it("guesses fields from column names", () => {
+    expect(
+      guessColumnMapping([
+        "User Name",
+        "E-mail Address",
+        "first_name",
+        "Surname",
+        "ZIP",
+        "profile.address.city",
+        "email",
+        "Notes",
+      ])
+    ).toEqual({
+      "User Name": "username",
+      "E-mail Address": "email",
+      first_name: "profile.firstName",
+      Surname: "profile.lastName",
+      ZIP: "profile.address.zipCode",
+      "profile.address.city": "profile.address.city",
+      email: "",
+      Notes: "",
+    });
+  });
+
+  it("builds nested users and leaves out empty cells", () => {
+    const user = buildUser(
+      {
+        login: " jane ",
+        town: "Springfield",
+        zip: "",
+        role: "Admin",
+        alerts: "no",
+      },
+      {
+        login: "username",
+        town: "profile.address.city",
+        zip: "profile.address.zipCode",
+        role: "role",
+        alerts: "preferences.notifications",
+      }
+    );
+
+    expect(user).toEqual({
+      username: "jane",
+      role: "admin",
+      profile: { address: { city: "Springfield" } },
+      preferences: { notifications: false },
+    });
+  });
+
+  it("flags invalid rows and duplicates of existing users and earlier rows", () => {
+    const mapping = guessColumnMapping(REQUIRED_IMPORT_FIELDS);
+    const row = (username, email) => ({
+      username,
+      email,
+      password: "s3cret-pass",
+    });
+
+    const checked = checkImportRows(
+      [
+        row("jane", "jane@example.com"),
+        row("johndoe", "john.doe@example.com"),
+        row("bob", "bob@example"),
+        row("jane", "jane2@example.com"),
+        row("bob", "bob@example.com"),
+        { ...row("dan", "dan@example.com"), password: "secret" },
+      ],
+      mapping,
+      [{ username: "johndoe", email: "john@example.com" }]
+    );
+
+    expect(checked.map((row) => row.status)).toEqual([
+      "ready",
+      "duplicate",
+      "invalid",
+      "duplicate",
+      "ready",
+      "invalid",
+    ]);
+    expect(checked[1].issues).toEqual([
+      { path: "username", message: "Username already exists" },
+    ]);
+    expect(checked[2].issues[0].path).toBe("email");
+    expect(checked[5].issues).toEqual([
+      { path: "password", message: "Must be at least 8 characters" },
+    ]);
+    expect(checked[4].user).toEqual({
+      username: "bob",
+      email: "bob@example.com",
+      password: "s3cret-pass",
+    });
+  });
+});
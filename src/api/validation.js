@@ -0,0 +1,190 @@
+import { SchemaValidationError } from "./errors";
+
+// Small runtime schema toolkit for checking data at the client boundary.
+//
+// A schema is an object with check(value, path, issues) that appends
+// { path, message } for every problem it finds. Paths use dot/bracket
+// notation, e.g. "users[2].profile.address.zipCode".
+
+const describe = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+const joinPath = (path, key) =>
+  typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+const typeIssue = (path, expected, value) => ({
+  path,
+  message: `Expected ${expected}, received ${describe(value)}`,
+});
+
+export const string = ({ minLength = 0, pattern, patternMessage } = {}) => ({
+  check(value, path, issues) {
+    if (typeof value !== "string") {
+      issues.push(typeIssue(path, "string", value));
+    } else if (value.length < minLength) {
+      issues.push({
+        path,
+        message:
+          minLength === 1
+            ? "Must not be empty"
+            : `Must be at least ${minLength} characters`,
+      });
+    } else if (pattern && !pattern.test(value)) {
+      issues.push({ path, message: patternMessage || "Has an invalid format" });
+    }
+  },
+});
+
+export const email = () =>
+  string({
+    minLength: 1,
+    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    patternMessage: "Must be a valid email address",
+  });
+
+export const number = ({ integer = false, min } = {}) => ({
+  check(value, path, issues) {
+    if (typeof value !== "number" || Number.isNaN(value)) {
+      issues.push(typeIssue(path, "number", value));
+    } else if (integer && !Number.isInteger(value)) {
+      issues.push({ path, message: "Must be a whole number" });
+    } else if (min !== undefined && value < min) {
+      issues.push({ path, message: `Must be at least ${min}` });
+    }
+  },
+});
+
+export const boolean = () => ({
+  check(value, path, issues) {
+    if (typeof value !== "boolean") {
+      issues.push(typeIssue(path, "boolean", value));
+    }
+  },
+});
+
+export const oneOf = (values) => ({
+  check(value, path, issues) {
+    if (!values.includes(value)) {
+      issues.push({
+        path,
+        message: `Must be one of: ${values.join(", ")}`,
+      });
+    }
+  },
+});
+
+// Accepts anything, e.g. the value of a JSON Patch operation
+export const any = () => ({
+  check() {},
+});
+
+export const optional = (schema) => ({
+  optional: true,
+  check(value, path, issues) {
+    if (value !== undefined) schema.check(value, path, issues);
+  },
+});
+
+export const nullable = (schema) => ({
+  check(value, path, issues) {
+    if (value !== null) schema.check(value, path, issues);
+  },
+});
+
+export const array = (itemSchema) => ({
+  check(value, path, issues) {
+    if (!Array.isArray(value)) {
+      issues.push(typeIssue(path, "array", value));
+      return;
+    }
+    value.forEach((item, index) =>
+      itemSchema.check(item, joinPath(path, index), issues)
+    );
+  },
+});
+
+// Unknown keys are allowed unless `strict` is set. The shape is exposed so
+// a schema can be derived with partial().
+export const object = (shape, { strict = false } = {}) => ({
+  shape,
+  strict,
+  check(value, path, issues) {
+    if (describe(value) !== "object") {
+      issues.push(typeIssue(path, "object", value));
+      return;
+    }
+
+    Object.entries(shape).forEach(([key, schema]) => {
+      const fieldPath = joinPath(path, key);
+      if (value[key] === undefined && !schema.optional) {
+        issues.push({ path: fieldPath, message: "Is required" });
+      } else {
+        schema.check(value[key], fieldPath, issues);
+      }
+    });
+
+    if (strict) {
+      Object.keys(value)
+        .filter((key) => !(key in shape))
+        .forEach((key) =>
+          issues.push({ path: joinPath(path, key), message: "Is not allowed" })
+        );
+    }
+  },
+});
+
+// Object schema whose `fields` are only required while `key` is absent,
+// for payloads that come in two shapes. `fields` should be optional in
+// the object schema itself.
+export const requiredUnless = (objectSchema, key, fields) => ({
+  shape: objectSchema.shape,
+  strict: objectSchema.strict,
+  check(value, path, issues) {
+    objectSchema.check(value, path, issues);
+    if (describe(value) !== "object" || value[key] !== undefined) return;
+
+    fields
+      .filter((field) => value[field] === undefined)
+      .forEach((field) =>
+        issues.push({ path: joinPath(path, field), message: "Is required" })
+      );
+  },
+});
+
+// Same object schema with every field optional, for partial updates
+export const partial = (objectSchema) =>
+  object(
+    Object.fromEntries(
+      Object.entries(objectSchema.shape).map(([key, schema]) => [
+        key,
+        schema.optional ? schema : optional(schema),
+      ])
+    ),
+    { strict: objectSchema.strict }
+  );
+
+export const validate = (schema, value) => {
+  const issues = [];
+  schema.check(value, "", issues);
+  return issues;
+};
+
+// Validate and return the value, or throw with every issue found
+export const assertValid = (schema, value, { label, direction }) => {
+  const issues = validate(schema, value);
+  if (issues.length === 0) return value;
+
+  const summary = issues
+    .slice(0, 3)
+    .map(({ path, message }) => `${path || "(root)"}: ${message}`)
+    .join("; ");
+  const more = issues.length > 3 ? ` (+${issues.length - 3} more)` : "";
+
+  throw new SchemaValidationError(`Invalid ${label}: ${summary}${more}`, {
+    issues,
+    direction,
+  });
+};
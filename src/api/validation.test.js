@@ -0,0 +1,97 @@
+import { describe, it, expect } from "vitest";
+import {
+  string,
+  email,
+  number,
+  oneOf,
+  optional,
+  nullable,
+  array,
+  object,
+  partial,
+  validate,
+  assertValid,
+} from "./validation";
+
+describe("validation", () => {
+  const Schema = object(
+    {
+      name: string({ minLength: 1 }),
+      email: optional(email()),
+      role: oneOf(["admin", "user"]),
+      tags: array(string()),
+      address: object({ zipCode: nullable(string()) }),
+      count: optional(number({ integer: true, min: 0 })),
+    },
+    { strict: true }
+  );
+
+  const valid = {
+    name: "Jane",
+    role: "user",
+    tags: ["a"],
+    address: { zipCode: null },
+  };
+
+  it("accepts values matching the schema", () => {
+    expect(validate(Schema, valid)).toEqual([]);
+  });
+
+  it("reports every issue with its field path", () => {
+    const issues = validate(Schema, {
+      name: "",
+      email: "not-an-email",
+      role: "owner",
+      tags: ["a", 2],
+      address: { zipCode: 12345 },
+      count: 1.5,
+      extra: true,
+    });
+
+    expect(issues).toEqual([
+      { path: "name", message: "Must not be empty" },
+      { path: "email", message: "Must be a valid email address" },
+      { path: "role", message: "Must be one of: admin, user" },
+      { path: "tags[1]", message: "Expected string, received number" },
+      { path: "address.zipCode", message: "Expected string, received number" },
+      { path: "count", message: "Must be a whole number" },
+      { path: "extra", message: "Is not allowed" },
+    ]);
+  });
+
+  it("flags missing required fields", () => {
+    expect(validate(Schema, { role: "user" })).toEqual(
+      expect.arrayContaining([
+        { path: "name", message: "Is required" },
+        { path: "tags", message: "Is required" },
+      ])
+    );
+  });
+
+  it("derives partial schemas for updates", () => {
+    expect(validate(partial(Schema), { role: "admin" })).toEqual([]);
+    expect(validate(partial(Schema), { nickname: "J" })).toEqual([
+      { path: "nickname", message: "Is not allowed" },
+    ]);
+  });
+
+  it("throws a descriptive error from assertValid", () => {
+    expect(() =>
+      assertValid(
+        Schema,
+        { ...valid, role: "owner" },
+        {
+          label: "member",
+          direction: "request",
+        }
+      )
+    ).toThrow(
+      expect.objectContaining({
+        name: "SchemaValidationError",
+        message: "Invalid member: role: Must be one of: admin, user",
+        direction: "request",
+        issues: [{ path: "role", message: "Must be one of: admin, user" }],
+      })
+    );
+  });
+});
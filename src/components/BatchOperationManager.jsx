@@ -1,5 +1,20 @@
 import { useState, useEffect, useRef } from "react";
 import userApi from "../api/userApi";
+import { AbortError } from "../api/errors";
+
+// Resolves after `ms`, or rejects with an AbortError once `signal` aborts
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(new AbortError());
+      },
+      { once: true }
+    );
+  });
 
 /*
  * BatchOperationManager
@@ -203,7 +218,7 @@ export const BatchOperationManager = ({ onComplete, onError }) => {
               newOps.splice(idx1, 1);
               break;
 
-            case "merge":
+            case "merge": {
               // Merge the operations, second one's values override the first
               const mergedData = { ...newOps[idx1].data };
 
@@ -226,8 +241,9 @@ export const BatchOperationManager = ({ onComplete, onError }) => {
               // Remove the second operation
               newOps.splice(idx2, 1);
               break;
+            }
 
-            case "manual_resolve":
+            case "manual_resolve": {
               // Use manually provided values for conflict resolution
               const manualData = { ...newOps[idx1].data };
 
@@ -248,10 +264,11 @@ export const BatchOperationManager = ({ onComplete, onError }) => {
               // Remove the second operation
               newOps.splice(idx2, 1);
               break;
+            }
           }
         } else if (conflict.type === "circular_dependency") {
           switch (resolution) {
-            case "remove_dependency":
+            case "remove_dependency": {
               // Remove the dependency that causes the cycle
               const cycle = conflict.indices;
               const lastIdx = cycle[cycle.length - 1];
@@ -264,8 +281,9 @@ export const BatchOperationManager = ({ onComplete, onError }) => {
                 op.dependsOn = op.dependsOn.filter((id) => id !== targetId);
               }
               break;
+            }
 
-            case "reorder":
+            case "reorder": {
               // Reorder operations to break the cycle
               const indices = conflict.indices;
               const moved = newOps[indices[0]];
@@ -274,6 +292,7 @@ export const BatchOperationManager = ({ onComplete, onError }) => {
               newOps.splice(indices[0], 1);
               newOps.splice(indices[indices.length - 1], 0, moved);
               break;
+            }
           }
         }
 
@@ -319,15 +338,16 @@ export const BatchOperationManager = ({ onComplete, onError }) => {
     setResults([]);
     setErrorDetails(null);
 
+    // Set up abort controller for cancellable operations; it is handed to
+    // every request, so cancelling stops the one in flight as well
+    abortControllerRef.current = new AbortController();
+    const signal = abortControllerRef.current.signal;
+
     try {
       // Clone operations and save current batch
       const batch = JSON.parse(JSON.stringify(operations));
       currentBatchRef.current = batch;
 
-      // Set up abort controller for cancellable operations
-      abortControllerRef.current = new AbortController();
-      const signal = abortControllerRef.current.signal;
-
       // Build operation dependency chain
       let opSequence;
       if (parallelOps) {
@@ -382,17 +402,21 @@ export const BatchOperationManager = ({ onComplete, onError }) => {
               // Exponential backoff for retries
               if (attempt > 0) {
                 const backoffMs = Math.pow(2, attempt) * 500;
-                await new Promise((resolve) => setTimeout(resolve, backoffMs));
+                await wait(backoffMs, signal);
               }
 
               // Execute the operation
               result = await userApi.updateUser(
                 op.userId,
                 op.data,
-                op.mergeStrategy || "shallow"
+                op.mergeStrategy || "shallow",
+                { signal }
               );
               success = true;
             } catch (err) {
+              // Cancelled: no point retrying
+              if (err instanceof AbortError) throw err;
+
               error = err;
               attempt++;
 
@@ -429,6 +453,8 @@ export const BatchOperationManager = ({ onComplete, onError }) => {
             }
           }
         } catch (err) {
+          if (err instanceof AbortError) throw err;
+
           results.push({
             userId: op.userId,
             success: false,
@@ -470,6 +496,9 @@ export const BatchOperationManager = ({ onComplete, onError }) => {
         if (onComplete) onComplete(results);
       }
     } catch (error) {
+      // cancelBatch has already reported the cancellation
+      if (signal.aborted) return;
+
       setErrorDetails({
         message: error.message || "Error executing batch operations",
         error,
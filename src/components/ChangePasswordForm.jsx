@@ -0,0 +1,106 @@
+import { useState } from "react";
+import userApi from "../api/userApi";
+import { ValidationError } from "../api/errors";
+
+const EMPTY_FORM = {
+  currentPassword: "",
+  newPassword: "",
+  confirmPassword: "",
+};
+
+/*
+ * ChangePasswordForm
+ *
+ * Lets the logged-in user change their own password. The current password
+ * is required, and server-side validation errors are shown next to the
+ * field they belong to.
+ */
+export const ChangePasswordForm = () => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    setFieldErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    if (form.newPassword !== form.confirmPassword) {
+      setFieldErrors({ confirmPassword: "Passwords do not match" });
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setFieldErrors({});
+
+      const result = await userApi.changePassword(
+        form.currentPassword,
+        form.newPassword
+      );
+      setForm(EMPTY_FORM);
+      setMessage(result.message || "Password has been changed");
+    } catch (err) {
+      if (err instanceof ValidationError && Object.keys(err.fields).length) {
+        setFieldErrors(err.fields);
+      } else {
+        setError(err.message || "Error changing password");
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderField = (name, label, autoComplete) => (
+    <div className="form-group">
+      <label htmlFor={`change-password-${name}`}>{label}</label>
+      <input
+        type="password"
+        id={`change-password-${name}`}
+        name={name}
+        autoComplete={autoComplete}
+        value={form[name]}
+        onChange={handleChange}
+        aria-invalid={Boolean(fieldErrors[name])}
+      />
+      {fieldErrors[name] && (
+        <div className="field-error">{fieldErrors[name]}</div>
+      )}
+    </div>
+  );
+
+  return (
+    <form className="change-password-form" onSubmit={handleSubmit}>
+      <h3>Change Password</h3>
+
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="success-message">{message}</div>}
+
+      {renderField("currentPassword", "Current password", "current-password")}
+      {renderField("newPassword", "New password", "new-password")}
+      {renderField("confirmPassword", "Confirm new password", "new-password")}
+
+      <button
+        type="submit"
+        disabled={
+          loading ||
+          !form.currentPassword ||
+          !form.newPassword ||
+          !form.confirmPassword
+        }
+      >
+        {loading ? "Saving..." : "Change password"}
+      </button>
+    </form>
+  );
+};
+
+export default ChangePasswordForm;
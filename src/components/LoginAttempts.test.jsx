@@ -24,6 +24,7 @@ vi.mock("../api/userApi", () => {
     default: {
       searchUsers: vi.fn(),
       getLoginAttempts: vi.fn(),
+      onOfflineQueueChange: vi.fn(),
     },
   };
 });
@@ -86,9 +87,13 @@ describe("Login Attempts Integration Tests", () => {
       );
       expect(usernameElements.length).toBeGreaterThanOrEqual(1);
 
-      // Each attempt should indicate success or failure
+      // Each attempt should indicate success or failure, once per attempt
+      // with that outcome
       const statusText = attempt.success ? "Success" : "Failed";
-      expect(screen.getByText(new RegExp(statusText, "i"))).toBeInTheDocument();
+      expect(screen.getAllByText(new RegExp(statusText, "i"))).toHaveLength(
+        mockLoginAttempts.filter(({ success }) => success === attempt.success)
+          .length
+      );
     }
   });
 
@@ -1,4 +1,4 @@
-import { render, screen, waitFor } from "@testing-library/react";
+import { render, screen, waitFor, within } from "@testing-library/react";
 import { describe, it, expect, vi, beforeEach } from "vitest";
 import { UserDashboard } from "./UserDashboard";
 import userApi from "../api/userApi";
@@ -11,6 +11,7 @@ vi.mock("../api/userApi", () => ({
     updateUser: vi.fn(),
     deleteUser: vi.fn(),
     getLoginAttempts: vi.fn(),
+    onOfflineQueueChange: vi.fn(),
   },
 }));
 
@@ -120,11 +121,15 @@ describe("Login Attempts Feature Specification", () => {
     const listItems = loginSection.querySelectorAll("li");
     expect(listItems.length).toBe(mockLoginAttempts.length);
 
-    // Check each login attempt displays the required information
-    mockLoginAttempts.forEach((attempt) => {
+    // Check each login attempt displays the required information. The
+    // user list shows usernames too, and statuses repeat across attempts,
+    // so look for those inside each item.
+    mockLoginAttempts.forEach((attempt, index) => {
+      const item = within(listItems[index]);
+
       // Username check
       expect(
-        screen.getByText(new RegExp(attempt.username, "i"))
+        item.getByText(new RegExp(attempt.username, "i"))
       ).toBeInTheDocument();
 
       // Timestamp check - verify date is formatted
@@ -134,7 +139,7 @@ describe("Login Attempts Feature Specification", () => {
 
       // Status check
       const statusText = attempt.success ? "Success" : "Failed";
-      expect(screen.getByText(new RegExp(statusText, "i"))).toBeInTheDocument();
+      expect(item.getByText(new RegExp(statusText, "i"))).toBeInTheDocument();
     });
   });
 
@@ -0,0 +1,109 @@
+import { useState } from "react";
+import userApi from "../api/userApi";
+
+/*
+ * MfaEnrollment
+ *
+ * Lets the logged-in user turn on TOTP two-factor authentication:
+ * 1. Request a secret and show it with its otpauth:// URI
+ * 2. Show the one-time recovery codes
+ * 3. Confirm with a code from the authenticator app
+ */
+export const MfaEnrollment = ({ enabled = false }) => {
+  const [isEnabled, setIsEnabled] = useState(enabled);
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleStart = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      setEnrollment(await userApi.enrollMfa());
+      setCode("");
+    } catch (err) {
+      setError(err.message || "Error starting two-factor setup");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    if (!code) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      await userApi.confirmMfaEnrollment(code);
+      setIsEnabled(true);
+      setEnrollment(null);
+    } catch (err) {
+      setError(err.message || "Error verifying code");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="mfa-enrollment">
+      <h3>Two-Factor Authentication</h3>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {isEnabled ? (
+        <p>Two-factor authentication is enabled for your account.</p>
+      ) : enrollment ? (
+        <form onSubmit={handleConfirm}>
+          <p>
+            Add this account to your authenticator app, then enter the code it
+            shows.
+          </p>
+          <p>
+            <strong>Secret:</strong> <code>{enrollment.secret}</code>
+          </p>
+          <p className="mfa-uri">
+            <strong>Setup URI:</strong>{" "}
+            <a href={enrollment.otpauthUri}>{enrollment.otpauthUri}</a>
+          </p>
+
+          <p>
+            <strong>Recovery codes</strong> (each works once; store them
+            somewhere safe):
+          </p>
+          <ul className="recovery-codes">
+            {enrollment.recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>
+                <code>{recoveryCode}</code>
+              </li>
+            ))}
+          </ul>
+
+          <div className="form-group">
+            <label htmlFor="mfa-enrollment-code">Verification code</label>
+            <input
+              type="text"
+              id="mfa-enrollment-code"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+          </div>
+          <button type="submit" disabled={loading || !code}>
+            Confirm
+          </button>
+        </form>
+      ) : (
+        <button onClick={handleStart} disabled={loading}>
+          Set up two-factor authentication
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MfaEnrollment;
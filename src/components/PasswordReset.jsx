@@ -0,0 +1,146 @@
+import { useState } from "react";
+import userApi from "../api/userApi";
+import { ValidationError } from "../api/errors";
+
+/*
+ * PasswordReset
+ *
+ * "Forgot password" flow shown in place of the login form:
+ * 1. Request a reset code for a username or email
+ * 2. Redeem the code with a new password
+ *
+ * onComplete is called with a confirmation message once the password has
+ * been reset; onCancel returns to the login form.
+ */
+export const PasswordReset = ({ onComplete, onCancel }) => {
+  const [identifier, setIdentifier] = useState("");
+  const [resetRequested, setResetRequested] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [resetCode, setResetCode] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const showError = (err, fallback) => {
+    if (err instanceof ValidationError && Object.keys(err.fields).length) {
+      setFieldErrors(err.fields);
+    } else {
+      setError(err.message || fallback);
+    }
+  };
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+
+    if (!identifier) {
+      setFieldErrors({ identifier: "Username or email is required" });
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setFieldErrors({});
+
+      const result = await userApi.requestPasswordReset(identifier);
+      setNotice(result.message);
+      setResetRequested(true);
+    } catch (err) {
+      showError(err, "Unable to request a password reset");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReset = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      setError(null);
+      setFieldErrors({});
+
+      const result = await userApi.resetPassword(resetCode, newPassword);
+      onComplete?.(result.message || "Password has been reset");
+    } catch (err) {
+      showError(err, "Unable to reset password");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderFieldError = (name) =>
+    fieldErrors[name] && <div className="field-error">{fieldErrors[name]}</div>;
+
+  return (
+    <>
+      {error && <div className="error-message">{error}</div>}
+
+      {resetRequested ? (
+        <form onSubmit={handleReset} className="login-form">
+          {notice && <p className="reset-notice">{notice}</p>}
+          <div className="form-group">
+            <label htmlFor="reset-code">Reset code</label>
+            <input
+              type="text"
+              id="reset-code"
+              autoComplete="one-time-code"
+              value={resetCode}
+              onChange={(e) => setResetCode(e.target.value)}
+              aria-invalid={Boolean(fieldErrors.token)}
+            />
+            {renderFieldError("token")}
+          </div>
+          <div className="form-group">
+            <label htmlFor="reset-new-password">New password</label>
+            <input
+              type="password"
+              id="reset-new-password"
+              autoComplete="new-password"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              aria-invalid={Boolean(fieldErrors.newPassword)}
+            />
+            {renderFieldError("newPassword")}
+          </div>
+          <button
+            type="submit"
+            className="login-button"
+            disabled={loading || !resetCode || !newPassword}
+          >
+            {loading ? "Saving..." : "Set new password"}
+          </button>
+          {import.meta.env.DEV && (
+            <p className="login-hint">
+              (The mock API logs the reset code to the browser console)
+            </p>
+          )}
+        </form>
+      ) : (
+        <form onSubmit={handleRequest} className="login-form">
+          <div className="form-group">
+            <label htmlFor="reset-identifier">Username or email</label>
+            <input
+              type="text"
+              id="reset-identifier"
+              value={identifier}
+              onChange={(e) => setIdentifier(e.target.value)}
+              aria-invalid={Boolean(fieldErrors.identifier)}
+            />
+            {renderFieldError("identifier")}
+          </div>
+          <button type="submit" className="login-button" disabled={loading}>
+            {loading ? "Sending..." : "Send reset code"}
+          </button>
+        </form>
+      )}
+
+      <button type="button" className="link-button" onClick={onCancel}>
+        Back to login
+      </button>
+    </>
+  );
+};
+
+export default PasswordReset;
@@ -0,0 +1,115 @@
+import { useState, useEffect, useCallback } from "react";
+import userApi from "../api/userApi";
+
+/*
+ * SessionList
+ *
+ * Active login sessions of a user, with buttons to sign out one session
+ * or all of them. Users manage their own sessions; admins can kick out
+ * anyone's, e.g. a compromised one.
+ */
+export const SessionList = ({ userId, isSelf = false }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      setSessions(await userApi.getSessions(userId));
+    } catch (err) {
+      setError(err.message || "Error loading sessions");
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      setError(null);
+
+      const result = await userApi.revokeSession(userId, sessionId);
+      // Revoking the current session logs us out; nothing left to show
+      if (!result.revokedCurrent) {
+        setSessions((prev) =>
+          prev.filter((session) => session.id !== sessionId)
+        );
+      }
+    } catch (err) {
+      setError(err.message || "Error revoking session");
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    try {
+      setError(null);
+
+      const result = await userApi.revokeAllSessions(userId, {
+        exceptCurrent: isSelf,
+      });
+      if (!result.revokedCurrent) {
+        setSessions((prev) => prev.filter((session) => session.current));
+      }
+    } catch (err) {
+      setError(err.message || "Error revoking sessions");
+    }
+  };
+
+  const hasOtherSessions = sessions.some((session) => !session.current);
+
+  return (
+    <div className="session-list">
+      <div className="session-list-header">
+        <h3>Active Sessions</h3>
+        <button onClick={fetchSessions} disabled={loading}>
+          Refresh
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading && sessions.length === 0 ? (
+        <p className="session-list-status">Fetching sessions...</p>
+      ) : sessions.length === 0 ? (
+        <p className="session-list-status">No active sessions</p>
+      ) : (
+        <>
+          <ul>
+            {sessions.map((session) => (
+              <li
+                key={session.id}
+                className={session.current ? "current" : undefined}
+              >
+                <span className="session-agent">
+                  {session.userAgent}
+                  {session.current && " (this session)"}
+                </span>
+                <span className="session-meta">
+                  {session.ipAddress} · signed in{" "}
+                  {new Date(session.createdAt).toLocaleString()} · last active{" "}
+                  {new Date(session.lastUsedAt).toLocaleString()}
+                </span>
+                <button onClick={() => handleRevoke(session.id)}>
+                  {session.current ? "Sign out" : "Revoke"}
+                </button>
+              </li>
+            ))}
+          </ul>
+          {(hasOtherSessions || !isSelf) && (
+            <button className="revoke-all-button" onClick={handleRevokeAll}>
+              {isSelf ? "Sign out all other sessions" : "Revoke all sessions"}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SessionList;
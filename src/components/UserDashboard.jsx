@@ -1,7 +1,113 @@
 import { useState, useEffect, useRef, useCallback } from "react";
 import userApi from "../api/userApi";
+import MfaEnrollment from "./MfaEnrollment";
+import ChangePasswordForm from "./ChangePasswordForm";
+import SessionList from "./SessionList";
+import UserImportWizard from "./UserImportWizard";
+import {
+  canCreateUsers,
+  canEditUser,
+  canDeleteUser,
+  canChangeRole,
+  canUnlockAccount,
+  canManageSessions,
+} from "../api/permissions";
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  NetworkError,
+  TimeoutError,
+} from "../api/errors";
+
+// User-facing text for a failed request
+const describeError = (err, fallback) => {
+  if (err instanceof TimeoutError) {
+    return "The server took too long to respond. Please try again.";
+  }
+  if (err instanceof NetworkError) {
+    return "Unable to reach the server. Check your connection.";
+  }
+  if (err instanceof RateLimitError) {
+    return err.retryAfter
+      ? `Too many requests. Try again in ${err.retryAfter} seconds.`
+      : "Too many requests. Please wait a moment and try again.";
+  }
+  return err.message || fallback;
+};
+
+// Users per page of the list
+const PAGE_SIZE = 10;
+
+// Fields the edit form can change, with their labels
+const EDITABLE_FIELDS = {
+  username: "Username",
+  email: "Email",
+  role: "Role",
+};
+
+// Edit form values that differ from `base`
+const getChangedFields = (form, base) =>
+  Object.fromEntries(
+    Object.keys(EDITABLE_FIELDS)
+      .filter((key) => key in form && form[key] !== base[key])
+      .map((key) => [key, form[key]])
+  );
+
+// The edit form's changes in the format of the merge strategy. The JSON
+// Patch first tests that each field still has the value the edit started
+// from, so a concurrent change to it is refused instead of overwritten.
+const toUpdatePayload = (updates, base, mergeStrategy) =>
+  mergeStrategy === "json-patch"
+    ? Object.entries(updates).flatMap(([key, value]) => [
+        { op: "test", path: `/${key}`, value: base[key] ?? null },
+        { op: "replace", path: `/${key}`, value },
+      ])
+    : updates;
+
+// Pending-change badge for a user with queued offline mutations
+const PENDING_LABELS = {
+  update: "pending sync",
+  delete: "pending deletion",
+};
 
-export const UserDashboard = () => {
+// "Update jane", "Delete user 4", ... for the sync report
+const describeMutation = ({ type, userId, args }, users) => {
+  const verb = { create: "Create", update: "Update", delete: "Delete" }[type];
+  if (type === "create") return `${verb} ${args[0].username}`;
+
+  const user = users.find((candidate) => candidate.id === userId);
+  return `${verb} ${user ? user.username : `user ${userId}`}`;
+};
+
+// Which edit form field a 409 conflict is about, if any
+const getConflictField = (err) => {
+  if (/username/i.test(err.message)) return "username";
+  if (/email/i.test(err.message)) return "email";
+  return null;
+};
+
+// Login attempts in runs of the local day they happened on, e.g.
+// "6/1/2023, Thursday", keeping the log's newest-first order
+const groupAttemptsByDay = (attempts) =>
+  attempts.reduce((groups, attempt) => {
+    const date = new Date(attempt.timestamp);
+    const day = `${date.toLocaleDateString()}, ${date.toLocaleDateString(
+      undefined,
+      { weekday: "long" }
+    )}`;
+    const last = groups[groups.length - 1];
+
+    if (last?.day === day) {
+      last.attempts.push(attempt);
+    } else {
+      groups.push({ day, attempts: [attempt] });
+    }
+    return groups;
+  }, []);
+
+export const UserDashboard = ({ currentUser = null }) => {
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -11,24 +117,60 @@ export const UserDashboard = () => {
   const [selectedUser, setSelectedUser] = useState(null);
   const [isEditing, setIsEditing] = useState(false);
   const [editForm, setEditForm] = useState({});
+  const [formErrors, setFormErrors] = useState({});
   const [mergeStrategy, setMergeStrategy] = useState("shallow");
+  const [loginAttempts, setLoginAttempts] = useState([]);
+  const [loginAttemptsLoading, setLoginAttemptsLoading] = useState(false);
+  const [loginAttemptsError, setLoginAttemptsError] = useState(null);
+  const [lockoutStatus, setLockoutStatus] = useState(null);
+  // ETag of the selected user as loaded, and the newer version found on
+  // save if someone else changed the user in the meantime
+  const [selectedETag, setSelectedETag] = useState(null);
+  const [editConflict, setEditConflict] = useState(null);
+  const [pendingMutations, setPendingMutations] = useState([]);
+  const [syncResults, setSyncResults] = useState([]);
+  const [showImport, setShowImport] = useState(false);
 
   // Refs for cleanup and optimization
   const abortControllerRef = useRef(null);
   const searchTimeoutRef = useRef(null);
   const isMountedRef = useRef(true);
+  // Aborted on unmount, stopping requests whose result nobody would see
+  const unmountControllerRef = useRef(null);
+  const requestOptions = () => ({
+    signal: unmountControllerRef.current?.signal,
+  });
+
+  // Latest queued change per user, for the pending badges
+  const pendingByUser = new Map(
+    pendingMutations
+      .filter((mutation) => mutation.userId)
+      .map((mutation) => [mutation.userId, mutation.type])
+  );
+
+  // Actions the logged-in user may perform on the selected user
+  const canEditSelected = canEditUser(currentUser, selectedUser);
+  const canDeleteSelected = canDeleteUser(currentUser, selectedUser);
+  const canEditRole = canChangeRole(currentUser);
+  const canManageLockouts = canUnlockAccount(currentUser);
+  const canImportUsers = canCreateUsers(currentUser);
+  const canManageSelectedSessions = canManageSessions(
+    currentUser,
+    selectedUser
+  );
 
   // Load users with debounce and cancellation
   const loadUsers = useCallback(
     async (resetPage = false) => {
+      // Create new abort controller for this request
+      const controller = new AbortController();
+
       try {
         // Clear previous search request
         if (abortControllerRef.current) {
           abortControllerRef.current.abort();
         }
-
-        // Create new abort controller for this request
-        abortControllerRef.current = new AbortController();
+        abortControllerRef.current = controller;
 
         setLoading(true);
         setError(null);
@@ -39,11 +181,12 @@ export const UserDashboard = () => {
         const response = await userApi.searchUsers(
           search,
           currentPage,
-          10,
-          abortControllerRef.current.signal
+          PAGE_SIZE,
+          { signal: controller.signal }
         );
 
-        if (!isMountedRef.current) return;
+        // A newer request replaced this one, even if it still answered
+        if (!isMountedRef.current || controller.signal.aborted) return;
 
         if (resetPage) {
           setUsers(response.data.users);
@@ -51,7 +194,14 @@ export const UserDashboard = () => {
           setUsers((prev) => [...prev, ...response.data.users]);
         }
 
-        setHasMore(response.data.users.length === 10);
+        // Cursor-paginated backends say whether there is more with
+        // nextCursor and may not number their pages
+        const { nextCursor } = response.data;
+        setHasMore(
+          nextCursor !== undefined
+            ? Boolean(nextCursor)
+            : response.data.page < response.data.totalPages
+        );
       } catch (err) {
         if (err.name === "AbortError") {
           // Request was cancelled, no need to handle
@@ -59,10 +209,10 @@ export const UserDashboard = () => {
         }
 
         if (isMountedRef.current) {
-          setError(err.message || "Error loading users");
+          setError(describeError(err, "Error loading users"));
         }
       } finally {
-        if (isMountedRef.current) {
+        if (isMountedRef.current && !controller.signal.aborted) {
           setLoading(false);
         }
       }
@@ -70,6 +220,37 @@ export const UserDashboard = () => {
     [search, page]
   );
 
+  // The latest loadUsers, for effects and timers that must not re-run when
+  // the search or page changes
+  const loadUsersRef = useRef(loadUsers);
+  useEffect(() => {
+    loadUsersRef.current = loadUsers;
+  }, [loadUsers]);
+
+  // Load the login attempts audit log
+  const fetchLoginAttempts = useCallback(async () => {
+    try {
+      setLoginAttemptsLoading(true);
+      setLoginAttemptsError(null);
+
+      const attempts = await userApi.getLoginAttempts({
+        signal: unmountControllerRef.current?.signal,
+      });
+
+      if (isMountedRef.current) {
+        setLoginAttempts(attempts);
+      }
+    } catch (err) {
+      if (isMountedRef.current) {
+        setLoginAttemptsError(describeError(err, "Unknown error"));
+      }
+    } finally {
+      if (isMountedRef.current) {
+        setLoginAttemptsLoading(false);
+      }
+    }
+  }, []);
+
   // Handle search with debounce
   const handleSearchChange = (e) => {
     const value = e.target.value;
@@ -82,7 +263,7 @@ export const UserDashboard = () => {
 
     // Set new timeout
     searchTimeoutRef.current = setTimeout(() => {
-      loadUsers(true);
+      loadUsersRef.current(true);
     }, 500);
   };
 
@@ -99,16 +280,35 @@ export const UserDashboard = () => {
       setLoading(true);
       setError(null);
 
-      // Get fresh user data
-      const userData = await userApi.getUserById(userId, true);
+      // Cached users are revalidated in the background once stale, and
+      // repeated clicks share the request already in flight
+      const userData = await userApi.getUserById(userId, requestOptions());
 
       if (isMountedRef.current) {
         setSelectedUser(userData);
+        setSelectedETag(userApi.getETag(userId));
         setEditForm(userData);
+        setEditConflict(null);
+        setLockoutStatus(null);
+      }
+
+      if (canManageLockouts) {
+        const status = await userApi.getAccountLockout(
+          userId,
+          requestOptions()
+        );
+        if (isMountedRef.current) {
+          setLockoutStatus(status);
+        }
       }
     } catch (err) {
-      if (isMountedRef.current) {
-        setError(err.message || "Error loading user details");
+      if (!isMountedRef.current) return;
+
+      if (err instanceof NotFoundError) {
+        forgetUser(userId);
+        setError("This user no longer exists.");
+      } else {
+        setError(describeError(err, "Error loading user details"));
       }
     } finally {
       if (isMountedRef.current) {
@@ -117,6 +317,13 @@ export const UserDashboard = () => {
     }
   };
 
+  // Drop a user that no longer exists on the server
+  const forgetUser = (userId) => {
+    setUsers((prev) => prev.filter((user) => user.id !== userId));
+    setSelectedUser((prev) => (prev?.id === userId ? null : prev));
+    setIsEditing(false);
+  };
+
   // Handle form input changes
   const handleFormChange = (e) => {
     const { name, value } = e.target;
@@ -124,23 +331,19 @@ export const UserDashboard = () => {
       ...prev,
       [name]: value,
     }));
+    setFormErrors((prev) => ({ ...prev, [name]: undefined }));
   };
 
-  // Update user with different merge strategies
-  const handleUpdateUser = async () => {
-    if (!selectedUser?.id) return;
-
+  // Save the edit form as changes to `base`, the version of the user the
+  // edits were made against, identified by its ETag
+  const saveUser = async (base, ifMatch) => {
     try {
       setLoading(true);
       setError(null);
+      setFormErrors({});
 
-      // Compare form with original user to get only changed fields
-      const updates = {};
-      for (const key in editForm) {
-        if (editForm[key] !== selectedUser[key]) {
-          updates[key] = editForm[key];
-        }
-      }
+      // Compare form with the base version to get only changed fields
+      const updates = getChangedFields(editForm, base);
 
       if (Object.keys(updates).length === 0) {
         setError("No changes detected");
@@ -149,15 +352,22 @@ export const UserDashboard = () => {
       }
 
       // Update user with selected merge strategy
-      const updatedUser = await userApi.updateUser(
-        selectedUser.id,
-        updates,
-        mergeStrategy
+      const result = await userApi.updateUser(
+        base.id,
+        toUpdatePayload(updates, base, mergeStrategy),
+        mergeStrategy,
+        { ifMatch, ...requestOptions() }
       );
+      // Queued while offline: show the edit until it has been synced
+      const updatedUser = result.queued ? { ...base, ...updates } : result;
 
       if (isMountedRef.current) {
         setSelectedUser(updatedUser);
+        setSelectedETag(
+          result.queued ? ifMatch : userApi.getETag(updatedUser.id)
+        );
         setEditForm(updatedUser);
+        setEditConflict(null);
         setIsEditing(false);
 
         // Update user in list
@@ -166,8 +376,88 @@ export const UserDashboard = () => {
         );
       }
     } catch (err) {
+      if (!isMountedRef.current) return;
+
+      const conflictField =
+        err instanceof ConflictError ? getConflictField(err) : null;
+
+      if (err instanceof ConflictError && err.latest) {
+        // Someone else saved first; let the user decide what wins
+        setEditConflict({ latest: err.latest, etag: err.etag ?? null });
+      } else if (
+        err instanceof ValidationError &&
+        Object.keys(err.fields).length
+      ) {
+        setFormErrors(err.fields);
+        setError("Please correct the highlighted fields.");
+      } else if (conflictField) {
+        setFormErrors({ [conflictField]: err.message });
+      } else if (err instanceof NotFoundError) {
+        forgetUser(base.id);
+        setError("This user was deleted while you were editing.");
+      } else {
+        setError(describeError(err, "Error updating user"));
+      }
+    } finally {
       if (isMountedRef.current) {
-        setError(err.message || "Error updating user");
+        setLoading(false);
+      }
+    }
+  };
+
+  // Update user with different merge strategies
+  const handleUpdateUser = () => {
+    if (!selectedUser?.id) return;
+    saveUser(selectedUser, selectedETag);
+  };
+
+  // Edit conflict: drop the local edits and show the current version
+  const handleReloadLatest = () => {
+    const { latest, etag } = editConflict;
+
+    setSelectedUser(latest);
+    setSelectedETag(etag);
+    setEditForm(latest);
+    setEditConflict(null);
+    setIsEditing(false);
+    setUsers((prev) =>
+      prev.map((user) => (user.id === latest.id ? latest : user))
+    );
+  };
+
+  // Edit conflict: save the local edits over the current version
+  const handleOverwriteLatest = () => {
+    const { latest, etag } = editConflict;
+    saveUser(latest, etag);
+  };
+
+  // Edit conflict: apply the local edits on top of the current version
+  // and leave them in the form for review
+  const handleMergeLatest = () => {
+    const { latest, etag } = editConflict;
+
+    setSelectedUser(latest);
+    setSelectedETag(etag);
+    setEditForm({ ...latest, ...getChangedFields(editForm, selectedUser) });
+    setEditConflict(null);
+  };
+
+  // Lift a login lockout on the selected account
+  const handleUnlockAccount = async () => {
+    if (!selectedUser?.id) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      await userApi.unlockAccount(selectedUser.id, requestOptions());
+
+      if (isMountedRef.current) {
+        setLockoutStatus({ locked: false, lockedUntil: null });
+      }
+    } catch (err) {
+      if (isMountedRef.current) {
+        setError(describeError(err, "Error unlocking account"));
       }
     } finally {
       if (isMountedRef.current) {
@@ -187,16 +477,28 @@ export const UserDashboard = () => {
       setLoading(true);
       setError(null);
 
-      await userApi.deleteUser(selectedUser.id, confirmationCode);
+      const result = await userApi.deleteUser(
+        selectedUser.id,
+        confirmationCode,
+        requestOptions()
+      );
 
-      if (isMountedRef.current) {
+      if (result.queued) {
+        // Stays listed, marked as pending, until the deletion is synced
+        if (isMountedRef.current) setSelectedUser(null);
+      } else if (isMountedRef.current) {
         // Remove user from list
         setUsers((prev) => prev.filter((user) => user.id !== selectedUser.id));
         setSelectedUser(null);
       }
     } catch (err) {
-      if (isMountedRef.current) {
-        setError(err.message || "Error deleting user");
+      if (!isMountedRef.current) return;
+
+      if (err instanceof NotFoundError) {
+        // Someone else got there first; the outcome is the same
+        forgetUser(selectedUser.id);
+      } else {
+        setError(describeError(err, "Error deleting user"));
       }
     } finally {
       if (isMountedRef.current) {
@@ -205,14 +507,26 @@ export const UserDashboard = () => {
     }
   };
 
-  // Initial load
   useEffect(() => {
-    loadUsers();
+    const controller = new AbortController();
+    unmountControllerRef.current = controller;
+    return () => controller.abort();
+  }, []);
 
-    // Cleanup effect
+  // Set on every mount: StrictMode unmounts and mounts again in dev
+  useEffect(() => {
+    isMountedRef.current = true;
     return () => {
       isMountedRef.current = false;
+    };
+  }, []);
 
+  // Initial load, replacing whatever an earlier mount loaded
+  useEffect(() => {
+    loadUsersRef.current(true);
+
+    // Cleanup effect
+    return () => {
       if (abortControllerRef.current) {
         abortControllerRef.current.abort();
       }
@@ -221,14 +535,45 @@ export const UserDashboard = () => {
         clearTimeout(searchTimeoutRef.current);
       }
     };
-  }, [loadUsers]);
+  }, []);
+
+  // Track changes queued while offline. Once they have been replayed,
+  // report the outcome per change and reload, since the list may show
+  // edits the server turned down.
+  useEffect(
+    () =>
+      userApi.onOfflineQueueChange(({ pending, results }) => {
+        if (!isMountedRef.current) return;
+
+        setPendingMutations(pending);
+        if (!results) return;
+
+        setSyncResults(results);
+        const staleIds = new Set(
+          results
+            .filter(
+              ({ mutation, status }) =>
+                status !== "applied" || mutation.type === "delete"
+            )
+            .map(({ mutation }) => mutation.userId)
+        );
+        setSelectedUser((prev) => (staleIds.has(prev?.id) ? null : prev));
+        loadUsersRef.current(true);
+      }),
+    []
+  );
+
+  // Load login attempts once on mount
+  useEffect(() => {
+    fetchLoginAttempts();
+  }, [fetchLoginAttempts]);
 
   // Load more when page changes
   useEffect(() => {
     if (page > 1) {
-      loadUsers();
+      loadUsersRef.current();
     }
-  }, [page, loadUsers]);
+  }, [page]);
 
   return (
     <div className="user-dashboard">
@@ -242,11 +587,47 @@ export const UserDashboard = () => {
           value={search}
           onChange={handleSearchChange}
         />
+        {canImportUsers && !showImport && (
+          <button onClick={() => setShowImport(true)}>Import Users</button>
+        )}
       </div>
 
+      {/* Bulk import */}
+      {showImport && (
+        <UserImportWizard
+          onImported={() => loadUsers(true)}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
       {/* Error message */}
       {error && <div className="error-message">{error}</div>}
 
+      {/* Offline changes */}
+      {pendingMutations.length > 0 && (
+        <div className="offline-notice">
+          {pendingMutations.length === 1
+            ? "1 change is waiting to be synced."
+            : `${pendingMutations.length} changes are waiting to be synced.`}
+        </div>
+      )}
+
+      {syncResults.length > 0 && (
+        <div className="sync-report">
+          <ul>
+            {syncResults.map(({ mutation, status, error: syncError }) => (
+              <li key={mutation.id} className={`sync-${status}`}>
+                {describeMutation(mutation, users)}:{" "}
+                {status === "applied"
+                  ? "synced"
+                  : `${status} - ${syncError.message}`}
+              </li>
+            ))}
+          </ul>
+          <button onClick={() => setSyncResults([])}>Dismiss</button>
+        </div>
+      )}
+
       {/* Users list */}
       <div className="users-list">
         {users.length === 0 && !loading ? (
@@ -260,6 +641,11 @@ export const UserDashboard = () => {
                 className={selectedUser?.id === user.id ? "selected" : ""}
               >
                 {user.username} ({user.email})
+                {pendingByUser.has(user.id) && (
+                  <span className="pending-badge">
+                    {PENDING_LABELS[pendingByUser.get(user.id)]}
+                  </span>
+                )}
               </li>
             ))}
           </ul>
@@ -279,6 +665,49 @@ export const UserDashboard = () => {
 
           {isEditing ? (
             <div className="edit-form">
+              {editConflict && (
+                <div className="edit-conflict" role="alert">
+                  <p>
+                    This user was changed by someone else while you were
+                    editing. Compare your edits with the current version:
+                  </p>
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Field</th>
+                        <th>Your edits</th>
+                        <th>Current version</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(EDITABLE_FIELDS).map(([key, label]) => (
+                        <tr
+                          key={key}
+                          className={
+                            editForm[key] !== editConflict.latest[key]
+                              ? "differs"
+                              : undefined
+                          }
+                        >
+                          <th scope="row">{label}</th>
+                          <td>{editForm[key]}</td>
+                          <td>{editConflict.latest[key]}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <div className="form-actions">
+                    <button onClick={handleReloadLatest}>
+                      Reload current version
+                    </button>
+                    <button onClick={handleOverwriteLatest}>
+                      Overwrite with mine
+                    </button>
+                    <button onClick={handleMergeLatest}>Merge my edits</button>
+                  </div>
+                </div>
+              )}
+
               <div className="form-group">
                 <label>Username:</label>
                 <input
@@ -286,7 +715,11 @@ export const UserDashboard = () => {
                   name="username"
                   value={editForm.username || ""}
                   onChange={handleFormChange}
+                  aria-invalid={Boolean(formErrors.username)}
                 />
+                {formErrors.username && (
+                  <div className="field-error">{formErrors.username}</div>
+                )}
               </div>
 
               <div className="form-group">
@@ -296,9 +729,27 @@ export const UserDashboard = () => {
                   name="email"
                   value={editForm.email || ""}
                   onChange={handleFormChange}
+                  aria-invalid={Boolean(formErrors.email)}
                 />
+                {formErrors.email && (
+                  <div className="field-error">{formErrors.email}</div>
+                )}
               </div>
 
+              {canEditRole && (
+                <div className="form-group">
+                  <label>Role:</label>
+                  <select
+                    name="role"
+                    value={editForm.role || "user"}
+                    onChange={handleFormChange}
+                  >
+                    <option value="user">User</option>
+                    <option value="admin">Admin</option>
+                  </select>
+                </div>
+              )}
+
               {/* More form fields would go here */}
 
               <div className="form-group">
@@ -309,6 +760,8 @@ export const UserDashboard = () => {
                 >
                   <option value="shallow">Shallow</option>
                   <option value="deep">Deep</option>
+                  <option value="json-patch">JSON Patch</option>
+                  <option value="merge-patch">Merge Patch</option>
                 </select>
               </div>
 
@@ -318,6 +771,8 @@ export const UserDashboard = () => {
                   onClick={() => {
                     setIsEditing(false);
                     setEditForm(selectedUser);
+                    setFormErrors({});
+                    setEditConflict(null);
                   }}
                 >
                   Cancel
@@ -335,16 +790,111 @@ export const UserDashboard = () => {
               <p>
                 <strong>Email:</strong> {selectedUser.email}
               </p>
+              <p>
+                <strong>Role:</strong> {selectedUser.role}
+              </p>
+              {lockoutStatus?.locked && (
+                <div className="lockout-status">
+                  <p>
+                    <strong>Locked until:</strong>{" "}
+                    {new Date(lockoutStatus.lockedUntil).toLocaleString()}
+                  </p>
+                  <button onClick={handleUnlockAccount}>Unlock account</button>
+                </div>
+              )}
               {/* More user fields would go here */}
 
-              <div className="user-actions">
-                <button onClick={() => setIsEditing(true)}>Edit</button>
-                <button onClick={handleDeleteUser}>Delete</button>
-              </div>
+              {currentUser && currentUser.id === selectedUser.id && (
+                <>
+                  <MfaEnrollment enabled={Boolean(currentUser.mfaEnabled)} />
+                  <ChangePasswordForm />
+                </>
+              )}
+
+              {canManageSelectedSessions && (
+                <SessionList
+                  key={selectedUser.id}
+                  userId={selectedUser.id}
+                  isSelf={currentUser.id === selectedUser.id}
+                />
+              )}
+
+              {(canEditSelected || canDeleteSelected) && (
+                <div className="user-actions">
+                  {canEditSelected && (
+                    <button
+                      className="edit-button"
+                      onClick={() => setIsEditing(true)}
+                    >
+                      Edit
+                    </button>
+                  )}
+                  {canDeleteSelected && (
+                    <button
+                      className="delete-button"
+                      onClick={handleDeleteUser}
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
           )}
         </div>
       )}
+
+      {/* Login attempts audit log */}
+      <div className="login-attempts">
+        <h2>Login Attempts Log</h2>
+        <button
+          className="refresh-button"
+          onClick={fetchLoginAttempts}
+          disabled={loginAttemptsLoading}
+        >
+          Refresh
+        </button>
+
+        {loginAttemptsLoading ? (
+          <p className="login-attempts-status">Fetching login attempts...</p>
+        ) : loginAttemptsError ? (
+          <p className="error-message">
+            Error loading login attempts: {loginAttemptsError}
+          </p>
+        ) : loginAttempts.length === 0 ? (
+          <p className="login-attempts-status">No login attempts recorded</p>
+        ) : (
+          groupAttemptsByDay(loginAttempts).map(({ day, attempts }) => (
+            <section key={day} className="login-attempts-day">
+              <h3>{day}</h3>
+              <ul>
+                {attempts.map((attempt, index) => (
+                  <li
+                    key={attempt.id || index}
+                    className={attempt.success ? "success" : "failed"}
+                  >
+                    <span className="attempt-username">{attempt.username}</span>
+                    <span className="attempt-time">
+                      {new Date(attempt.timestamp).toLocaleString(undefined, {
+                        timeStyle: "medium",
+                      })}
+                    </span>
+                    <span className="attempt-status">
+                      {attempt.success ? "Success" : "Failed"}
+                    </span>
+                    {attempt.ipAddress && (
+                      <span className="attempt-source">
+                        {attempt.ipAddress}
+                        {attempt.userAgent && ` · ${attempt.userAgent}`}
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </section>
+          ))
+        )}
+      </div>
     </div>
   );
 };
@@ -1,4 +1,5 @@
 import { render, screen, waitFor } from "@testing-library/react";
+import { StrictMode } from "react";
 import { describe, it, expect, vi, beforeEach } from "vitest";
 import { UserDashboard } from "./UserDashboard";
 import userApi from "../api/userApi";
@@ -11,6 +12,7 @@ vi.mock("../api/userApi", () => ({
     updateUser: vi.fn(),
     deleteUser: vi.fn(),
     getLoginAttempts: vi.fn(),
+    onOfflineQueueChange: vi.fn(),
   },
 }));
 
@@ -79,6 +81,27 @@ describe("UserDashboard Login Attempts Feature", () => {
     });
   });
 
+  it("finishes loading under StrictMode", async () => {
+    const consoleError = vi.spyOn(console, "error");
+    render(
+      <StrictMode>
+        <UserDashboard />
+      </StrictMode>
+    );
+
+    expect(await screen.findAllByText("Failed")).toHaveLength(1);
+    expect(
+      screen.queryByText(/fetching login attempts/i)
+    ).not.toBeInTheDocument();
+
+    // The user list is loaded once, not once per StrictMode mount
+    await waitFor(() => {
+      expect(screen.getAllByText(/@example\.com/)).toHaveLength(2);
+    });
+    expect(consoleError).not.toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+
   it("formats timestamps correctly in the login attempts log", async () => {
     // Create a mock implementation that returns the timestamp formatted as expected
     const mockDate = new Date("2023-06-01T12:00:00Z");
@@ -1,8 +1,14 @@
 import { render, screen, waitFor, within } from "@testing-library/react";
 import userEvent from "@testing-library/user-event";
+import { act } from "react";
 import { describe, it, expect, vi, beforeEach } from "vitest";
 import { UserDashboard } from "./UserDashboard";
 import userApi from "../api/userApi";
+import {
+  ConflictError,
+  NotFoundError,
+  PreconditionFailedError,
+} from "../api/errors";
 
 // Mock the userApi module
 vi.mock("../api/userApi", () => ({
@@ -11,6 +17,10 @@ vi.mock("../api/userApi", () => ({
     getUserById: vi.fn(),
     updateUser: vi.fn(),
     deleteUser: vi.fn(),
+    getLoginAttempts: vi.fn(),
+    getSessions: vi.fn(),
+    getETag: vi.fn(),
+    onOfflineQueueChange: vi.fn(),
   },
 }));
 
@@ -27,6 +37,8 @@ describe("UserDashboard Component", () => {
         users: mockUsers,
       },
     });
+    userApi.getLoginAttempts.mockResolvedValue([]);
+    userApi.getSessions.mockResolvedValue([]);
   });
 
   it("renders the user dashboard and loads users", async () => {
@@ -52,6 +64,59 @@ describe("UserDashboard Component", () => {
     });
   });
 
+  it("offers more users only while there are pages left", async () => {
+    userApi.searchUsers.mockResolvedValue({
+      data: { users: mockUsers, page: 1, totalPages: 2 },
+    });
+    const { unmount } = render(<UserDashboard />);
+
+    expect(
+      await screen.findByRole("button", { name: "Load More" })
+    ).toBeInTheDocument();
+    unmount();
+
+    userApi.searchUsers.mockResolvedValue({
+      data: { users: mockUsers, page: 1, totalPages: 1 },
+    });
+    render(<UserDashboard />);
+
+    await waitFor(() => {
+      expect(screen.getAllByRole("listitem")).toHaveLength(2);
+    });
+    expect(
+      screen.queryByRole("button", { name: "Load More" })
+    ).not.toBeInTheDocument();
+  });
+
+  it("appends the next page when Load More is clicked", async () => {
+    const user = userEvent.setup();
+    userApi.searchUsers.mockImplementation(async (search, page) => ({
+      data:
+        page === 1
+          ? { users: mockUsers, page: 1, totalPages: 2 }
+          : {
+              users: [{ id: "3", username: "user3", email: "u3@example.com" }],
+              page: 2,
+              totalPages: 2,
+            },
+    }));
+    render(<UserDashboard />);
+
+    await user.click(await screen.findByRole("button", { name: "Load More" }));
+
+    await waitFor(() => {
+      expect(screen.getAllByRole("listitem")).toHaveLength(3);
+    });
+    expect(screen.getAllByRole("listitem")[2]).toHaveTextContent("user3");
+    expect(screen.queryByText(/loading/i)).not.toBeInTheDocument();
+    expect(
+      screen.queryByRole("button", { name: "Load More" })
+    ).not.toBeInTheDocument();
+    expect(userApi.searchUsers.mock.calls.map(([, page]) => page)).toEqual([
+      1, 2,
+    ]);
+  });
+
   it("calls searchUsers when typing in the search box", async () => {
     const user = userEvent.setup();
     render(<UserDashboard />);
@@ -87,4 +152,192 @@ describe("UserDashboard Component", () => {
     const latestCallArgs = searchCalls[searchCalls.length - 1];
     expect(latestCallArgs[0]).toBe("user1");
   });
+
+  it("only offers the actions the current user is allowed to perform", async () => {
+    const user = userEvent.setup();
+    const currentUser = { id: "2", username: "user2", role: "user" };
+    userApi.getUserById.mockImplementation(async (id) =>
+      mockUsers.find((u) => u.id === id)
+    );
+
+    render(<UserDashboard currentUser={currentUser} />);
+
+    // Own record: editable, but regular users cannot delete
+    await user.click(await screen.findByText(/user2@example.com/i));
+    await screen.findByRole("heading", { name: /user details/i });
+    expect(screen.getByRole("button", { name: "Edit" })).toBeInTheDocument();
+    expect(
+      screen.queryByRole("button", { name: "Delete" })
+    ).not.toBeInTheDocument();
+
+    // Someone else's record: read-only
+    await user.click(screen.getByText(/user1@example.com/i));
+    await waitFor(() => {
+      expect(
+        screen.queryByRole("button", { name: "Edit" })
+      ).not.toBeInTheDocument();
+    });
+    expect(
+      screen.queryByRole("button", { name: "Import Users" })
+    ).not.toBeInTheDocument();
+  });
+
+  it("lets admins open the import wizard", async () => {
+    const user = userEvent.setup();
+    const currentUser = { id: "1", username: "user1", role: "admin" };
+
+    render(<UserDashboard currentUser={currentUser} />);
+
+    await user.click(
+      await screen.findByRole("button", { name: "Import Users" })
+    );
+    expect(
+      screen.getByRole("heading", { name: "Import Users" })
+    ).toBeInTheDocument();
+    expect(screen.getByLabelText("File")).toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: "Close" }));
+    expect(
+      screen.queryByRole("heading", { name: "Import Users" })
+    ).not.toBeInTheDocument();
+  });
+
+  it("shows a 409 conflict next to the field it is about", async () => {
+    const user = userEvent.setup();
+    const currentUser = { id: "2", username: "user2", role: "user" };
+    userApi.getUserById.mockResolvedValue(mockUsers[1]);
+    userApi.updateUser.mockRejectedValue(
+      new ConflictError("Username already exists", { status: 409 })
+    );
+
+    render(<UserDashboard currentUser={currentUser} />);
+
+    await user.click(await screen.findByText(/user2@example.com/i));
+    await user.click(await screen.findByRole("button", { name: "Edit" }));
+
+    const usernameInput = screen.getByDisplayValue("user2");
+    await user.clear(usernameInput);
+    await user.type(usernameInput, "user1");
+    await user.click(screen.getByRole("button", { name: /save changes/i }));
+
+    expect(
+      await screen.findByText("Username already exists")
+    ).toBeInTheDocument();
+    expect(usernameInput).toHaveAttribute("aria-invalid", "true");
+  });
+
+  it("offers to merge when someone else saved the user first", async () => {
+    const user = userEvent.setup();
+    const currentUser = { id: "2", username: "user2", role: "user" };
+    const latest = { ...mockUsers[1], username: "user2-renamed", version: 2 };
+    userApi.getUserById.mockResolvedValue({ ...mockUsers[1], version: 1 });
+    userApi.getETag.mockReturnValue('"2-v1"');
+    userApi.updateUser
+      .mockRejectedValueOnce(
+        new PreconditionFailedError("User was modified by someone else", {
+          status: 412,
+          etag: '"2-v2"',
+          latest,
+        })
+      )
+      .mockImplementation(async (id, updates) => ({ ...latest, ...updates }));
+
+    render(<UserDashboard currentUser={currentUser} />);
+
+    await user.click(await screen.findByText(/user2@example.com/i));
+    await user.click(await screen.findByRole("button", { name: "Edit" }));
+    const emailInput = screen.getByDisplayValue("user2@example.com");
+    await user.clear(emailInput);
+    await user.type(emailInput, "new@example.com");
+    await user.click(screen.getByRole("button", { name: /save changes/i }));
+
+    // Both versions side by side
+    const conflict = await screen.findByRole("alert");
+    expect(within(conflict).getByText("user2-renamed")).toBeInTheDocument();
+    expect(within(conflict).getByText("new@example.com")).toBeInTheDocument();
+    expect(userApi.updateUser).toHaveBeenLastCalledWith(
+      "2",
+      { email: "new@example.com" },
+      "shallow",
+      { ifMatch: '"2-v1"', signal: expect.any(AbortSignal) }
+    );
+
+    // Merging keeps their rename and our email, saved against their version
+    await user.click(screen.getByRole("button", { name: /merge my edits/i }));
+    expect(screen.getByDisplayValue("user2-renamed")).toBeInTheDocument();
+    await user.click(screen.getByRole("button", { name: /save changes/i }));
+
+    expect(userApi.updateUser).toHaveBeenLastCalledWith(
+      "2",
+      { email: "new@example.com" },
+      "shallow",
+      { ifMatch: '"2-v2"', signal: expect.any(AbortSignal) }
+    );
+  });
+
+  it("drops users that no longer exist", async () => {
+    const user = userEvent.setup();
+    userApi.getUserById.mockRejectedValue(
+      new NotFoundError("User not found", { status: 404 })
+    );
+
+    render(<UserDashboard />);
+
+    await user.click(await screen.findByText(/user1@example.com/i));
+
+    expect(
+      await screen.findByText(/this user no longer exists/i)
+    ).toBeInTheDocument();
+    expect(screen.queryByText(/user1@example.com/i)).not.toBeInTheDocument();
+  });
+
+  it("marks users with changes queued offline and reports the replay", async () => {
+    const user = userEvent.setup();
+    const currentUser = { id: "2", username: "user2", role: "user" };
+    const mutation = { id: 1, type: "update", userId: "2", args: [] };
+    let notify;
+    userApi.onOfflineQueueChange.mockImplementation((listener) => {
+      notify = listener;
+      return () => {};
+    });
+    userApi.getUserById.mockResolvedValue(mockUsers[1]);
+    userApi.updateUser.mockResolvedValue({ queued: true, mutation });
+
+    render(<UserDashboard currentUser={currentUser} />);
+
+    await user.click(await screen.findByText(/user2@example.com/i));
+    await user.click(await screen.findByRole("button", { name: "Edit" }));
+    const emailInput = screen.getByDisplayValue("user2@example.com");
+    await user.clear(emailInput);
+    await user.type(emailInput, "offline@example.com");
+    await user.click(screen.getByRole("button", { name: /save changes/i }));
+
+    // The edit shows right away, marked as pending
+    act(() => notify({ pending: [mutation] }));
+    expect(await screen.findByText("pending sync")).toBeInTheDocument();
+    expect(screen.getAllByText(/offline@example.com/)).toHaveLength(2);
+    expect(
+      screen.getByText("1 change is waiting to be synced.")
+    ).toBeInTheDocument();
+
+    act(() =>
+      notify({
+        pending: [],
+        results: [
+          {
+            mutation,
+            status: "conflict",
+            error: new ConflictError("User was modified by someone else"),
+          },
+        ],
+      })
+    );
+
+    expect(
+      await screen.findByText(
+        "Update user2: conflict - User was modified by someone else"
+      )
+    ).toBeInTheDocument();
+    expect(screen.queryByText("pending sync")).not.toBeInTheDocument();
+  });
 });
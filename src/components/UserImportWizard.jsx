@@ -0,0 +1,336 @@
+import { useState, useEffect, useRef } from "react";
+import userApi from "../api/userApi";
+import {
+  IMPORT_FIELDS,
+  REQUIRED_IMPORT_FIELDS,
+  checkImportRows,
+  guessColumnMapping,
+  parseImportFile,
+} from "../api/userImport";
+
+const STATUS_LABELS = {
+  ready: "Ready",
+  invalid: "Invalid",
+  duplicate: "Duplicate",
+  created: "Created",
+  queued: "Queued",
+  failed: "Failed",
+  skipped: "Skipped",
+};
+
+// File contents as text, read with FileReader for older browsers
+const readAsText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+
+const describeIssues = (issues) =>
+  issues.map(({ path, message }) => `${path}: ${message}`).join("; ");
+
+/*
+ * UserImportWizard
+ *
+ * Creates users in bulk from an uploaded CSV or JSON file, in steps:
+ * 1. Upload the file
+ * 2. Map its columns to user fields, guessed from the column names
+ * 3. Preview every row, checked like createUser and against the existing
+ *    usernames and emails
+ * 4. Create the rows that are ready, one by one, and report each result
+ */
+export const UserImportWizard = ({ onImported, onClose }) => {
+  const [step, setStep] = useState("upload"); // upload, map, preview, importing, done
+  const [file, setFile] = useState(null); // { name, columns, rows }
+  const [mapping, setMapping] = useState({});
+  const [checkedRows, setCheckedRows] = useState([]);
+  const [results, setResults] = useState([]);
+  const [progress, setProgress] = useState(0);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  // Stop checking or creating once the wizard goes away
+  useEffect(() => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    return () => controller.abort();
+  }, []);
+
+  const handleFileChange = async (e) => {
+    const [selected] = e.target.files;
+    if (!selected) return;
+
+    try {
+      setError(null);
+      const { columns, rows } = parseImportFile(
+        await readAsText(selected),
+        selected.name
+      );
+      setFile({ name: selected.name, columns, rows });
+      setMapping(guessColumnMapping(columns));
+      setStep("map");
+    } catch (err) {
+      setError(`Could not read ${selected.name}: ${err.message}`);
+    }
+  };
+
+  const handleMappingChange = (column, field) => {
+    setMapping((prev) => {
+      // A field comes from one column only
+      const next = Object.fromEntries(
+        Object.entries(prev).map(([key, value]) => [
+          key,
+          field && value === field ? "" : value,
+        ])
+      );
+      return { ...next, [column]: field };
+    });
+  };
+
+  const mappedFields = Object.values(mapping).filter(Boolean);
+  const missingFields = REQUIRED_IMPORT_FIELDS.filter(
+    (field) => !mappedFields.includes(field)
+  );
+
+  const handlePreview = async () => {
+    try {
+      setChecking(true);
+      setError(null);
+
+      // Every existing user, to catch usernames and emails already taken
+      const existingUsers = [];
+      for await (const user of userApi.iterateUsers("", {
+        signal: controllerRef.current?.signal,
+      })) {
+        existingUsers.push(user);
+      }
+
+      setCheckedRows(checkImportRows(file.rows, mapping, existingUsers));
+      setStep("preview");
+    } catch (err) {
+      if (err.name === "AbortError") return;
+      setError(err.message || "Error checking existing users");
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const readyRows = checkedRows.filter((row) => row.status === "ready");
+
+  const handleImport = async () => {
+    const signal = controllerRef.current?.signal;
+    const report = [];
+    setStep("importing");
+    setProgress(0);
+
+    for (const [index, { user, status, issues }] of checkedRows.entries()) {
+      const row = index + 1;
+      if (status !== "ready") {
+        report.push({
+          row,
+          username: user.username,
+          status: "skipped",
+          message: describeIssues(issues),
+        });
+        continue;
+      }
+
+      try {
+        const response = await userApi.createUser(user, { signal });
+        report.push(
+          response.queued
+            ? {
+                row,
+                username: user.username,
+                status: "queued",
+                message: "Will be created once back online",
+              }
+            : {
+                row,
+                username: user.username,
+                status: "created",
+                message: `Created with id ${response.data.id}`,
+              }
+        );
+      } catch (err) {
+        if (err.name === "AbortError") return;
+        report.push({
+          row,
+          username: user.username,
+          status: "failed",
+          message: err.message || "Error creating user",
+        });
+      }
+      setProgress((prev) => prev + 1);
+    }
+
+    setResults(report);
+    setStep("done");
+    if (onImported) onImported(report);
+  };
+
+  const countByStatus = (rows) =>
+    rows.reduce(
+      (counts, { status }) => ({
+        ...counts,
+        [status]: (counts[status] || 0) + 1,
+      }),
+      {}
+    );
+
+  const summarize = (rows) =>
+    Object.entries(countByStatus(rows))
+      .map(([status, count]) => `${count} ${STATUS_LABELS[status]}`)
+      .join(", ");
+
+  return (
+    <div className="user-import">
+      <div className="user-import-header">
+        <h2>Import Users</h2>
+        {step !== "importing" && onClose && (
+          <button onClick={onClose}>Close</button>
+        )}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {step === "upload" && (
+        <div className="import-upload">
+          <p>
+            Upload a CSV file with a header row, or a JSON array of users. Every
+            user needs {REQUIRED_IMPORT_FIELDS.join(", ")}.
+          </p>
+          <label>
+            File
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={handleFileChange}
+            />
+          </label>
+        </div>
+      )}
+
+      {step === "map" && (
+        <div className="import-mapping">
+          <p>
+            {file.name}: {file.rows.length}{" "}
+            {file.rows.length === 1 ? "row" : "rows"}
+          </p>
+          <table>
+            <thead>
+              <tr>
+                <th>Column</th>
+                <th>Example</th>
+                <th>Field</th>
+              </tr>
+            </thead>
+            <tbody>
+              {file.columns.map((column) => (
+                <tr key={column}>
+                  <td>{column}</td>
+                  <td>{String(file.rows[0][column] ?? "")}</td>
+                  <td>
+                    <select
+                      aria-label={`Field for ${column}`}
+                      value={mapping[column]}
+                      onChange={(e) =>
+                        handleMappingChange(column, e.target.value)
+                      }
+                    >
+                      <option value="">Don't import</option>
+                      {IMPORT_FIELDS.map((field) => (
+                        <option key={field} value={field}>
+                          {field}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {missingFields.length > 0 && (
+            <p className="import-warning">
+              Map a column to {missingFields.join(", ")} to continue.
+            </p>
+          )}
+          <div className="import-actions">
+            <button onClick={() => setStep("upload")}>Back</button>
+            <button
+              onClick={handlePreview}
+              disabled={missingFields.length > 0 || checking}
+            >
+              {checking ? "Checking..." : "Preview"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === "preview" && (
+        <div className="import-preview">
+          <p>{summarize(checkedRows)}</p>
+          <table>
+            <thead>
+              <tr>
+                <th>Row</th>
+                <th>Username</th>
+                <th>Email</th>
+                <th>Status</th>
+                <th>Problems</th>
+              </tr>
+            </thead>
+            <tbody>
+              {checkedRows.map(({ user, status, issues }, index) => (
+                <tr key={index} className={`import-${status}`}>
+                  <td>{index + 1}</td>
+                  <td>{user.username}</td>
+                  <td>{user.email}</td>
+                  <td>{STATUS_LABELS[status]}</td>
+                  <td>{describeIssues(issues)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="import-actions">
+            <button onClick={() => setStep("map")}>Back</button>
+            <button onClick={handleImport} disabled={readyRows.length === 0}>
+              Import {readyRows.length}{" "}
+              {readyRows.length === 1 ? "user" : "users"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === "importing" && (
+        <div className="import-progress">
+          <progress value={progress} max={readyRows.length} />
+          <p>
+            Creating users... {progress} of {readyRows.length}
+          </p>
+        </div>
+      )}
+
+      {step === "done" && (
+        <div className="import-report">
+          <p>{summarize(results)}</p>
+          <ul>
+            {results.map(({ row, username, status, message }) => (
+              <li key={row} className={`import-${status}`}>
+                Row {row}
+                {username && ` (${username})`}: {STATUS_LABELS[status]} -{" "}
+                {message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UserImportWizard;
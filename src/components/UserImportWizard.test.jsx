@@ -0,0 +1,117 @@
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { UserImportWizard } from "./UserImportWizard";
+import userApi from "../api/userApi";
+import { ConflictError } from "../api/errors";
+
+vi.mock("../api/userApi", () => ({
+  default: {
+    iterateUsers: vi.fn(),
+    createUser: vi.fn(),
+  },
+}));
+
+const existingUsers = [
+  { id: "1", username: "johndoe", email: "john@example.com" },
+];
+
+const csvFile = (content) =>
+  new File([content], "users.csv", { type: "text/csv" });
+
+const upload = async (user, content) =>
+  user.upload(screen.getByLabelText("File"), csvFile(content));
+
+describe("UserImportWizard", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    userApi.iterateUsers.mockImplementation(async function* () {
+      yield* existingUsers;
+    });
+  });
+
+  it("maps columns, previews the checks and reports each created row", async () => {
+    const user = userEvent.setup();
+    const onImported = vi.fn();
+    userApi.createUser
+      .mockResolvedValueOnce({ data: { id: "10" } })
+      .mockRejectedValueOnce(
+        new ConflictError("Email already exists", { status: 409 })
+      );
+    render(<UserImportWizard onImported={onImported} />);
+
+    await upload(
+      user,
+      [
+        "Login,E-mail,Password,City",
+        "jane,jane@example.com,s3cret-pass,Springfield",
+        "johndoe,johnny@example.com,s3cret-pass,",
+        "bob,not-an-email,s3cret-pass,",
+        "carol,carol@example.com,s3cret-pass,",
+      ].join("\n")
+    );
+
+    // "Login" isn't recognized, so a required field is missing
+    expect(await screen.findByLabelText("Field for E-mail")).toHaveValue(
+      "email"
+    );
+    expect(screen.getByLabelText("Field for City")).toHaveValue(
+      "profile.address.city"
+    );
+    expect(screen.getByText(/Map a column to username/)).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Preview" })).toBeDisabled();
+
+    await user.selectOptions(
+      screen.getByLabelText("Field for Login"),
+      "username"
+    );
+    await user.click(screen.getByRole("button", { name: "Preview" }));
+
+    const rows = within(await screen.findByRole("table")).getAllByRole("row");
+    expect(rows[1]).toHaveTextContent("Ready");
+    expect(rows[2]).toHaveTextContent("Username already exists");
+    expect(rows[3]).toHaveTextContent("email: Must be a valid email address");
+    expect(screen.getByText("2 Ready, 1 Duplicate, 1 Invalid")).toBeVisible();
+
+    await user.click(screen.getByRole("button", { name: "Import 2 users" }));
+
+    expect(
+      await screen.findByText("1 Created, 2 Skipped, 1 Failed")
+    ).toBeInTheDocument();
+    expect(userApi.createUser).toHaveBeenCalledTimes(2);
+    expect(userApi.createUser).toHaveBeenCalledWith(
+      {
+        username: "jane",
+        email: "jane@example.com",
+        password: "s3cret-pass",
+        profile: { address: { city: "Springfield" } },
+      },
+      { signal: expect.any(AbortSignal) }
+    );
+    expect(
+      screen.getByText("Row 1 (jane): Created - Created with id 10")
+    ).toBeInTheDocument();
+    expect(
+      screen.getByText("Row 4 (carol): Failed - Email already exists")
+    ).toBeInTheDocument();
+    expect(onImported).toHaveBeenCalledWith(
+      expect.arrayContaining([
+        expect.objectContaining({ row: 1, status: "created" }),
+      ])
+    );
+  });
+
+  it("explains files it can't read", async () => {
+    const user = userEvent.setup();
+    render(<UserImportWizard />);
+
+    await upload(user, 'username,email\n"jane,jane@example.com\n');
+
+    expect(
+      await screen.findByText(
+        /Could not read users.csv: Unterminated quoted field/
+      )
+    ).toBeInTheDocument();
+    expect(userApi.iterateUsers).not.toHaveBeenCalled();
+  });
+});
@@ -1,11 +1,13 @@
 import { setupWorker } from "msw/browser";
-import { handlers } from "./handlers";
+import { handlers, setMailboxOptions } from "./handlers";
 
 // This configures a Service Worker with the given request handlers
 export const worker = setupWorker(...handlers);
 
 // Initialize MSW
 export function startMockServiceWorker() {
+  // Emailed codes, such as password reset codes, go to the console
+  setMailboxOptions({ log: true });
   worker.start({
     onUnhandledRequest: "bypass", // Don't log warnings for unhandled requests
   });
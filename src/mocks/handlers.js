@@ -1,4 +1,20 @@
 import { http, HttpResponse, delay } from "msw";
+import { generateSecret, findTotpStep, buildOtpauthUri } from "./totp";
+import {
+  PERMISSIONS,
+  hasPermission,
+  canEditUser,
+  canDeleteUser,
+  canChangeRole,
+  canManageSessions,
+} from "../api/permissions";
+import {
+  JSON_PATCH_CONTENT_TYPE,
+  MERGE_PATCH_CONTENT_TYPE,
+  JsonPatchError,
+  applyPatch,
+  applyMergePatch,
+} from "../api/jsonPatch";
 
 // Sample data
 let users = [
@@ -8,6 +24,7 @@ let users = [
     email: "john@example.com",
     role: "admin",
     lastLogin: "2023-05-15T10:30:45Z",
+    version: 1,
     profile: {
       firstName: "John",
       lastName: "Doe",
@@ -31,6 +48,7 @@ let users = [
     email: "jane@example.com",
     role: "user",
     lastLogin: "2023-05-18T14:22:11Z",
+    version: 1,
     profile: {
       firstName: "Jane",
       lastName: "Doe",
@@ -54,6 +72,7 @@ let users = [
     email: "bob@example.com",
     role: "user",
     lastLogin: "2023-05-10T08:15:30Z",
+    version: 1,
     profile: {
       firstName: "Bob",
       lastName: "Smith",
@@ -71,18 +90,385 @@ let users = [
       language: "fr",
     },
   },
+  {
+    id: "4",
+    username: "admin",
+    email: "admin@example.com",
+    role: "admin",
+    lastLogin: "2023-05-20T09:00:00Z",
+    version: 1,
+    profile: {
+      firstName: "Site",
+      lastName: "Administrator",
+      avatar: "https://randomuser.me/api/portraits/lego/1.jpg",
+      address: {
+        street: "1 Admin Way",
+        city: "Anytown",
+        zipCode: "12345",
+        country: "USA",
+      },
+    },
+    preferences: {
+      theme: "light",
+      notifications: true,
+      language: "en",
+    },
+  },
 ];
 
+// Ids are never reused, so a deleted user's sessions and password can't
+// carry over to a newly created one
+let nextUserId = users.length + 1;
+
+// Login passwords, kept apart from the user records so they never leak
+// into API responses
+const passwords = new Map([
+  ["1", "password"],
+  ["2", "password"],
+  ["3", "password"],
+  ["4", "password"],
+]);
+
 // Track request attempts for rate limiting simulation
 const requestAttempts = new Map();
 
+// Audit log of every login attempt, newest last
+const loginAttempts = [];
+
+const recordLoginAttempt = (request, username, success) => {
+  const attempt = {
+    id: String(loginAttempts.length + 1),
+    username: username || "",
+    timestamp: new Date().toISOString(),
+    success,
+    ipAddress: getClientIp(request),
+    userAgent: request.headers.get("User-Agent") || "unknown",
+  };
+
+  loginAttempts.push(attempt);
+  return attempt;
+};
+
+// The mock cannot see the socket, so trust the proxy header if present
+const getClientIp = (request) =>
+  request.headers.get("X-Forwarded-For") || "127.0.0.1";
+
+// Lockout policy for repeated failed logins. An account locks after
+// maxFailedAttempts within windowMs; a source IP gets a larger allowance
+// since it may sit in front of many users.
+const lockoutPolicy = {
+  maxFailedAttempts: 5,
+  maxFailedAttemptsPerSource: 20,
+  windowMs: 15 * 60 * 1000,
+  lockoutMs: 5 * 60 * 1000,
+};
+
+// Recent failure timestamps and active locks, keyed by
+// "account:<username>" or "source:<ip>"
+const failedLogins = new Map();
+const lockouts = new Map();
+
+export const setLockoutPolicy = (overrides) =>
+  Object.assign(lockoutPolicy, overrides);
+
+const getLockedUntil = (key) => {
+  const lockedUntil = lockouts.get(key);
+  if (lockedUntil && lockedUntil > Date.now()) return lockedUntil;
+
+  lockouts.delete(key);
+  return null;
+};
+
+// Count a failure and lock the key once it reaches its limit
+const registerFailedLogin = (key, limit) => {
+  const now = Date.now();
+  const recentFailures = (failedLogins.get(key) || []).filter(
+    (timestamp) => now - timestamp < lockoutPolicy.windowMs
+  );
+  recentFailures.push(now);
+
+  if (recentFailures.length >= limit) {
+    lockouts.set(key, now + lockoutPolicy.lockoutMs);
+    failedLogins.delete(key);
+  } else {
+    failedLogins.set(key, recentFailures);
+  }
+};
+
+const clearLockout = (key) => {
+  lockouts.delete(key);
+  failedLogins.delete(key);
+};
+
+const lockedResponse = (status, message, lockedUntil) =>
+  HttpResponse.json(
+    { message, lockedUntil: new Date(lockedUntil).toISOString() },
+    {
+      status,
+      headers: {
+        "Retry-After": String(Math.ceil((lockedUntil - Date.now()) / 1000)),
+      },
+    }
+  );
+
 // Utility to generate realistic network delays
 const getRandomDelay = () => Math.floor(Math.random() * 300) + 100;
 
-// Auth tokens
+// Auth tokens - every login starts a session with its own token pair
 const tokens = {
   validToken: "mock-auth-token",
   refreshToken: "mock-refresh-token",
+  expiresIn: 3600, // Access token lifetime in seconds
+};
+
+// Active sessions by id: { id, userId, token, refreshToken, createdAt,
+// lastUsedAt, userAgent, ipAddress }
+const sessions = new Map();
+
+const randomTokenSuffix = () => crypto.randomUUID().replace(/-/g, "");
+
+// Issue a fresh token pair for a session; refreshing rotates both tokens
+const issueTokens = (session) => {
+  session.token = `${tokens.validToken}-${randomTokenSuffix()}`;
+  session.refreshToken = `${tokens.refreshToken}-${randomTokenSuffix()}`;
+
+  return {
+    token: session.token,
+    refreshToken: session.refreshToken,
+    expiresIn: tokens.expiresIn,
+  };
+};
+
+const createSession = (request, userId) => {
+  const now = new Date().toISOString();
+  const session = {
+    id: `session-${crypto.randomUUID()}`,
+    userId,
+    createdAt: now,
+    lastUsedAt: now,
+    userAgent: request.headers.get("User-Agent") || "unknown",
+    ipAddress: getClientIp(request),
+  };
+
+  sessions.set(session.id, session);
+  return session;
+};
+
+const findSession = (field, value) => {
+  if (!value) return null;
+
+  for (const session of sessions.values()) {
+    if (session[field] === value) return session;
+  }
+  return null;
+};
+
+// Resolve the session behind the request's bearer token, or null
+const getAuthenticatedSession = (request) => {
+  const authHeader = request.headers.get("Authorization");
+  const session = findSession("token", authHeader?.replace("Bearer ", ""));
+  if (!session) return null;
+
+  session.lastUsedAt = new Date().toISOString();
+  return session;
+};
+
+// Resolve the user behind the request's bearer token, or null
+const getAuthenticatedUser = (request) => {
+  const session = getAuthenticatedSession(request);
+  return session ? users.find((u) => u.id === session.userId) || null : null;
+};
+
+const revokeSessions = (predicate) => {
+  for (const [id, session] of sessions) {
+    if (predicate(session)) sessions.delete(id);
+  }
+};
+
+// Session metadata for the sessions list - never the tokens themselves
+const toSessionInfo = (session, currentSession) => ({
+  id: session.id,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  current: session.id === currentSession?.id,
+});
+
+// Profile returned for the authenticated account
+const toSessionUser = ({ id, username, email, role }) => ({
+  id,
+  username,
+  email,
+  role,
+  mfaEnabled: isMfaEnabled(id),
+});
+
+const forbidden = (message) => HttpResponse.json({ message }, { status: 403 });
+
+const ACCOUNT_LOCKED_MESSAGE =
+  "Account locked due to too many failed login attempts";
+
+// Finish a login: audit it, reset the failure count and issue tokens
+const completeLogin = (request, user) => {
+  recordLoginAttempt(request, user.username, true);
+  clearLockout(`account:${user.username}`);
+
+  return HttpResponse.json(
+    {
+      ...issueTokens(createSession(request, user.id)),
+      user: toSessionUser(user),
+    },
+    { status: 200 }
+  );
+};
+
+// Audit a failed login and count it towards lockout. Returns the 423
+// response when this failure is the one that locks the account.
+const failLogin = (request, username) => {
+  const accountKey = `account:${username}`;
+
+  recordLoginAttempt(request, username, false);
+  registerFailedLogin(accountKey, lockoutPolicy.maxFailedAttempts);
+  registerFailedLogin(
+    `source:${getClientIp(request)}`,
+    lockoutPolicy.maxFailedAttemptsPerSource
+  );
+
+  const lockedUntil = getLockedUntil(accountKey);
+  return lockedUntil
+    ? lockedResponse(423, ACCOUNT_LOCKED_MESSAGE, lockedUntil)
+    : null;
+};
+
+// TOTP enrollments by user id: { secret, confirmed, recoveryCodes,
+// lastUsedStep }
+const mfaEnrollments = new Map();
+
+// Pending second-factor challenges issued by /auth/login
+const mfaChallenges = new Map();
+const MFA_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MFA_MAX_CHALLENGE_ATTEMPTS = 5;
+const MFA_ISSUER = "User Management";
+
+const isMfaEnabled = (userId) => Boolean(mfaEnrollments.get(userId)?.confirmed);
+
+const generateRecoveryCodes = (count = 8) =>
+  Array.from({ length: count }, () => {
+    const [a, b] = crypto.getRandomValues(new Uint32Array(2));
+    return `${a.toString(36).slice(0, 4)}-${b.toString(36).slice(0, 4)}`;
+  });
+
+// Accept a TOTP code once: its time step, and every earlier one, can't
+// be used again (RFC 6238 section 5.2)
+const redeemTotp = (enrollment, code) => {
+  const step = findTotpStep(enrollment.secret, code);
+  if (step === null || step <= (enrollment.lastUsedStep ?? -Infinity)) {
+    return false;
+  }
+
+  enrollment.lastUsedStep = step;
+  return true;
+};
+
+// A TOTP code, or a recovery code which is burned on use
+const verifySecondFactor = (userId, code) => {
+  const enrollment = mfaEnrollments.get(userId);
+  if (!enrollment) return false;
+
+  if (redeemTotp(enrollment, code)) return true;
+
+  const recoveryCode = String(code || "")
+    .trim()
+    .toLowerCase();
+  if (enrollment.recoveryCodes.has(recoveryCode)) {
+    enrollment.recoveryCodes.delete(recoveryCode);
+    return true;
+  }
+  return false;
+};
+
+// Mock mailbox. Nothing is really emailed: messages are kept for tests to
+// read with getSentEmails and, when `log` is on (as in the browser),
+// logged to the console so a developer can use the code.
+const sentEmails = [];
+const mailboxOptions = { log: false };
+
+export const setMailboxOptions = (overrides) =>
+  Object.assign(mailboxOptions, overrides);
+
+// Messages sent to `address`, oldest first
+export const getSentEmails = (address) =>
+  sentEmails.filter((email) => email.to === address);
+
+const sendEmail = (to, subject, content) => {
+  sentEmails.push({
+    to,
+    subject,
+    ...content,
+    sentAt: new Date().toISOString(),
+  });
+  if (mailboxOptions.log) {
+    console.info(`[mock mailbox] ${subject} for ${to}`, content);
+  }
+};
+
+// Outstanding password reset tokens: { userId, expiresAt }. Redeeming a
+// token deletes it, so each one works once.
+const passwordResets = new Map();
+const PASSWORD_RESET_TTL_MS = 15 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Password policy; returns the problem or null
+const validatePassword = (password) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (!/[a-z]/i.test(password) || !/\d/.test(password)) {
+    return "Password must contain both letters and numbers";
+  }
+  return null;
+};
+
+// Users carry a version that every update bumps. It is exposed as an
+// ETag so clients can make updates conditional with If-Match.
+const etagOf = (user) => `"${user.id}-v${user.version}"`;
+
+// Recursive merge for the "deep" merge strategy
+const deepMerge = (target, source) => {
+  const output = { ...target };
+
+  for (const key in source) {
+    if (
+      source[key] instanceof Object &&
+      key in target &&
+      target[key] instanceof Object
+    ) {
+      output[key] = deepMerge(target[key], source[key]);
+    } else {
+      output[key] = source[key];
+    }
+  }
+
+  return output;
+};
+
+// Largest batch POST /users/batch accepts
+const MAX_BATCH_SIZE = 100;
+
+// 400 carrying the offending field, so forms can point at it
+const validationError = (field, message) =>
+  HttpResponse.json({ message, errors: { [field]: message } }, { status: 400 });
+
+// Message for an edited user whose username or email another user
+// already has, if any
+const findDuplicate = (user) => {
+  const taken = (field) =>
+    users.some((other) => other.id !== user.id && other[field] === user[field]);
+
+  if (taken("username")) return "Username already exists";
+  if (taken("email")) return "Email already exists";
+  return null;
 };
 
 export const handlers = [
@@ -92,47 +478,446 @@ export const handlers = [
 
     await delay(getRandomDelay());
 
-    if (username === "admin" && password === "password") {
+    const accountKey = `account:${username}`;
+    const sourceKey = `source:${getClientIp(request)}`;
+
+    // Locked keys are refused before the password is even checked
+    const sourceLockedUntil = getLockedUntil(sourceKey);
+    if (sourceLockedUntil) {
+      recordLoginAttempt(request, username, false);
+      return lockedResponse(
+        429,
+        "Too many failed login attempts from this address",
+        sourceLockedUntil
+      );
+    }
+
+    const accountLockedUntil = getLockedUntil(accountKey);
+    if (accountLockedUntil) {
+      recordLoginAttempt(request, username, false);
+      return lockedResponse(423, ACCOUNT_LOCKED_MESSAGE, accountLockedUntil);
+    }
+
+    const user = users.find((u) => u.username === username);
+
+    if (user && passwords.get(user.id) === password) {
+      // Enrolled users must pass a second factor before getting tokens
+      if (isMfaEnabled(user.id)) {
+        const mfaToken = `mfa-${crypto.randomUUID()}`;
+        mfaChallenges.set(mfaToken, {
+          userId: user.id,
+          expiresAt: Date.now() + MFA_CHALLENGE_TTL_MS,
+          attempts: 0,
+        });
+
+        return HttpResponse.json(
+          {
+            status: "mfa_required",
+            mfaToken,
+            methods: ["totp", "recovery_code"],
+          },
+          { status: 200 }
+        );
+      }
+
+      return completeLogin(request, user);
+    }
+
+    return (
+      failLogin(request, username) ||
+      HttpResponse.json({ message: "Invalid credentials" }, { status: 401 })
+    );
+  }),
+
+  // Second login step for accounts with two-factor authentication
+  http.post("https://api.example.com/auth/mfa/verify", async ({ request }) => {
+    const { mfaToken, code } = await request.json();
+
+    await delay(getRandomDelay());
+
+    const challenge = mfaChallenges.get(mfaToken);
+    if (!challenge || challenge.expiresAt <= Date.now()) {
+      mfaChallenges.delete(mfaToken);
+      return HttpResponse.json(
+        { message: "Verification expired, please log in again" },
+        { status: 401 }
+      );
+    }
+
+    const user = users.find((u) => u.id === challenge.userId);
+    const lockedUntil = getLockedUntil(`account:${user.username}`);
+    if (lockedUntil) {
+      mfaChallenges.delete(mfaToken);
+      return lockedResponse(423, ACCOUNT_LOCKED_MESSAGE, lockedUntil);
+    }
+
+    if (verifySecondFactor(user.id, code)) {
+      mfaChallenges.delete(mfaToken);
+      return completeLogin(request, user);
+    }
+
+    // Each challenge only allows a handful of guesses
+    challenge.attempts++;
+    if (challenge.attempts >= MFA_MAX_CHALLENGE_ATTEMPTS) {
+      mfaChallenges.delete(mfaToken);
+    }
+
+    return (
+      failLogin(request, user.username) ||
+      HttpResponse.json(
+        { message: "Invalid verification code" },
+        { status: 401 }
+      )
+    );
+  }),
+
+  // Start TOTP enrollment - returns the secret to load into an app
+  http.post("https://api.example.com/auth/mfa/enroll", async ({ request }) => {
+    await delay(getRandomDelay());
+
+    // Check auth
+    const currentUser = getAuthenticatedUser(request);
+    if (!currentUser) {
+      return HttpResponse.json(
+        { message: "Unauthorized access" },
+        { status: 401 }
+      );
+    }
+
+    if (isMfaEnabled(currentUser.id)) {
+      return HttpResponse.json(
+        { message: "Two-factor authentication is already enabled" },
+        { status: 409 }
+      );
+    }
+
+    const secret = generateSecret();
+    const recoveryCodes = generateRecoveryCodes();
+    mfaEnrollments.set(currentUser.id, {
+      secret,
+      confirmed: false,
+      recoveryCodes: new Set(recoveryCodes),
+    });
+
+    return HttpResponse.json(
+      {
+        secret,
+        otpauthUri: buildOtpauthUri({
+          secret,
+          accountName: currentUser.username,
+          issuer: MFA_ISSUER,
+        }),
+        recoveryCodes,
+      },
+      { status: 200 }
+    );
+  }),
+
+  // Finish TOTP enrollment by proving the app produces valid codes
+  http.post(
+    "https://api.example.com/auth/mfa/enroll/confirm",
+    async ({ request }) => {
+      const { code } = await request.json();
+
+      await delay(getRandomDelay());
+
+      // Check auth
+      const currentUser = getAuthenticatedUser(request);
+      if (!currentUser) {
+        return HttpResponse.json(
+          { message: "Unauthorized access" },
+          { status: 401 }
+        );
+      }
+
+      const enrollment = mfaEnrollments.get(currentUser.id);
+      if (!enrollment) {
+        return HttpResponse.json(
+          { message: "No two-factor enrollment in progress" },
+          { status: 400 }
+        );
+      }
+
+      if (!redeemTotp(enrollment, code)) {
+        return HttpResponse.json(
+          { message: "Invalid verification code" },
+          { status: 400 }
+        );
+      }
+
+      enrollment.confirmed = true;
+
+      return HttpResponse.json({ mfaEnabled: true }, { status: 200 });
+    }
+  ),
+
+  // Forgot password - issue a single-use reset token. The response is the
+  // same whether or not the account exists, so it can't be used to probe
+  // for usernames.
+  http.post(
+    "https://api.example.com/auth/password-reset",
+    async ({ request }) => {
+      const { identifier } = await request.json();
+
+      await delay(getRandomDelay());
+
+      if (!identifier) {
+        return validationError("identifier", "Username or email is required");
+      }
+
+      const user = users.find(
+        (u) => u.username === identifier || u.email === identifier
+      );
+
+      if (user) {
+        // A new request supersedes any earlier token for the account
+        for (const [token, reset] of passwordResets) {
+          if (reset.userId === user.id) passwordResets.delete(token);
+        }
+
+        const resetToken = `reset-${crypto.randomUUID()}`;
+        passwordResets.set(resetToken, {
+          userId: user.id,
+          expiresAt: Date.now() + PASSWORD_RESET_TTL_MS,
+        });
+        sendEmail(user.email, "Password reset code", { resetToken });
+      }
+
+      // The same answer either way, so it doesn't reveal which accounts
+      // exist
       return HttpResponse.json(
         {
-          token: tokens.validToken,
-          refreshToken: tokens.refreshToken,
-          user: {
-            id: "1",
-            username: "admin",
-            email: "admin@example.com",
-            role: "admin",
-          },
+          message: "If an account matches, a password reset code has been sent",
         },
+        { status: 202 }
+      );
+    }
+  ),
+
+  // Redeem a reset token with a new password
+  http.post(
+    "https://api.example.com/auth/password-reset/confirm",
+    async ({ request }) => {
+      const { token, newPassword } = await request.json();
+
+      await delay(getRandomDelay());
+
+      const reset = passwordResets.get(token);
+      if (!reset || reset.expiresAt <= Date.now()) {
+        passwordResets.delete(token);
+        return validationError("token", "Reset code is invalid or has expired");
+      }
+
+      const problem = validatePassword(newPassword);
+      if (problem) {
+        return validationError("newPassword", problem);
+      }
+
+      const user = users.find((u) => u.id === reset.userId);
+      passwordResets.delete(token);
+      if (!user) {
+        return validationError("token", "Reset code is invalid or has expired");
+      }
+
+      passwords.set(user.id, newPassword);
+      // Proving control of the account lifts any lockout
+      clearLockout(`account:${user.username}`);
+
+      return HttpResponse.json(
+        { message: "Password has been reset" },
+        { status: 200 }
+      );
+    }
+  ),
+
+  // Change password for the logged-in user
+  http.post(
+    "https://api.example.com/auth/change-password",
+    async ({ request }) => {
+      const { currentPassword, newPassword } = await request.json();
+
+      await delay(getRandomDelay());
+
+      // Check auth
+      const currentUser = getAuthenticatedUser(request);
+      if (!currentUser) {
+        return HttpResponse.json(
+          { message: "Unauthorized access" },
+          { status: 401 }
+        );
+      }
+
+      // A wrong current password is a 400, not a 401, so it isn't mistaken
+      // for an expired session
+      if (passwords.get(currentUser.id) !== currentPassword) {
+        return validationError(
+          "currentPassword",
+          "Current password is incorrect"
+        );
+      }
+
+      const problem = validatePassword(newPassword);
+      if (problem) {
+        return validationError("newPassword", problem);
+      }
+      if (newPassword === currentPassword) {
+        return validationError(
+          "newPassword",
+          "New password must be different from the current password"
+        );
+      }
+
+      passwords.set(currentUser.id, newPassword);
+
+      return HttpResponse.json(
+        { message: "Password has been changed" },
         { status: 200 }
       );
     }
+  ),
+
+  // Login attempts log - admins see everyone, others only their own
+  http.get(
+    "https://api.example.com/auth/login-attempts",
+    async ({ request }) => {
+      await delay(getRandomDelay());
+
+      // Check auth
+      const currentUser = getAuthenticatedUser(request);
+      if (!currentUser) {
+        return HttpResponse.json(
+          { message: "Unauthorized access" },
+          { status: 401 }
+        );
+      }
+
+      const visibleAttempts = hasPermission(
+        currentUser,
+        PERMISSIONS.VIEW_LOGIN_ATTEMPTS
+      )
+        ? loginAttempts
+        : loginAttempts.filter((a) => a.username === currentUser.username);
+
+      return HttpResponse.json(
+        { loginAttempts: [...visibleAttempts].reverse() },
+        { status: 200 }
+      );
+    }
+  ),
+
+  // Token refresh endpoint
+  http.post("https://api.example.com/auth/refresh", async ({ request }) => {
+    const { refreshToken } = await request.json();
+
+    await delay(getRandomDelay());
+
+    const session = findSession("refreshToken", refreshToken);
+
+    if (session) {
+      session.lastUsedAt = new Date().toISOString();
+      return HttpResponse.json(issueTokens(session), { status: 200 });
+    }
 
     return HttpResponse.json(
-      { message: "Invalid credentials" },
+      { message: "Invalid refresh token" },
       { status: 401 }
     );
   }),
 
-  // Token refresh endpoint
-  http.post("https://api.example.com/auth/refresh", async ({ request }) => {
-    const { refreshToken } = await request.json();
+  // Current user endpoint - used to validate a stored session
+  http.get("https://api.example.com/auth/me", async ({ request }) => {
+    await delay(getRandomDelay());
+
+    // Check auth
+    const currentUser = getAuthenticatedUser(request);
+    if (!currentUser) {
+      return HttpResponse.json(
+        { message: "Unauthorized access" },
+        { status: 401 }
+      );
+    }
+
+    return HttpResponse.json(toSessionUser(currentUser), { status: 200 });
+  }),
+
+  // Logout endpoint - ends the current session. The refresh token in the
+  // body identifies it when the access token has already expired.
+  http.post("https://api.example.com/auth/logout", async ({ request }) => {
+    const { refreshToken } = await request.json().catch(() => ({}));
 
     await delay(getRandomDelay());
 
-    if (refreshToken === tokens.refreshToken) {
+    const session =
+      getAuthenticatedSession(request) ||
+      findSession("refreshToken", refreshToken);
+    if (!session) {
       return HttpResponse.json(
-        {
-          token: `${tokens.validToken}-refreshed`,
-          refreshToken: tokens.refreshToken,
-        },
-        { status: 200 }
+        { message: "Unauthorized access" },
+        { status: 401 }
+      );
+    }
+
+    sessions.delete(session.id);
+
+    return HttpResponse.json(
+      { message: "Logged out successfully" },
+      { status: 200 }
+    );
+  }),
+
+  // Search users with pagination. Registered before /users/:userId,
+  // which would otherwise match "search" as an id.
+  http.get("https://api.example.com/users/search", async ({ request }) => {
+    const url = new URL(request.url);
+    const query = url.searchParams.get("query") || "";
+    const page = parseInt(url.searchParams.get("page") || "1", 10);
+    const limit = parseInt(url.searchParams.get("limit") || "10", 10);
+
+    await delay(getRandomDelay() * 2); // Search is slower
+
+    // Check auth
+    const currentUser = getAuthenticatedUser(request);
+    if (!currentUser) {
+      return HttpResponse.json(
+        { message: "Unauthorized access" },
+        { status: 401 }
+      );
+    }
+
+    if (!hasPermission(currentUser, PERMISSIONS.READ)) {
+      return forbidden("You do not have permission to view users");
+    }
+
+    // Filter users by search query
+    // Users created or patched without a profile or email still match on
+    // whatever they have
+    let filteredUsers = users;
+    if (query) {
+      const lowerQuery = query.toLowerCase();
+      filteredUsers = users.filter((user) =>
+        [
+          user.username,
+          user.email,
+          user.profile?.firstName,
+          user.profile?.lastName,
+        ].some((value) => value?.toLowerCase().includes(lowerQuery))
       );
     }
 
+    // Apply pagination
+    const startIndex = (page - 1) * limit;
+    const endIndex = startIndex + limit;
+    const paginatedUsers = filteredUsers.slice(startIndex, endIndex);
+
     return HttpResponse.json(
-      { message: "Invalid refresh token" },
-      { status: 401 }
+      {
+        users: paginatedUsers,
+        total: filteredUsers.length,
+        page,
+        limit,
+        totalPages: Math.ceil(filteredUsers.length / limit),
+      },
+      { status: 200 }
     );
   }),
 
@@ -149,23 +934,21 @@ export const handlers = [
       // Track this attempt
       requestAttempts.set(endpointKey, attempts + 1);
 
-      // Extract auth token
-      const authHeader = request.headers.get("Authorization");
-      const token = authHeader?.replace("Bearer ", "");
-
       await delay(getRandomDelay());
 
       // 1. Simulate unauthorized error (on 1st attempt)
-      if (
-        !token ||
-        (token !== tokens.validToken && !token.includes("refreshed"))
-      ) {
+      const currentUser = getAuthenticatedUser(request);
+      if (!currentUser) {
         return HttpResponse.json(
           { message: "Unauthorized access" },
           { status: 401 }
         );
       }
 
+      if (!hasPermission(currentUser, PERMISSIONS.READ)) {
+        return forbidden("You do not have permission to view users");
+      }
+
       // 2. Simulate rate limiting (on 2nd attempt)
       if (attempts === 1) {
         return HttpResponse.json(
@@ -204,90 +987,247 @@ export const handlers = [
               },
             },
           },
-          { status: 200 }
+          { status: 200, headers: { ETag: etagOf(user) } }
         );
       }
 
       // 6. Normal response
-      return HttpResponse.json(user, { status: 200 });
+      return HttpResponse.json(user, {
+        status: 200,
+        headers: { ETag: etagOf(user) },
+      });
     }
   ),
 
-  // Search users with pagination
-  http.get("https://api.example.com/users/search", async ({ request }) => {
-    const url = new URL(request.url);
-    const query = url.searchParams.get("query") || "";
-    const page = parseInt(url.searchParams.get("page") || "1", 10);
-    const limit = parseInt(url.searchParams.get("limit") || "10", 10);
+  // Account lockout status (admin only)
+  http.get(
+    "https://api.example.com/users/:userId/lockout",
+    async ({ request, params }) => {
+      await delay(getRandomDelay());
+
+      // Check auth
+      const currentUser = getAuthenticatedUser(request);
+      if (!currentUser) {
+        return HttpResponse.json(
+          { message: "Unauthorized access" },
+          { status: 401 }
+        );
+      }
 
-    // Extract auth token
-    const authHeader = request.headers.get("Authorization");
-    const token = authHeader?.replace("Bearer ", "");
+      if (!hasPermission(currentUser, PERMISSIONS.UNLOCK_ACCOUNT)) {
+        return forbidden("You do not have permission to manage lockouts");
+      }
 
-    await delay(getRandomDelay() * 2); // Search is slower
+      const user = users.find((u) => u.id === params.userId);
+      if (!user) {
+        return HttpResponse.json(
+          { message: "User not found" },
+          { status: 404 }
+        );
+      }
+
+      const accountKey = `account:${user.username}`;
+      const lockedUntil = getLockedUntil(accountKey);
 
-    // Check auth
-    if (
-      !token ||
-      (token !== tokens.validToken && !token.includes("refreshed"))
-    ) {
       return HttpResponse.json(
-        { message: "Unauthorized access" },
-        { status: 401 }
+        {
+          locked: Boolean(lockedUntil),
+          lockedUntil: lockedUntil ? new Date(lockedUntil).toISOString() : null,
+          failedAttempts: (failedLogins.get(accountKey) || []).length,
+        },
+        { status: 200 }
       );
     }
+  ),
 
-    // Filter users by search query
-    let filteredUsers = users;
-    if (query) {
-      const lowerQuery = query.toLowerCase();
-      filteredUsers = users.filter(
-        (user) =>
-          user.username.toLowerCase().includes(lowerQuery) ||
-          user.email.toLowerCase().includes(lowerQuery) ||
-          user.profile.firstName.toLowerCase().includes(lowerQuery) ||
-          user.profile.lastName.toLowerCase().includes(lowerQuery)
+  // Unlock an account (admin only)
+  http.delete(
+    "https://api.example.com/users/:userId/lockout",
+    async ({ request, params }) => {
+      await delay(getRandomDelay());
+
+      // Check auth
+      const currentUser = getAuthenticatedUser(request);
+      if (!currentUser) {
+        return HttpResponse.json(
+          { message: "Unauthorized access" },
+          { status: 401 }
+        );
+      }
+
+      if (!hasPermission(currentUser, PERMISSIONS.UNLOCK_ACCOUNT)) {
+        return forbidden("You do not have permission to manage lockouts");
+      }
+
+      const user = users.find((u) => u.id === params.userId);
+      if (!user) {
+        return HttpResponse.json(
+          { message: "User not found" },
+          { status: 404 }
+        );
+      }
+
+      clearLockout(`account:${user.username}`);
+
+      return HttpResponse.json(
+        { message: "Account unlocked" },
+        { status: 200 }
       );
     }
+  ),
 
-    // Apply pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + limit;
-    const paginatedUsers = filteredUsers.slice(startIndex, endIndex);
+  // Active sessions of a user - their own, or anyone's for admins
+  http.get(
+    "https://api.example.com/users/:userId/sessions",
+    async ({ request, params }) => {
+      await delay(getRandomDelay());
 
-    return HttpResponse.json(
-      {
-        users: paginatedUsers,
-        total: filteredUsers.length,
-        page,
-        limit,
-        totalPages: Math.ceil(filteredUsers.length / limit),
-      },
-      { status: 200 }
-    );
-  }),
+      // Check auth
+      const currentSession = getAuthenticatedSession(request);
+      const currentUser = getAuthenticatedUser(request);
+      if (!currentUser) {
+        return HttpResponse.json(
+          { message: "Unauthorized access" },
+          { status: 401 }
+        );
+      }
+
+      const user = users.find((u) => u.id === params.userId);
+      if (!user) {
+        return HttpResponse.json(
+          { message: "User not found" },
+          { status: 404 }
+        );
+      }
+
+      if (!canManageSessions(currentUser, user)) {
+        return forbidden("You do not have permission to view these sessions");
+      }
+
+      const userSessions = [...sessions.values()]
+        .filter((session) => session.userId === user.id)
+        .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt))
+        .map((session) => toSessionInfo(session, currentSession));
+
+      return HttpResponse.json({ sessions: userSessions }, { status: 200 });
+    }
+  ),
+
+  // Revoke every session of a user. ?exceptCurrent=true keeps the session
+  // making the request, for "sign out everywhere else".
+  http.delete(
+    "https://api.example.com/users/:userId/sessions",
+    async ({ request, params }) => {
+      await delay(getRandomDelay());
+
+      // Check auth
+      const currentSession = getAuthenticatedSession(request);
+      const currentUser = getAuthenticatedUser(request);
+      if (!currentUser) {
+        return HttpResponse.json(
+          { message: "Unauthorized access" },
+          { status: 401 }
+        );
+      }
+
+      const user = users.find((u) => u.id === params.userId);
+      if (!user) {
+        return HttpResponse.json(
+          { message: "User not found" },
+          { status: 404 }
+        );
+      }
+
+      if (!canManageSessions(currentUser, user)) {
+        return forbidden("You do not have permission to revoke these sessions");
+      }
+
+      const exceptCurrent =
+        new URL(request.url).searchParams.get("exceptCurrent") === "true";
+      const before = sessions.size;
+      revokeSessions(
+        (session) =>
+          session.userId === user.id &&
+          !(exceptCurrent && session.id === currentSession.id)
+      );
+
+      return HttpResponse.json(
+        {
+          revoked: before - sessions.size,
+          revokedCurrent: !sessions.has(currentSession.id),
+        },
+        { status: 200 }
+      );
+    }
+  ),
+
+  // Revoke a single session
+  http.delete(
+    "https://api.example.com/users/:userId/sessions/:sessionId",
+    async ({ request, params }) => {
+      await delay(getRandomDelay());
+
+      // Check auth
+      const currentSession = getAuthenticatedSession(request);
+      const currentUser = getAuthenticatedUser(request);
+      if (!currentUser) {
+        return HttpResponse.json(
+          { message: "Unauthorized access" },
+          { status: 401 }
+        );
+      }
+
+      const user = users.find((u) => u.id === params.userId);
+      if (!user) {
+        return HttpResponse.json(
+          { message: "User not found" },
+          { status: 404 }
+        );
+      }
+
+      if (!canManageSessions(currentUser, user)) {
+        return forbidden("You do not have permission to revoke these sessions");
+      }
+
+      const session = sessions.get(params.sessionId);
+      if (!session || session.userId !== user.id) {
+        return HttpResponse.json(
+          { message: "Session not found" },
+          { status: 404 }
+        );
+      }
+
+      sessions.delete(session.id);
+
+      return HttpResponse.json(
+        {
+          revoked: 1,
+          revokedCurrent: session.id === currentSession.id,
+        },
+        { status: 200 }
+      );
+    }
+  ),
 
   // Create user
   http.post("https://api.example.com/users", async ({ request }) => {
     const userData = await request.json();
 
-    // Extract auth token
-    const authHeader = request.headers.get("Authorization");
-    const token = authHeader?.replace("Bearer ", "");
-
     await delay(getRandomDelay());
 
     // Check auth
-    if (
-      !token ||
-      (token !== tokens.validToken && !token.includes("refreshed"))
-    ) {
+    const currentUser = getAuthenticatedUser(request);
+    if (!currentUser) {
       return HttpResponse.json(
         { message: "Unauthorized access" },
         { status: 401 }
       );
     }
 
+    if (!hasPermission(currentUser, PERMISSIONS.CREATE)) {
+      return forbidden("You do not have permission to create users");
+    }
+
     // Validate required fields
     const requiredFields = ["username", "email", "password"];
     for (const field of requiredFields) {
@@ -299,6 +1239,11 @@ export const handlers = [
       }
     }
 
+    const problem = validatePassword(userData.password);
+    if (problem) {
+      return validationError("password", problem);
+    }
+
     // Check if username or email already exists
     if (users.some((u) => u.username === userData.username)) {
       return HttpResponse.json(
@@ -316,11 +1261,12 @@ export const handlers = [
 
     // Create new user
     const newUser = {
-      id: String(users.length + 1),
+      id: String(nextUserId++),
       username: userData.username,
       email: userData.email,
       role: userData.role || "user",
       lastLogin: new Date().toISOString(),
+      version: 1,
       profile: userData.profile || {
         firstName: "",
         lastName: "",
@@ -342,11 +1288,15 @@ export const handlers = [
     };
 
     users.push(newUser);
+    passwords.set(newUser.id, userData.password);
 
     // Remove password from response
     const { password: _password, ...userWithoutPassword } = newUser;
 
-    return HttpResponse.json(userWithoutPassword, { status: 201 });
+    return HttpResponse.json(userWithoutPassword, {
+      status: 201,
+      headers: { ETag: etagOf(newUser) },
+    });
   }),
 
   // Update user
@@ -356,17 +1306,11 @@ export const handlers = [
       const { userId } = params;
       const updates = await request.json();
 
-      // Extract auth token
-      const authHeader = request.headers.get("Authorization");
-      const token = authHeader?.replace("Bearer ", "");
-
       await delay(getRandomDelay());
 
       // Check auth
-      if (
-        !token ||
-        (token !== tokens.validToken && !token.includes("refreshed"))
-      ) {
+      const currentUser = getAuthenticatedUser(request);
+      if (!currentUser) {
         return HttpResponse.json(
           { message: "Unauthorized access" },
           { status: 401 }
@@ -383,44 +1327,99 @@ export const handlers = [
         );
       }
 
+      const targetUser = users[userIndex];
+
+      if (!canEditUser(currentUser, targetUser)) {
+        return forbidden("You do not have permission to edit this user");
+      }
+
+      // Optimistic concurrency: refuse updates based on an old version
+      const ifMatch = request.headers.get("If-Match");
+      if (ifMatch && ifMatch !== "*" && ifMatch !== etagOf(targetUser)) {
+        return HttpResponse.json(
+          {
+            message: "User was modified by someone else",
+            current: targetUser,
+          },
+          { status: 412, headers: { ETag: etagOf(targetUser) } }
+        );
+      }
+
       // Apply updates - simulating different merge strategies
-      const currentUser = users[userIndex];
       let updatedUser;
 
       // Get merge strategy from header
       const mergeStrategy =
         request.headers.get("X-Merge-Strategy") || "shallow";
-
-      if (mergeStrategy === "deep") {
+      const contentType = (request.headers.get("Content-Type") || "")
+        .split(";")[0]
+        .trim();
+
+      if (contentType === JSON_PATCH_CONTENT_TYPE) {
+        try {
+          updatedUser = applyPatch(targetUser, updates);
+        } catch (error) {
+          if (!(error instanceof JsonPatchError)) throw error;
+          // A failed test op means the user isn't in the state the client
+          // expected, much like a stale If-Match
+          return HttpResponse.json(
+            {
+              message: error.message,
+              errors: [
+                { field: error.operation?.path, message: error.message },
+              ],
+              current: targetUser,
+            },
+            { status: error.code === "INVALID_OPERATION" ? 422 : 409 }
+          );
+        }
+      } else if (contentType === MERGE_PATCH_CONTENT_TYPE) {
+        if (!updates || typeof updates !== "object" || Array.isArray(updates)) {
+          return HttpResponse.json(
+            { message: "A merge patch must be a JSON object" },
+            { status: 422 }
+          );
+        }
+        updatedUser = applyMergePatch(targetUser, updates);
+      } else if (mergeStrategy === "deep") {
         // Deep merge (recursive)
-        const deepMerge = (target, source) => {
-          const output = { ...target };
-
-          for (const key in source) {
-            if (
-              source[key] instanceof Object &&
-              key in target &&
-              target[key] instanceof Object
-            ) {
-              output[key] = deepMerge(target[key], source[key]);
-            } else {
-              output[key] = source[key];
-            }
-          }
-
-          return output;
-        };
-
-        updatedUser = deepMerge(currentUser, updates);
+        updatedUser = deepMerge(targetUser, updates);
       } else {
         // Shallow merge (default)
-        updatedUser = { ...currentUser, ...updates };
+        updatedUser = { ...targetUser, ...updates };
+      }
+
+      // Patches can remove fields, so check what's left
+      if (typeof updatedUser.username !== "string" || !updatedUser.username) {
+        return validationError("username", "Username is required");
+      }
+      if (!["admin", "user"].includes(updatedUser.role)) {
+        return validationError("role", "Role must be admin or user");
+      }
+
+      if (updatedUser.role !== targetUser.role && !canChangeRole(currentUser)) {
+        return forbidden("You do not have permission to change user roles");
+      }
+
+      // Clients may echo id and version back; neither is theirs to change
+      updatedUser = {
+        ...updatedUser,
+        id: targetUser.id,
+        version: targetUser.version + 1,
+      };
+
+      const duplicate = findDuplicate(updatedUser);
+      if (duplicate) {
+        return HttpResponse.json({ message: duplicate }, { status: 409 });
       }
 
       // Update user in the array
       users[userIndex] = updatedUser;
 
-      return HttpResponse.json(updatedUser, { status: 200 });
+      return HttpResponse.json(updatedUser, {
+        status: 200,
+        headers: { ETag: etagOf(updatedUser) },
+      });
     }
   ),
 
@@ -432,17 +1431,11 @@ export const handlers = [
       const body = await request.json();
       const { confirmationCode } = body;
 
-      // Extract auth token
-      const authHeader = request.headers.get("Authorization");
-      const token = authHeader?.replace("Bearer ", "");
-
       await delay(getRandomDelay());
 
       // Check auth
-      if (
-        !token ||
-        (token !== tokens.validToken && !token.includes("refreshed"))
-      ) {
+      const currentUser = getAuthenticatedUser(request);
+      if (!currentUser) {
         return HttpResponse.json(
           { message: "Unauthorized access" },
           { status: 401 }
@@ -467,8 +1460,14 @@ export const handlers = [
         );
       }
 
+      if (!canDeleteUser(currentUser, users[userIndex])) {
+        return forbidden("You do not have permission to delete this user");
+      }
+
       // Remove user
       users.splice(userIndex, 1);
+      passwords.delete(userId);
+      revokeSessions((session) => session.userId === userId);
 
       return HttpResponse.json(
         { message: "User deleted successfully" },
@@ -481,17 +1480,11 @@ export const handlers = [
   http.post("https://api.example.com/users/batch", async ({ request }) => {
     const { updates } = await request.json();
 
-    // Extract auth token
-    const authHeader = request.headers.get("Authorization");
-    const token = authHeader?.replace("Bearer ", "");
-
     await delay(getRandomDelay() * 2); // Batch operations are slower
 
     // Check auth
-    if (
-      !token ||
-      (token !== tokens.validToken && !token.includes("refreshed"))
-    ) {
+    const currentUser = getAuthenticatedUser(request);
+    if (!currentUser) {
       return HttpResponse.json(
         { message: "Unauthorized access" },
         { status: 401 }
@@ -505,39 +1498,122 @@ export const handlers = [
         { status: 400 }
       );
     }
+    if (updates.length > MAX_BATCH_SIZE) {
+      return HttpResponse.json(
+        { message: `Batches are limited to ${MAX_BATCH_SIZE} updates` },
+        { status: 413 }
+      );
+    }
+
+    // The update's data applied with its merge strategy
+    const mergeUpdate = (targetUser, { data, mergeStrategy }) => {
+      switch (mergeStrategy) {
+        case "deep":
+          return deepMerge(targetUser, data);
+        case "json-patch":
+          return applyPatch(targetUser, data);
+        case "merge-patch":
+          return applyMergePatch(targetUser, data);
+        default:
+          return { ...targetUser, ...data };
+      }
+    };
+
+    // Apply a single update, returning an error entry instead of failing
+    // the whole batch
+    const applyUpdate = (update) => {
+      const failed = (status, error) => ({
+        userId: update.userId,
+        status,
+        error,
+      });
+      const userIndex = users.findIndex((u) => u.id === update.userId);
+
+      if (userIndex === -1) {
+        return failed(404, `User ${update.userId} not found`);
+      }
+
+      const targetUser = users[userIndex];
+      if (!canEditUser(currentUser, targetUser)) {
+        return failed(403, `Not permitted to edit user ${update.userId}`);
+      }
+
+      let updatedUser;
+      try {
+        updatedUser = mergeUpdate(targetUser, update);
+      } catch (error) {
+        if (!(error instanceof JsonPatchError)) throw error;
+        return failed(
+          error.code === "INVALID_OPERATION" ? 422 : 409,
+          error.message
+        );
+      }
+
+      if (typeof updatedUser.username !== "string" || !updatedUser.username) {
+        return failed(400, "Username is required");
+      }
+      if (!["admin", "user"].includes(updatedUser.role)) {
+        return failed(400, "Role must be admin or user");
+      }
+      if (updatedUser.role !== targetUser.role && !canChangeRole(currentUser)) {
+        return failed(403, `Not permitted to change role of ${update.userId}`);
+      }
+      const duplicate = findDuplicate({ ...updatedUser, id: targetUser.id });
+      if (duplicate) return failed(409, duplicate);
+
+      users[userIndex] = {
+        ...updatedUser,
+        id: targetUser.id,
+        version: targetUser.version + 1,
+      };
+      return users[userIndex];
+    };
 
-    // Process updates
-    const results = [];
+    // Process updates. Results are in the order of `updates`.
+    const results = new Array(updates.length);
     const hasSequentialDependencies = updates.some((u) => u.dependsOn);
 
     if (hasSequentialDependencies) {
-      // Process sequentially with dependency checking
+      // Process sequentially with dependency checking. Updates depending
+      // on a failed one are skipped.
       const completedIds = new Set();
-      const pendingUpdates = [...updates];
+      const failedIds = new Set();
+      const pendingUpdates = updates.map((update, index) => ({
+        update,
+        index,
+      }));
 
       while (pendingUpdates.length > 0) {
-        const updateIndex = pendingUpdates.findIndex(
-          (update) =>
-            !update.dependsOn ||
-            update.dependsOn.every((id) => completedIds.has(id))
+        const nextIndex = pendingUpdates.findIndex(({ update }) =>
+          (update.dependsOn || []).every(
+            (id) => completedIds.has(id) || failedIds.has(id)
+          )
         );
 
-        if (updateIndex === -1) {
+        if (nextIndex === -1) {
           return HttpResponse.json(
             { message: "Circular dependency detected in batch updates" },
             { status: 400 }
           );
         }
 
-        const update = pendingUpdates.splice(updateIndex, 1)[0];
-        const userIndex = users.findIndex((u) => u.id === update.userId);
+        const { update, index } = pendingUpdates.splice(nextIndex, 1)[0];
+        const failedDependency = (update.dependsOn || []).find((id) =>
+          failedIds.has(id)
+        );
+        const result = failedDependency
+          ? {
+              userId: update.userId,
+              status: 424,
+              error: `Skipped because the update of ${failedDependency} failed`,
+            }
+          : applyUpdate(update);
 
-        if (userIndex !== -1) {
-          users[userIndex] = { ...users[userIndex], ...update.data };
-          results.push(users[userIndex]);
-          completedIds.add(update.userId);
+        results[index] = result;
+        if (result.error) {
+          failedIds.add(update.userId);
         } else {
-          results.push({ error: `User ${update.userId} not found` });
+          completedIds.add(update.userId);
         }
 
         // Add a small delay between sequential updates
@@ -545,16 +1621,9 @@ export const handlers = [
       }
     } else {
       // Process in parallel
-      for (const update of updates) {
-        const userIndex = users.findIndex((u) => u.id === update.userId);
-
-        if (userIndex !== -1) {
-          users[userIndex] = { ...users[userIndex], ...update.data };
-          results.push(users[userIndex]);
-        } else {
-          results.push({ error: `User ${update.userId} not found` });
-        }
-      }
+      updates.forEach((update, index) => {
+        results[index] = applyUpdate(update);
+      });
     }
 
     return HttpResponse.json({ results }, { status: 200 });
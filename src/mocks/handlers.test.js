@@ -0,0 +1,736 @@
+import {
+  describe,
+  it,
+  expect,
+  vi,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "vitest";
+import { setupServer } from "msw/node";
+import { handlers, getSentEmails, setLockoutPolicy } from "./handlers";
+import { generateTotp } from "./totp";
+
+const API = "https://api.example.com";
+const server = setupServer(...handlers);
+
+// Log in through the mock and return headers carrying the issued token
+const authHeaders = async (username, password = "password") => {
+  const response = await fetch(`${API}/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, password }),
+  });
+  const { token } = await response.json();
+
+  return {
+    "Content-Type": "application/json",
+    Authorization: `Bearer ${token}`,
+  };
+};
+
+describe("mock API handlers", () => {
+  beforeAll(() => server.listen());
+  afterAll(() => server.close());
+
+  describe("role-based access control", () => {
+    it("rejects edits to other users from regular users", async () => {
+      const response = await fetch(`${API}/users/3`, {
+        method: "PATCH",
+        headers: await authHeaders("janedoe"),
+        body: JSON.stringify({ email: "bob@evil.example" }),
+      });
+
+      expect(response.status).toBe(403);
+    });
+
+    it("lets regular users edit themselves but not their role", async () => {
+      const headers = await authHeaders("janedoe");
+
+      const edit = await fetch(`${API}/users/2`, {
+        method: "PATCH",
+        headers,
+        body: JSON.stringify({ email: "jane.doe@example.com" }),
+      });
+      expect(edit.status).toBe(200);
+
+      const promote = await fetch(`${API}/users/2`, {
+        method: "PATCH",
+        headers,
+        body: JSON.stringify({ role: "admin" }),
+      });
+      expect(promote.status).toBe(403);
+    });
+
+    it("only lets admins delete users", async () => {
+      const request = async (username) =>
+        fetch(`${API}/users/3`, {
+          method: "DELETE",
+          headers: await authHeaders(username),
+          body: JSON.stringify({ confirmationCode: "DELETE" }),
+        });
+
+      expect((await request("janedoe")).status).toBe(403);
+      expect((await request("admin")).status).toBe(200);
+    });
+
+    it("reports forbidden items individually in batch updates", async () => {
+      const response = await fetch(`${API}/users/batch`, {
+        method: "POST",
+        headers: await authHeaders("janedoe"),
+        body: JSON.stringify({
+          updates: [
+            { userId: "2", data: { email: "jane@example.org" } },
+            { userId: "1", data: { email: "john@example.org" } },
+          ],
+        }),
+      });
+      const { results } = await response.json();
+
+      expect(results[0].email).toBe("jane@example.org");
+      expect(results[1].error).toMatch(/not permitted/i);
+    });
+  });
+
+  describe("optimistic concurrency", () => {
+    it("versions users and rejects updates based on an old ETag", async () => {
+      const headers = await authHeaders("admin");
+      const patch = (body, ifMatch) =>
+        fetch(`${API}/users/4`, {
+          method: "PATCH",
+          headers: ifMatch ? { ...headers, "If-Match": ifMatch } : headers,
+          body: JSON.stringify(body),
+        });
+
+      const first = await patch({ email: "admin@example.org" });
+      const firstETag = first.headers.get("ETag");
+      expect(firstETag).toBeTruthy();
+
+      const second = await patch({ email: "admin@example.net" }, firstETag);
+      expect(second.status).toBe(200);
+      expect(second.headers.get("ETag")).not.toBe(firstETag);
+
+      const stale = await patch({ email: "admin@example.com" }, firstETag);
+      expect(stale.status).toBe(412);
+      expect(stale.headers.get("ETag")).toBe(second.headers.get("ETag"));
+      expect((await stale.json()).current.email).toBe("admin@example.net");
+    });
+  });
+
+  describe("unique usernames and emails", () => {
+    it("refuses updates to a username or email another user has", async () => {
+      const headers = await authHeaders("admin");
+      const patch = (body) =>
+        fetch(`${API}/users/4`, {
+          method: "PATCH",
+          headers,
+          body: JSON.stringify(body),
+        });
+
+      const username = await patch({ username: "johndoe" });
+      expect(username.status).toBe(409);
+      expect((await username.json()).message).toBe("Username already exists");
+
+      const email = await patch({ email: "john@example.com" });
+      expect(email.status).toBe(409);
+      expect((await email.json()).message).toBe("Email already exists");
+
+      // Its own username is no conflict
+      expect((await patch({ username: "admin" })).status).toBe(200);
+    });
+  });
+
+  describe("patch formats", () => {
+    const patchUser = async (body, contentType) =>
+      fetch(`${API}/users/1`, {
+        method: "PATCH",
+        headers: {
+          ...(await authHeaders("admin")),
+          "Content-Type": contentType,
+        },
+        body: JSON.stringify(body),
+      });
+
+    it("applies JSON Patch documents", async () => {
+      const response = await patchUser(
+        [
+          { op: "test", path: "/username", value: "johndoe" },
+          { op: "remove", path: "/profile/avatar" },
+          {
+            op: "replace",
+            path: "/profile/address/city",
+            value: "Springfield",
+          },
+        ],
+        "application/json-patch+json"
+      );
+      const user = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(user.profile).not.toHaveProperty("avatar");
+      expect(user.profile.address).toMatchObject({
+        street: "123 Main St",
+        city: "Springfield",
+      });
+    });
+
+    it("refuses the whole patch when a test op fails", async () => {
+      const response = await patchUser(
+        [
+          { op: "replace", path: "/email", value: "john@example.org" },
+          { op: "test", path: "/username", value: "someone-else" },
+        ],
+        "application/json-patch+json"
+      );
+      const body = await response.json();
+
+      expect(response.status).toBe(409);
+      expect(body.current.email).toBe("john@example.com");
+
+      const invalid = await patchUser(
+        [{ op: "rename", path: "/email" }],
+        "application/json-patch+json"
+      );
+      expect(invalid.status).toBe(422);
+    });
+
+    it("applies merge patches and keeps required fields", async () => {
+      const response = await patchUser(
+        { profile: { lastName: null, address: { zipCode: "54321" } } },
+        "application/merge-patch+json"
+      );
+      const user = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(user.profile).not.toHaveProperty("lastName");
+      expect(user.profile.address).toMatchObject({
+        city: "Springfield",
+        zipCode: "54321",
+      });
+
+      const removal = await patchUser(
+        { username: null },
+        "application/merge-patch+json"
+      );
+      expect(removal.status).toBe(400);
+    });
+  });
+
+  describe("search", () => {
+    const search = async (params) =>
+      fetch(`${API}/users/search?${new URLSearchParams(params)}`, {
+        headers: await authHeaders("admin"),
+      });
+
+    it("pages through users with their totals", async () => {
+      const response = await search({ query: "", page: "2", limit: "2" });
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body).toMatchObject({ page: 2, limit: 2 });
+      expect(body.totalPages).toBe(Math.ceil(body.total / 2));
+      expect(body.users.length).toBeLessThanOrEqual(2);
+    });
+
+    it("matches users that have no profile", async () => {
+      await fetch(`${API}/users/4`, {
+        method: "PATCH",
+        headers: {
+          ...(await authHeaders("admin")),
+          "Content-Type": "application/merge-patch+json",
+        },
+        body: JSON.stringify({ profile: null }),
+      });
+
+      const response = await search({ query: "admin" });
+      const { users } = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(users.map((user) => user.id)).toContain("4");
+    });
+  });
+
+  describe("batch updates", () => {
+    const batch = async (updates) =>
+      fetch(`${API}/users/batch`, {
+        method: "POST",
+        headers: await authHeaders("admin"),
+        body: JSON.stringify({ updates }),
+      });
+
+    it("returns results in input order and skips dependents of failures", async () => {
+      const response = await batch([
+        { userId: "2", data: { email: "jane@example.net" }, dependsOn: ["99"] },
+        { userId: "99", data: { email: "nobody@example.com" } },
+        {
+          userId: "1",
+          data: [
+            {
+              op: "replace",
+              path: "/profile/address/city",
+              value: "Ogdenville",
+            },
+          ],
+          mergeStrategy: "json-patch",
+        },
+      ]);
+      const { results } = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(results[0]).toMatchObject({ userId: "2", status: 424 });
+      expect(results[0].error).toMatch(/update of 99 failed/);
+      expect(results[1]).toMatchObject({ userId: "99", status: 404 });
+      expect(results[2].profile.address).toMatchObject({
+        city: "Ogdenville",
+        street: "123 Main St",
+      });
+    });
+
+    it("limits the batch size", async () => {
+      const updates = Array.from({ length: 101 }, () => ({
+        userId: "1",
+        data: { email: "john@example.com" },
+      }));
+
+      expect((await batch(updates)).status).toBe(413);
+    });
+  });
+
+  describe("login attempts", () => {
+    const fetchAttempts = async (username) => {
+      const response = await fetch(`${API}/auth/login-attempts`, {
+        headers: await authHeaders(username),
+      });
+      return (await response.json()).loginAttempts;
+    };
+
+    it("records failed and successful logins with request metadata", async () => {
+      await fetch(`${API}/auth/login`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "handlers-test",
+          "X-Forwarded-For": "10.0.0.7",
+        },
+        body: JSON.stringify({ username: "janedoe", password: "nope" }),
+      });
+
+      const attempts = await fetchAttempts("admin");
+      const failed = attempts.find(
+        (a) => a.username === "janedoe" && !a.success
+      );
+
+      expect(failed).toMatchObject({
+        ipAddress: "10.0.0.7",
+        userAgent: "handlers-test",
+      });
+      expect(new Date(failed.timestamp).toString()).not.toBe("Invalid Date");
+      // Newest first: the admin login used to fetch the log comes first
+      expect(attempts[0]).toMatchObject({ username: "admin", success: true });
+    });
+
+    it("only shows regular users their own attempts", async () => {
+      const attempts = await fetchAttempts("janedoe");
+
+      expect(attempts.length).toBeGreaterThan(0);
+      attempts.forEach((attempt) => {
+        expect(attempt.username).toBe("janedoe");
+      });
+    });
+  });
+
+  describe("account lockout", () => {
+    const attemptLogin = (password, ip = "10.0.0.20") =>
+      fetch(`${API}/auth/login`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Forwarded-For": ip,
+        },
+        body: JSON.stringify({ username: "janedoe", password }),
+      });
+
+    afterAll(() => setLockoutPolicy({ maxFailedAttempts: 5 }));
+
+    it("locks the account after repeated failures until an admin unlocks it", async () => {
+      setLockoutPolicy({ maxFailedAttempts: 3 });
+
+      expect((await attemptLogin("wrong")).status).toBe(401);
+      expect((await attemptLogin("wrong")).status).toBe(401);
+
+      const locked = await attemptLogin("wrong");
+      expect(locked.status).toBe(423);
+      expect(Number(locked.headers.get("Retry-After"))).toBeGreaterThan(0);
+      const { lockedUntil } = await locked.json();
+      expect(Date.parse(lockedUntil)).toBeGreaterThan(Date.now());
+
+      // Even the right password is refused while locked
+      expect((await attemptLogin("password")).status).toBe(423);
+
+      const headers = await authHeaders("admin");
+      const status = await fetch(`${API}/users/2/lockout`, { headers });
+      expect(await status.json()).toMatchObject({ locked: true });
+
+      const unlock = await fetch(`${API}/users/2/lockout`, {
+        method: "DELETE",
+        headers,
+      });
+      expect(unlock.status).toBe(200);
+      expect((await attemptLogin("password")).status).toBe(200);
+    });
+
+    it("does not let regular users manage lockouts", async () => {
+      const response = await fetch(`${API}/users/2/lockout`, {
+        method: "DELETE",
+        headers: await authHeaders("janedoe"),
+      });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe("two-factor authentication", () => {
+    const login = (username, password = "password") =>
+      fetch(`${API}/auth/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, password }),
+      }).then((response) => response.json());
+
+    const verify = (mfaToken, code) =>
+      fetch(`${API}/auth/mfa/verify`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ mfaToken, code }),
+      });
+
+    it("enrolls with a TOTP secret and then challenges every login", async () => {
+      const headers = await authHeaders("johndoe");
+
+      const enrollResponse = await fetch(`${API}/auth/mfa/enroll`, {
+        method: "POST",
+        headers,
+      });
+      const { secret, otpauthUri, recoveryCodes } = await enrollResponse.json();
+      expect(otpauthUri).toContain(`secret=${secret}`);
+      expect(recoveryCodes).toHaveLength(8);
+
+      const confirm = await fetch(`${API}/auth/mfa/enroll/confirm`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ code: generateTotp(secret) }),
+      });
+      expect(confirm.status).toBe(200);
+
+      const challenge = await login("johndoe");
+      expect(challenge).toMatchObject({ status: "mfa_required" });
+      expect(challenge.token).toBeUndefined();
+
+      expect((await verify(challenge.mfaToken, "000000")).status).toBe(401);
+
+      // The code used to confirm can't be used again; the next one can
+      const nextCode = generateTotp(secret, Date.now() + 30000);
+      const verified = await verify(challenge.mfaToken, nextCode);
+      expect(verified.status).toBe(200);
+      expect(await verified.json()).toMatchObject({
+        user: { username: "johndoe", mfaEnabled: true },
+      });
+
+      // Recovery codes are single use
+      const next = await login("johndoe");
+      expect((await verify(next.mfaToken, recoveryCodes[0])).status).toBe(200);
+      const again = await login("johndoe");
+      expect((await verify(again.mfaToken, recoveryCodes[0])).status).toBe(401);
+    });
+
+    it("accepts each TOTP code once", async () => {
+      const created = await fetch(`${API}/users`, {
+        method: "POST",
+        headers: await authHeaders("admin"),
+        body: JSON.stringify({
+          username: "dave",
+          email: "dave@example.com",
+          password: "dav3-password",
+        }),
+      });
+      expect(created.status).toBe(201);
+      const headers = await authHeaders("dave", "dav3-password");
+      const { secret } = await (
+        await fetch(`${API}/auth/mfa/enroll`, { method: "POST", headers })
+      ).json();
+      const confirmCode = generateTotp(secret, Date.now() - 30000);
+      const confirm = await fetch(`${API}/auth/mfa/enroll/confirm`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ code: confirmCode }),
+      });
+      expect(confirm.status).toBe(200);
+
+      const code = generateTotp(secret);
+      const first = await login("dave", "dav3-password");
+      expect((await verify(first.mfaToken, code)).status).toBe(200);
+
+      // Neither the same code nor one from an earlier step, even within
+      // the drift window
+      const replayed = await login("dave", "dav3-password");
+      expect((await verify(replayed.mfaToken, code)).status).toBe(401);
+      expect((await verify(replayed.mfaToken, confirmCode)).status).toBe(401);
+    });
+
+    it("rejects unknown or reused challenges", async () => {
+      expect((await verify("mfa-unknown", "123456")).status).toBe(401);
+    });
+  });
+
+  describe("password reset and change", () => {
+    const post = (path, body, headers = {}) =>
+      fetch(`${API}${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(body),
+      });
+
+    const login = (password) =>
+      post("/auth/login", { username: "carol", password });
+
+    const lastResetCode = () =>
+      getSentEmails("carol@example.com").at(-1).resetToken;
+
+    beforeAll(async () => {
+      const response = await post(
+        "/users",
+        {
+          username: "carol",
+          email: "carol@example.com",
+          password: "car0l-password",
+        },
+        await authHeaders("admin")
+      );
+      expect(response.status).toBe(201);
+    });
+
+    afterEach(() => vi.useRealTimers());
+
+    it("redeems a reset code once with a valid new password", async () => {
+      const request = await post("/auth/password-reset", {
+        identifier: "carol@example.com",
+      });
+      expect(request.status).toBe(202);
+      const resetToken = lastResetCode();
+
+      const weak = await post("/auth/password-reset/confirm", {
+        token: resetToken,
+        newPassword: "short",
+      });
+      expect(weak.status).toBe(400);
+      expect((await weak.json()).errors).toHaveProperty("newPassword");
+
+      const reset = await post("/auth/password-reset/confirm", {
+        token: resetToken,
+        newPassword: "n3w-password",
+      });
+      expect(reset.status).toBe(200);
+      expect((await login("n3w-password")).status).toBe(200);
+      expect((await login("car0l-password")).status).toBe(401);
+
+      const reused = await post("/auth/password-reset/confirm", {
+        token: resetToken,
+        newPassword: "an0ther-password",
+      });
+      expect(reused.status).toBe(400);
+      expect((await reused.json()).errors).toHaveProperty("token");
+    });
+
+    it("applies the password policy to new users", async () => {
+      const response = await post(
+        "/users",
+        { username: "erin", email: "erin@example.com", password: "password" },
+        await authHeaders("admin")
+      );
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).errors).toEqual({
+        password: "Password must contain both letters and numbers",
+      });
+    });
+
+    it("rejects expired reset codes", async () => {
+      await post("/auth/password-reset", { identifier: "carol" });
+      const resetToken = lastResetCode();
+
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(Date.now() + 16 * 60 * 1000);
+
+      const response = await post("/auth/password-reset/confirm", {
+        token: resetToken,
+        newPassword: "expired-passw0rd",
+      });
+      expect(response.status).toBe(400);
+    });
+
+    it("does not reveal whether an account exists", async () => {
+      const unknown = await post("/auth/password-reset", {
+        identifier: "nobody@example.com",
+      });
+      const known = await post("/auth/password-reset", {
+        identifier: "carol@example.com",
+      });
+
+      expect(unknown.status).toBe(202);
+      expect(known.status).toBe(202);
+      expect(await unknown.json()).toEqual(await known.json());
+      expect(getSentEmails("nobody@example.com")).toEqual([]);
+    });
+
+    it("requires the current password to change it", async () => {
+      const { token } = await (await login("n3w-password")).json();
+      const headers = { Authorization: `Bearer ${token}` };
+
+      const wrong = await post(
+        "/auth/change-password",
+        {
+          currentPassword: "car0l-password",
+          newPassword: "ch4nged-password",
+        },
+        headers
+      );
+      expect(wrong.status).toBe(400);
+      expect((await wrong.json()).errors).toHaveProperty("currentPassword");
+
+      const changed = await post(
+        "/auth/change-password",
+        { currentPassword: "n3w-password", newPassword: "ch4nged-password" },
+        headers
+      );
+      expect(changed.status).toBe(200);
+      expect((await login("ch4nged-password")).status).toBe(200);
+    });
+  });
+
+  describe("sessions", () => {
+    const loginFrom = async (userAgent) => {
+      const response = await fetch(`${API}/auth/login`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": userAgent,
+        },
+        body: JSON.stringify({ username: "janedoe", password: "password" }),
+      });
+      return response.json();
+    };
+
+    const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+    const me = (token) => fetch(`${API}/auth/me`, { headers: bearer(token) });
+
+    it("issues a separate token pair per login and lists them", async () => {
+      const laptop = await loginFrom("Laptop Browser");
+      const phone = await loginFrom("Phone Browser");
+      expect(laptop.token).not.toBe(phone.token);
+      expect(laptop.refreshToken).not.toBe(phone.refreshToken);
+
+      const response = await fetch(`${API}/users/2/sessions`, {
+        headers: bearer(laptop.token),
+      });
+      const { sessions } = await response.json();
+      const current = sessions.find((session) => session.current);
+
+      expect(current.userAgent).toBe("Laptop Browser");
+      expect(sessions.map((session) => session.userAgent)).toContain(
+        "Phone Browser"
+      );
+      expect(JSON.stringify(sessions)).not.toContain(phone.token);
+    });
+
+    it("revokes a single session and its refresh token", async () => {
+      const laptop = await loginFrom("Laptop Browser");
+      const phone = await loginFrom("Phone Browser");
+
+      const { sessions } = await (
+        await fetch(`${API}/users/2/sessions`, { headers: bearer(phone.token) })
+      ).json();
+      const phoneSession = sessions.find((session) => session.current);
+
+      const revoke = await fetch(`${API}/users/2/sessions/${phoneSession.id}`, {
+        method: "DELETE",
+        headers: bearer(laptop.token),
+      });
+      expect(await revoke.json()).toEqual({
+        revoked: 1,
+        revokedCurrent: false,
+      });
+
+      expect((await me(phone.token)).status).toBe(401);
+      expect((await me(laptop.token)).status).toBe(200);
+
+      const refresh = await fetch(`${API}/auth/refresh`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken: phone.refreshToken }),
+      });
+      expect(refresh.status).toBe(401);
+    });
+
+    it("only lets admins manage other users' sessions", async () => {
+      const jane = await loginFrom("Laptop Browser");
+
+      const denied = await fetch(`${API}/users/1/sessions`, {
+        headers: bearer(jane.token),
+      });
+      expect(denied.status).toBe(403);
+
+      const adminHeaders = await authHeaders("admin");
+      const revokeAll = await fetch(`${API}/users/2/sessions`, {
+        method: "DELETE",
+        headers: adminHeaders,
+      });
+      expect(revokeAll.status).toBe(200);
+      expect((await me(jane.token)).status).toBe(401);
+      expect(
+        (await fetch(`${API}/auth/me`, { headers: adminHeaders })).status
+      ).toBe(200);
+    });
+
+    it("ends the current session on logout", async () => {
+      const laptop = await loginFrom("Laptop Browser");
+      const phone = await loginFrom("Phone Browser");
+
+      const logout = await fetch(`${API}/auth/logout`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...bearer(laptop.token),
+        },
+        body: JSON.stringify({ refreshToken: laptop.refreshToken }),
+      });
+      expect(logout.status).toBe(200);
+      expect((await me(laptop.token)).status).toBe(401);
+      expect((await me(phone.token)).status).toBe(200);
+
+      // An expired access token doesn't stop the refresh token identifying
+      // the session
+      const expired = await fetch(`${API}/auth/logout`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken: phone.refreshToken }),
+      });
+      expect(expired.status).toBe(200);
+      expect((await me(phone.token)).status).toBe(401);
+    });
+
+    it("can sign out everywhere but the current session", async () => {
+      const laptop = await loginFrom("Laptop Browser");
+      const phone = await loginFrom("Phone Browser");
+
+      const response = await fetch(
+        `${API}/users/2/sessions?exceptCurrent=true`,
+        { method: "DELETE", headers: bearer(laptop.token) }
+      );
+
+      expect((await response.json()).revokedCurrent).toBe(false);
+      expect((await me(laptop.token)).status).toBe(200);
+      expect((await me(phone.token)).status).toBe(401);
+    });
+  });
+});
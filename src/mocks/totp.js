@@ -0,0 +1,193 @@
+// RFC 6238 time-based one-time passwords for the mock backend.
+// Everything is synchronous plain JS (SHA-1/HMAC included) so handlers
+// can verify codes without Web Crypto.
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export const TOTP_DEFAULTS = {
+  step: 30, // seconds per code
+  digits: 6,
+  window: 1, // accepted steps of clock drift either side
+};
+
+export const base32Encode = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=-]/g, "");
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return new Uint8Array(bytes);
+};
+
+const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+
+const sha1 = (message) => {
+  const paddedLength = Math.ceil((message.length + 9) / 64) * 64;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(message);
+  padded[message.length] = 0x80;
+
+  const view = new DataView(padded.buffer);
+  const bitLength = message.length * 8;
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 2 ** 32));
+  view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+  const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+  const w = new Uint32Array(80);
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 80; i++) {
+      w[i] = rotl(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+    }
+
+    let [a, b, c, d, e] = h;
+    for (let i = 0; i < 80; i++) {
+      let f;
+      let k;
+      if (i < 20) {
+        f = (b & c) | (~b & d);
+        k = 0x5a827999;
+      } else if (i < 40) {
+        f = b ^ c ^ d;
+        k = 0x6ed9eba1;
+      } else if (i < 60) {
+        f = (b & c) | (b & d) | (c & d);
+        k = 0x8f1bbcdc;
+      } else {
+        f = b ^ c ^ d;
+        k = 0xca62c1d6;
+      }
+
+      const temp = (rotl(a, 5) + f + e + k + w[i]) >>> 0;
+      e = d;
+      d = c;
+      c = rotl(b, 30) >>> 0;
+      b = a;
+      a = temp;
+    }
+
+    h[0] = (h[0] + a) >>> 0;
+    h[1] = (h[1] + b) >>> 0;
+    h[2] = (h[2] + c) >>> 0;
+    h[3] = (h[3] + d) >>> 0;
+    h[4] = (h[4] + e) >>> 0;
+  }
+
+  const digest = new Uint8Array(20);
+  const digestView = new DataView(digest.buffer);
+  h.forEach((word, i) => digestView.setUint32(i * 4, word));
+  return digest;
+};
+
+const hmacSha1 = (key, message) => {
+  const blockSize = 64;
+  const normalizedKey = key.length > blockSize ? sha1(key) : key;
+  const paddedKey = new Uint8Array(blockSize);
+  paddedKey.set(normalizedKey);
+
+  const inner = new Uint8Array(blockSize + message.length);
+  const outer = new Uint8Array(blockSize + 20);
+  for (let i = 0; i < blockSize; i++) {
+    inner[i] = paddedKey[i] ^ 0x36;
+    outer[i] = paddedKey[i] ^ 0x5c;
+  }
+  inner.set(message, blockSize);
+  outer.set(sha1(inner), blockSize);
+
+  return sha1(outer);
+};
+
+// RFC 4226 HOTP value for a counter, as a zero-padded string
+const hotp = (keyBytes, counter, digits) => {
+  const message = new Uint8Array(8);
+  const view = new DataView(message.buffer);
+  view.setUint32(0, Math.floor(counter / 2 ** 32));
+  view.setUint32(4, counter >>> 0);
+
+  const hash = hmacSha1(keyBytes, message);
+  const offset = hash[hash.length - 1] & 0xf;
+  const binary =
+    ((hash[offset] & 0x7f) << 24) |
+    (hash[offset + 1] << 16) |
+    (hash[offset + 2] << 8) |
+    hash[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, "0");
+};
+
+// Code for a base32 secret at the given time (ms since epoch)
+export const generateTotp = (secret, time = Date.now(), options = {}) => {
+  const { step, digits } = { ...TOTP_DEFAULTS, ...options };
+  const counter = Math.floor(time / 1000 / step);
+  return hotp(base32Decode(secret), counter, digits);
+};
+
+// Time step (counter) the code was generated for, or null when it matches
+// none. Accepts codes from neighbouring steps to tolerate clock drift.
+export const findTotpStep = (secret, code, time = Date.now(), options = {}) => {
+  const settings = { ...TOTP_DEFAULTS, ...options };
+  const normalizedCode = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(normalizedCode)) return null;
+
+  const counter = Math.floor(time / 1000 / settings.step);
+  for (let drift = -settings.window; drift <= settings.window; drift++) {
+    const candidate = generateTotp(
+      secret,
+      time + drift * settings.step * 1000,
+      settings
+    );
+    if (candidate === normalizedCode) return counter + drift;
+  }
+  return null;
+};
+
+export const verifyTotp = (secret, code, time = Date.now(), options = {}) =>
+  findTotpStep(secret, code, time, options) !== null;
+
+export const generateSecret = (byteLength = 20) =>
+  base32Encode(crypto.getRandomValues(new Uint8Array(byteLength)));
+
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DEFAULTS.digits),
+    period: String(TOTP_DEFAULTS.step),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
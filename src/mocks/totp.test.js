@@ -0,0 +1,58 @@
+import { describe, it, expect } from "vitest";
+import {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  findTotpStep,
+  verifyTotp,
+  buildOtpauthUri,
+} from "./totp";
+
+// RFC 6238 appendix B uses the ASCII key "12345678901234567890" (SHA-1)
+const RFC_SECRET = base32Encode(
+  new TextEncoder().encode("12345678901234567890")
+);
+
+describe("totp", () => {
+  it("round-trips base32", () => {
+    const bytes = new Uint8Array([0, 1, 2, 250, 251, 252, 253]);
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    expect(base32Encode(new TextEncoder().encode("foobar"))).toBe("MZXW6YTBOI");
+  });
+
+  it.each([
+    [59, "94287082"],
+    [1111111109, "07081804"],
+    [1234567890, "89005924"],
+    [20000000000, "65353130"],
+  ])("matches the RFC 6238 test vector at T=%i", (seconds, expected) => {
+    expect(generateTotp(RFC_SECRET, seconds * 1000, { digits: 8 })).toBe(
+      expected
+    );
+  });
+
+  it("accepts codes within the drift window only", () => {
+    const now = 1700000000000;
+    const previous = generateTotp(RFC_SECRET, now - 30000);
+    const stale = generateTotp(RFC_SECRET, now - 90000);
+
+    expect(verifyTotp(RFC_SECRET, previous, now)).toBe(true);
+    expect(verifyTotp(RFC_SECRET, stale, now)).toBe(false);
+    expect(verifyTotp(RFC_SECRET, "not-a-code", now)).toBe(false);
+    expect(findTotpStep(RFC_SECRET, previous, now)).toBe(
+      Math.floor(now / 30000) - 1
+    );
+    expect(findTotpStep(RFC_SECRET, stale, now)).toBeNull();
+  });
+
+  it("builds an otpauth URI for authenticator apps", () => {
+    const uri = buildOtpauthUri({
+      secret: "JBSWY3DPEHPK3PXP",
+      accountName: "janedoe",
+      issuer: "User Management",
+    });
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\/User%20Management%3Ajanedoe\?/);
+    expect(uri).toContain("secret=JBSWY3DPEHPK3PXP");
+  });
+});
@@ -1,13 +1,28 @@
 import { describe, it, expect, vi, beforeEach } from "vitest";
 import userApi from "../src/api/userApi";
-import axios from "axios";
 
-// Mock axios
-vi.mock("axios");
+// Mock axios. The shared userApi creates its client once, when the module
+// loads, so the tests program that one instance instead of axios.create.
+const { mockAxiosInstance } = vi.hoisted(() => ({
+  mockAxiosInstance: {
+    get: null,
+    interceptors: {
+      request: { use: () => {} },
+      response: { use: () => {} },
+    },
+  },
+}));
+
+vi.mock("axios", () => ({
+  default: {
+    create: () => mockAxiosInstance,
+  },
+}));
 
 describe("Login Attempts API", () => {
   beforeEach(() => {
     vi.resetAllMocks();
+    mockAxiosInstance.get = vi.fn();
 
     // Mock localStorage for authentication
     Object.defineProperty(window, "localStorage", {
@@ -27,18 +42,9 @@ describe("Login Attempts API", () => {
       { username: "user2", timestamp: "2023-06-01T09:30:00Z", success: false },
     ];
 
-    // Setup mock axios instance
-    const mockAxiosInstance = {
-      get: vi.fn().mockResolvedValueOnce({
-        data: { loginAttempts: mockLoginAttempts },
-      }),
-      interceptors: {
-        request: { use: vi.fn() },
-        response: { use: vi.fn() },
-      },
-    };
-
-    axios.create.mockReturnValueOnce(mockAxiosInstance);
+    mockAxiosInstance.get.mockResolvedValueOnce({
+      data: { loginAttempts: mockLoginAttempts },
+    });
 
     // Call the API method
     const result = await userApi.getLoginAttempts();
@@ -50,15 +56,7 @@ describe("Login Attempts API", () => {
 
   it("handles errors when the login attempts endpoint fails", async () => {
     // Setup mock to simulate API error
-    const mockAxiosInstance = {
-      get: vi.fn().mockRejectedValueOnce(new Error("API Error")),
-      interceptors: {
-        request: { use: vi.fn() },
-        response: { use: vi.fn() },
-      },
-    };
-
-    axios.create.mockReturnValueOnce(mockAxiosInstance);
+    mockAxiosInstance.get.mockRejectedValueOnce(new Error("API Error"));
 
     // Call should throw an error
     await expect(userApi.getLoginAttempts()).rejects.toThrow();
@@ -66,17 +64,9 @@ describe("Login Attempts API", () => {
 
   it("returns an empty array when there are no login attempts", async () => {
     // Setup mock with empty login attempts
-    const mockAxiosInstance = {
-      get: vi.fn().mockResolvedValueOnce({
-        data: { loginAttempts: [] },
-      }),
-      interceptors: {
-        request: { use: vi.fn() },
-        response: { use: vi.fn() },
-      },
-    };
-
-    axios.create.mockReturnValueOnce(mockAxiosInstance);
+    mockAxiosInstance.get.mockResolvedValueOnce({
+      data: { loginAttempts: [] },
+    });
 
     // Call API
     const result = await userApi.getLoginAttempts();
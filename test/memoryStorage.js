@@ -0,0 +1,9 @@
+// In-memory stand-in for localStorage, e.g. as createUserApi's tokenStorage
+export const createMemoryStorage = (initial = {}) => {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+};
@@ -4,6 +4,12 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // Some specs under test/ use JSX in plain .js files
+  esbuild: {
+    include: /\.jsx?$/,
+    exclude: [],
+    loader: 'jsx',
+  },
   test: {
     environment: "jsdom",
     globals: true,